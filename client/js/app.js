@@ -11,10 +11,84 @@ const loginForm = document.getElementById('login-form');
 const loginArea = document.getElementById('login-area');
 const chatArea = document.getElementById('chat-area');
 const usernameInput = document.getElementById('username');
+const passwordInput = document.getElementById('password');
+const registerBtn = document.getElementById('register-btn');
 const messageInput = document.getElementById('msg');
 const currentUserDisplay = document.getElementById('current-user');
 const logoutBtn = document.getElementById('logout-btn');
+const renameBtn = document.getElementById('rename-btn');
 const recipientSelect = document.getElementById('recipient-select'); // Nuevo selector de destinatario
+const roomsList = document.getElementById('rooms-list');
+const roomForm = document.getElementById('room-form');
+const roomNameInput = document.getElementById('room-name');
+const typingIndicator = document.getElementById('typing-indicator');
+const presenceForm = document.getElementById('presence-form');
+const presenceSelect = document.getElementById('presence-select');
+const statusTextInput = document.getElementById('status-text');
+const commandSuggestions = document.getElementById('command-suggestions');
+const mentionSuggestions = document.getElementById('mention-suggestions');
+const composer = document.querySelector('.chat-form-container');
+const attachBtn = document.getElementById('attach-btn');
+const fileInput = document.getElementById('file-input');
+const searchBtn = document.getElementById('search-btn');
+const exportFormatSelect = document.getElementById('export-format');
+const searchPanel = document.getElementById('search-panel');
+const searchForm = document.getElementById('search-form');
+const searchQueryInput = document.getElementById('search-query');
+const searchAuthorInput = document.getElementById('search-author');
+const searchTypeSelect = document.getElementById('search-type');
+const searchFromInput = document.getElementById('search-from');
+const searchToInput = document.getElementById('search-to');
+const searchRoomOnlyInput = document.getElementById('search-room-only');
+const searchSummary = document.getElementById('search-summary');
+const searchResults = document.getElementById('search-results');
+const threadPanel = document.getElementById('thread-panel');
+const threadMessages = document.getElementById('thread-messages');
+const threadCloseBtn = document.getElementById('thread-close');
+const threadReplyBtn = document.getElementById('thread-reply');
+const replyBanner = document.getElementById('reply-banner');
+const replyBannerText = document.getElementById('reply-banner-text');
+const replyCancelBtn = document.getElementById('reply-cancel');
+
+// Sala por defecto a la que pertenecen todos los usuarios
+const DEFAULT_ROOM = 'general';
+
+// Reintentos de reconexión tras un corte (el servidor conserva la sesión un tiempo)
+const RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY = 3000; // Milisegundos entre intentos
+
+// Nombres de los estados de presencia
+const PRESENCE_LABELS = {
+  online: 'Disponible',
+  away: 'Ausente',
+  busy: 'Ocupado',
+  offline: 'Desconectado'
+};
+
+// Indicador de escritura: el servidor lo caduca si no se renueva (CHAT_TYPING_TIMEOUT)
+const TYPING_IDLE = 2000; // Milisegundos sin teclear tras los que se avisa de que se dejó de escribir
+const TYPING_RENEW = 3000; // Milisegundos entre avisos mientras se sigue escribiendo
+
+// Distancia en píxeles al borde superior de los mensajes a la que se pide la página anterior
+const HISTORY_SCROLL_MARGIN = 40;
+// Mensajes por página al buscar hacia atrás un resultado de búsqueda
+const JUMP_PAGE_SIZE = 100;
+
+// Roles que se indican junto al nombre en la lista de usuarios
+const ROLE_LABELS = {
+  moderator: 'Moderador',
+  admin: 'Administrador'
+};
+const ROLE_RANKS = ['user', 'moderator', 'admin']; // De menor a mayor
+
+// Mensajes que admiten reacciones y respuestas, y emojis que se ofrecen para reaccionar
+const REACTABLE_TYPES = ['CHAT', 'PRIVATE', 'ATTACHMENT'];
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+const QUOTE_LENGTH = 80; // Caracteres del mensaje respondido que se citan
+
+// Mención que se está escribiendo justo antes del cursor ("hola @an")
+const MENTION_PREFIX = /(?:^|[^\p{L}\p{N}_])@([^\s@]*)$/u;
+const MAX_MENTION_SUGGESTIONS = 8;
 
 // Estado de la aplicación
 const appState = {
@@ -22,19 +96,44 @@ const appState = {
   username: null,
   connected: false,
   users: [], // Lista de usuarios para mantener estado
-  selectedRecipient: 'all' // Destinatario seleccionado (por defecto: todos)
+  selectedRecipient: 'all', // Destinatario seleccionado (por defecto: todos)
+  rooms: [], // Lista de salas disponibles
+  currentRoom: DEFAULT_ROOM, // Sala que se está mostrando
+  unreadRooms: {}, // roomId -> número de mensajes sin leer
+  unreadMentions: {}, // roomId -> número de menciones propias sin leer
+  lastMessageAt: null, // Marca de tiempo del último mensaje recibido
+  receipts: {}, // messageId -> {userId -> {username, state}} de los mensajes propios
+  acknowledged: {}, // messageId -> último estado confirmado al servidor
+  pendingReads: [], // Mensajes mostrados mientras la pestaña estaba oculta
+  typing: {}, // userId -> frame TYPING_START de quien está escribiendo
+  typingSentAt: 0, // Último TYPING_START enviado (0 si no se está escribiendo)
+  typingConversation: null, // Conversación del último TYPING_START enviado
+  typingTimer: null, // Temporizador de inactividad del teclado
+  lastSentMessage: null, // Último texto enviado, por si el servidor lo rechaza
+  throttleTimer: null, // Cuenta atrás mientras el servidor limita los envíos
+  loadingHistory: false, // Esperando una página anterior del historial
+  historyComplete: {}, // roomId -> true si ya se mostró el principio de su historial
+  pendingJump: null, // messageId del resultado de búsqueda que se está cargando
+  reactions: {}, // messageId -> [{emoji, count, users}] de los mensajes mostrados
+  quotable: {}, // messageId -> mensaje mostrado o cargado, para citarlo en sus respuestas
+  replyTo: null, // Mensaje al que se está respondiendo ({messageId, targetUserId, targetUsername})
+  openThread: null, // messageId del hilo abierto en el panel lateral
+  role: null, // Rol propio (user, moderator o admin)
+  commands: [], // Comandos que puede usar el usuario ({name, usage, description})
+  reconnecting: false // Reintentando la conexión tras un corte
 };
 
 // Al cargar documento
 document.addEventListener('DOMContentLoaded', () => {
   // Comprobar si hay una sesión guardada - USAR sessionStorage en lugar de localStorage
-  const savedUserId = sessionStorage.getItem('chatUserId');
-  const savedUsername = sessionStorage.getItem('chatUsername');
+  const savedToken = sessionStorage.getItem('chatToken');
   
-  if (savedUserId && savedUsername) {
-    // Auto-login con credenciales guardadas
-    usernameInput.value = savedUsername;
-    connectToChat(savedUsername, savedUserId);
+  if (savedToken) {
+    // Reanudar la sesión con el token guardado
+    connectToChat(savedToken).catch(() => {
+      // Token caducado o no válido: volver a pedir las credenciales
+      sessionStorage.removeItem('chatToken');
+    });
   }
   
   // Configurar eventos
@@ -47,13 +146,65 @@ document.addEventListener('DOMContentLoaded', () => {
 function setupEventListeners() {
   // Formulario de login
   loginForm.addEventListener('submit', handleLogin);
+  registerBtn.addEventListener('click', handleRegister);
   
   // Formulario de chat
   chatForm.addEventListener('submit', handleSendMessage);
+  messageInput.addEventListener('input', handleTypingInput);
+  messageInput.addEventListener('input', renderCommandSuggestions);
+  messageInput.addEventListener('keydown', handleCommandKeydown);
+  messageInput.addEventListener('input', renderMentionSuggestions);
+  messageInput.addEventListener('keydown', handleMentionKeydown);
+  
+  // Archivos adjuntos: con el botón o arrastrándolos sobre la zona de escritura
+  attachBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    sendFiles(Array.from(fileInput.files));
+    fileInput.value = '';
+  });
+  composer.addEventListener('dragover', (e) => {
+    if (!appState.connected || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    composer.classList.add('drag-over');
+  });
+  composer.addEventListener('dragleave', (e) => {
+    if (!composer.contains(e.relatedTarget)) {
+      composer.classList.remove('drag-over');
+    }
+  });
+  composer.addEventListener('drop', (e) => {
+    e.preventDefault();
+    composer.classList.remove('drag-over');
+    if (appState.connected) {
+      sendFiles(Array.from(e.dataTransfer.files));
+    }
+  });
   
   // Botón de logout
   logoutBtn.addEventListener('click', handleLogout);
   
+  // Cambio de nombre sin salir del chat
+  renameBtn.addEventListener('click', handleRename);
+  
+  // Búsqueda en el historial
+  searchBtn.addEventListener('click', toggleSearchPanel);
+  searchForm.addEventListener('submit', handleSearch);
+  
+  // Descarga de la transcripción
+  exportFormatSelect.addEventListener('change', downloadTranscript);
+  
+  // Hilos de respuestas
+  threadCloseBtn.addEventListener('click', closeThread);
+  threadReplyBtn.addEventListener('click', () => startReply(appState.quotable[appState.openThread]));
+  replyCancelBtn.addEventListener('click', cancelReply);
+  
+  // Formulario de creación de salas
+  roomForm.addEventListener('submit', handleCreateRoom);
+  
+  // Estado de presencia propio
+  presenceSelect.addEventListener('change', handlePresenceChange);
+  presenceForm.addEventListener('submit', handlePresenceChange);
+  
   // Selector de destinatario - nuevo evento
   recipientSelect.addEventListener('change', (e) => {
     appState.selectedRecipient = e.target.value;
@@ -61,18 +212,36 @@ function setupEventListeners() {
     if (appState.selectedRecipient === 'all') {
       messageInput.placeholder = 'Escribe un mensaje...';
     } else {
-      const recipientName = e.target.selectedOptions[0].text;
+      const recipientName = e.target.selectedOptions[0].dataset.username;
       messageInput.placeholder = `Mensaje privado para ${recipientName}...`;
     }
   });
   
   // Configurar callbacks de WebSocket
   socketClient.on('onMessage', handleIncomingMessage);
+  socketClient.on('onReceipt', handleReceipt);
+  socketClient.on('onTyping', handleTyping);
+  socketClient.on('onHistory', handleHistoryPage);
   socketClient.on('onUserListUpdate', updateUsersList);
+  socketClient.on('onPresenceUpdate', handlePresenceUpdate);
+  socketClient.on('onRoomListUpdate', updateRoomsList);
   socketClient.on('onConnect', handleSuccessfulConnection);
   socketClient.on('onDisconnect', handleDisconnection);
   socketClient.on('onError', displayError);
+  socketClient.on('onRateLimited', handleRateLimited);
+  socketClient.on('onSanction', handleSanction);
   socketClient.on('onUsernameError', handleUsernameError); // Nuevo evento para errores de nombre
+  
+  // Al llegar arriba del todo se cargan los mensajes anteriores
+  messagesContainer.addEventListener('scroll', () => {
+    if (messagesContainer.scrollTop < HISTORY_SCROLL_MARGIN) {
+      loadOlderMessages();
+    }
+  });
+  
+  // Al volver a la pestaña se leen los mensajes que llegaron mientras estaba oculta
+  document.addEventListener('visibilitychange', flushPendingReads);
+  document.addEventListener('visibilitychange', readMentions);
 }
 
 /**
@@ -81,10 +250,25 @@ function setupEventListeners() {
  */
 async function handleLogin(e) {
   e.preventDefault();
-  
+  await submitCredentials((username, password) => rmiClient.login(username, password));
+}
+
+/**
+ * Maneja el botón de creación de cuenta
+ */
+async function handleRegister() {
+  await submitCredentials((username, password) => rmiClient.registerUser(username, password));
+}
+
+/**
+ * Envía las credenciales del formulario y entra al chat con el token obtenido
+ * @param {Function} request - Petición que recibe (username, password) y devuelve {token}
+ */
+async function submitCredentials(request) {
   const username = usernameInput.value.trim();
-  if (!username) {
-    displayError('Por favor ingresa un nombre de usuario');
+  const password = passwordInput.value;
+  if (!username || !password) {
+    displayLoginError('Por favor ingresa un nombre de usuario y una contraseña');
     return;
   }
   
@@ -93,21 +277,19 @@ async function handleLogin(e) {
   
   // Mostrar indicador de carga
   usernameInput.disabled = true;
+  passwordInput.disabled = true;
+  registerBtn.disabled = true;
   loginForm.querySelector('button').disabled = true;
   loginForm.querySelector('button').textContent = 'Conectando...';
   
   try {
-    await connectToChat(username);
+    const session = await request(username, password);
+    await connectToChat(session.token);
   } catch (error) {
     console.error('Error al conectar al chat:', error);
 	
 	// Mostrar error con el nuevo sistema
     displayLoginError(error.message || 'Error al conectar al chat');
-    
-    // Restaurar estado del formulario
-    //usernameInput.disabled = false;
-    //loginForm.querySelector('button').disabled = false;
-    //loginForm.querySelector('button').textContent = 'Entrar al Chat';
   }
 }
 
@@ -131,26 +313,30 @@ function handleUsernameError(errorMessage) {
 
 /**
  * Conecta al chat usando WebSocket
- * @param {string} username - Nombre de usuario
- * @param {string} existingUserId - ID de usuario existente (opcional)
+ * @param {string} token - Token de sesión
+ * @param {string} since - Último mensaje recibido, al reconectar tras un corte (opcional)
  */
-async function connectToChat(username, existingUserId = null) {
+async function connectToChat(token, since = null) {
   try {
     // Conectar via WebSocket
-    const result = await socketClient.connect(username, existingUserId);
+    const result = await socketClient.connect(token, since);
     
     // Actualizar estado
     appState.userId = result.userId;
-    appState.username = username;
+    appState.username = result.username;
     appState.connected = true;
+    rmiClient.setCurrentUser(result.userId, result.username);
     
-    console.log('Conectado al chat como:', username, '(ID:', result.userId, ')');
+    console.log('Conectado al chat como:', result.username, '(ID:', result.userId, ')');
     
-    // Mostrar interfaz de chat
-    showChatInterface();
+    // Mostrar interfaz de chat (una sesión reanudada conserva lo que ya se ve)
+    if (!result.resumed) {
+      showChatInterface();
+    }
     
     // Obtener la lista de usuarios vía RMI
     rmiClient.getUsers().then(updateUsersList);
+    loadCommands();
   } catch (error) {
     console.error('Error de conexión:', error);
     throw error;
@@ -170,6 +356,7 @@ function showChatInterface() {
   // Habilitar envío de mensajes
   messageInput.disabled = false;
   chatForm.querySelector('button').disabled = false;
+  attachBtn.disabled = false;
   
   // Actualizar información de usuario
   currentUserDisplay.textContent = appState.username;
@@ -177,6 +364,11 @@ function showChatInterface() {
   // Limpiar mensajes anteriores si los hubiera
   messagesContainer.innerHTML = '';
   
+  // El servidor envía primero el historial de la sala por defecto
+  appState.currentRoom = DEFAULT_ROOM;
+  appState.unreadRooms = {};
+  appState.unreadMentions = {};
+  
   // Enfocar input de mensaje
   messageInput.focus();
 }
@@ -188,40 +380,368 @@ function showChatInterface() {
 function handleSendMessage(e) {
   e.preventDefault();
   
-  const msg = messageInput.value.trim();
+  let msg = messageInput.value.trim();
   if (!msg) return;
   
-  // Determinar si es mensaje privado o público
-  if (appState.selectedRecipient !== 'all') {
-	const recipientExists = appState.users.some(user => user.userId === appState.selectedRecipient);
-	
-	if(recipientExists){
-	// Obtener el nombre del destinatario
-    const recipientUsername = recipientSelect.selectedOptions[0].text;
-	  
-    // Enviar mensaje privado
-    socketClient.sendPrivateMessage(msg, appState.selectedRecipient, recipientUsername);
-    
-	} else {
-      // El destinatario ya no está disponible, cambiar a broadcast
-      displayError('El usuario destinatario ya no está conectado. El mensaje se enviará a todos los usuarios.');
-      
-      // Resetear destinatario
-      recipientSelect.value = 'all';
-      appState.selectedRecipient = 'all';
-      messageInput.placeholder = 'Escribe un mensaje...';
-      
-      // Enviar como mensaje público
-      socketClient.sendMessage(msg);
+  // Los mensajes que empiezan por / son comandos; // envía el texto con una sola barra
+  if (msg.startsWith('/') && !msg.startsWith('//')) {
+    stopTyping();
+    messageInput.value = '';
+    runCommand(msg);
+    return;
+  }
+  if (msg.startsWith('//')) {
+    msg = msg.slice(1);
+  }
+  
+  // Determinar si es una respuesta, un mensaje privado o uno público
+  if (appState.replyTo) {
+    // La respuesta va a la conversación del mensaje respondido, sea cual sea el destinatario elegido
+    const { messageId, targetUserId, targetUsername } = appState.replyTo;
+    if (targetUserId) {
+      socketClient.sendPrivateMessage(msg, targetUserId, targetUsername, appState.currentRoom, messageId);
+    } else {
+      socketClient.sendMessage(msg, appState.currentRoom, messageId);
     }
+    cancelReply();
+  } else if (appState.selectedRecipient !== 'all') {
+    // Obtener el nombre del destinatario
+    const recipientUsername = recipientSelect.selectedOptions[0].dataset.username;
+    
+    // Enviar mensaje privado (si el destinatario no está conectado, el servidor lo deja en cola)
+    socketClient.sendPrivateMessage(msg, appState.selectedRecipient, recipientUsername, appState.currentRoom);
   } else {
-    // Enviar mensaje público
-    socketClient.sendMessage(msg);
+    // Enviar mensaje público a la sala actual
+    socketClient.sendMessage(msg, appState.currentRoom);
   }
   
+  // El servidor retira el indicador de escritura al recibir el mensaje
+  stopTyping(false);
+  appState.lastSentMessage = msg;
+  
   // Limpiar input
   messageInput.value = '';
+  hideMentionSuggestions();
+  messageInput.focus();
+}
+
+/**
+ * Sube archivos y los envía como mensajes a la conversación actual (a la
+ * sala o al destinatario privado elegido)
+ * @param {Array<File>} files - Archivos elegidos o arrastrados
+ */
+async function sendFiles(files) {
+  for (const file of files) {
+    try {
+      const attachment = await rmiClient.uploadAttachment(file, socketClient.token);
+      
+      if (appState.selectedRecipient !== 'all') {
+        const recipientUsername = recipientSelect.selectedOptions[0].dataset.username;
+        socketClient.sendAttachment(attachment.uploadId, appState.currentRoom, appState.selectedRecipient, recipientUsername);
+      } else {
+        socketClient.sendAttachment(attachment.uploadId, appState.currentRoom);
+      }
+    } catch (error) {
+      displayError(error.message);
+    }
+  }
+}
+
+/**
+ * Ejecuta un comando en el servidor y muestra su resultado
+ * @param {string} text - Línea de comando (p.ej. "/msg ana hola")
+ */
+async function runCommand(text) {
+  hideCommandSuggestions();
+  
+  try {
+    const result = await rmiClient.invoke('runCommand', text, appState.currentRoom);
+    if (result.output) {
+      displayNotice(result.output);
+    }
+  } catch (error) {
+    appState.lastSentMessage = text;
+    if (error.code === 'RATE_LIMITED') {
+      handleRateLimited(error);
+      return;
+    }
+    
+    // Devolver el comando al campo de mensaje para corregirlo
+    displayError(error.message);
+    if (!messageInput.value) {
+      messageInput.value = text;
+    }
+  }
+}
+
+/**
+ * Obtiene del servidor los comandos que puede usar el usuario
+ */
+async function loadCommands() {
+  try {
+    appState.commands = await rmiClient.invoke('getCommands');
+  } catch (error) {
+    console.error('Error al obtener los comandos:', error);
+  }
+}
+
+/**
+ * Muestra los comandos que empiezan por lo escrito mientras se escribe su nombre
+ */
+function renderCommandSuggestions() {
+  const match = /^\/(\S*)$/.exec(messageInput.value);
+  const prefix = match ? match[1].toLowerCase() : null;
+  const matches = prefix === null
+    ? []
+    : appState.commands.filter(command => command.name.startsWith(prefix));
+  
+  commandSuggestions.innerHTML = '';
+  if (matches.length === 0) {
+    hideCommandSuggestions();
+    return;
+  }
+  
+  matches.forEach(command => {
+    const li = document.createElement('li');
+    li.dataset.name = command.name;
+    li.innerHTML = '<strong></strong> <span></span>';
+    li.querySelector('strong').textContent = command.usage;
+    li.querySelector('span').textContent = command.description;
+    li.addEventListener('mousedown', (e) => {
+      // mousedown: antes de que el campo pierda el foco
+      e.preventDefault();
+      completeCommand(command.name);
+    });
+    commandSuggestions.appendChild(li);
+  });
+  commandSuggestions.classList.remove('hidden');
+}
+
+/**
+ * Completa con Tab el primer comando sugerido y cierra las sugerencias con Escape
+ * @param {KeyboardEvent} e - Evento de teclado del campo de mensaje
+ */
+function handleCommandKeydown(e) {
+  if (commandSuggestions.classList.contains('hidden')) {
+    return;
+  }
+  
+  if (e.key === 'Tab') {
+    e.preventDefault();
+    completeCommand(commandSuggestions.firstChild.dataset.name);
+  } else if (e.key === 'Escape') {
+    hideCommandSuggestions();
+  }
+}
+
+/**
+ * Escribe el nombre completo de un comando en el campo de mensaje
+ * @param {string} name - Nombre del comando
+ */
+function completeCommand(name) {
+  messageInput.value = `/${name} `;
+  messageInput.focus();
+  hideCommandSuggestions();
+}
+
+/**
+ * Oculta la lista de comandos sugeridos
+ */
+function hideCommandSuggestions() {
+  commandSuggestions.classList.add('hidden');
+  commandSuggestions.innerHTML = '';
+}
+
+/**
+ * Muestra los usuarios cuyo nombre empieza por lo escrito tras una @
+ * justo antes del cursor
+ */
+function renderMentionSuggestions() {
+  const match = MENTION_PREFIX.exec(messageInput.value.slice(0, messageInput.selectionStart));
+  const prefix = match ? match[1].toLowerCase() : null;
+  const matches = prefix === null
+    ? []
+    : appState.users
+      .filter(user => user.userId !== appState.userId && user.username.toLowerCase().startsWith(prefix))
+      .slice(0, MAX_MENTION_SUGGESTIONS);
+  
+  mentionSuggestions.innerHTML = '';
+  if (matches.length === 0) {
+    hideMentionSuggestions();
+    return;
+  }
+  
+  matches.forEach(user => {
+    const li = document.createElement('li');
+    li.dataset.username = user.username;
+    li.innerHTML = '<strong></strong> <span></span>';
+    li.querySelector('strong').textContent = `@${user.username}`;
+    li.querySelector('span').textContent = PRESENCE_LABELS[user.presence || 'online'];
+    li.addEventListener('mousedown', (e) => {
+      // mousedown: antes de que el campo pierda el foco
+      e.preventDefault();
+      completeMention(user.username);
+    });
+    mentionSuggestions.appendChild(li);
+  });
+  mentionSuggestions.classList.remove('hidden');
+}
+
+/**
+ * Completa con Tab el primer usuario sugerido y cierra las sugerencias con Escape
+ * @param {KeyboardEvent} e - Evento de teclado del campo de mensaje
+ */
+function handleMentionKeydown(e) {
+  if (mentionSuggestions.classList.contains('hidden')) {
+    return;
+  }
+  
+  if (e.key === 'Tab') {
+    e.preventDefault();
+    completeMention(mentionSuggestions.firstChild.dataset.username);
+  } else if (e.key === 'Escape') {
+    hideMentionSuggestions();
+  }
+}
+
+/**
+ * Sustituye la mención que se está escribiendo por el nombre completo
+ * @param {string} username - Nombre del usuario mencionado
+ */
+function completeMention(username) {
+  const caret = messageInput.selectionStart;
+  const before = messageInput.value.slice(0, caret).replace(/@[^\s@]*$/, () => `@${username} `);
+  
+  messageInput.value = before + messageInput.value.slice(caret);
+  messageInput.setSelectionRange(before.length, before.length);
   messageInput.focus();
+  hideMentionSuggestions();
+}
+
+/**
+ * Oculta la lista de usuarios sugeridos
+ */
+function hideMentionSuggestions() {
+  mentionSuggestions.classList.add('hidden');
+  mentionSuggestions.innerHTML = '';
+}
+
+/**
+ * Maneja el rechazo de un mensaje por exceso de envíos: recupera el texto
+ * y bloquea el botón de enviar durante la espera indicada por el servidor
+ * @param {Object} fault - {message, retryAfter} (segundos)
+ */
+function handleRateLimited(fault) {
+  displayError(fault.message);
+  
+  if (appState.lastSentMessage && !messageInput.value) {
+    messageInput.value = appState.lastSentMessage;
+  }
+  appState.lastSentMessage = null;
+  
+  const sendButton = chatForm.querySelector('button');
+  let remaining = fault.retryAfter;
+  
+  clearInterval(appState.throttleTimer);
+  sendButton.disabled = true;
+  sendButton.textContent = `Espera ${remaining} s`;
+  
+  appState.throttleTimer = setInterval(() => {
+    remaining -= 1;
+    if (remaining > 0) {
+      sendButton.textContent = `Espera ${remaining} s`;
+      return;
+    }
+    
+    clearInterval(appState.throttleTimer);
+    appState.throttleTimer = null;
+    sendButton.disabled = !appState.connected;
+    sendButton.innerHTML = '<i class="fas fa-paper-plane"></i> Enviar';
+  }, 1000);
+}
+
+/**
+ * Avisa al servidor de que se está escribiendo, como mucho una vez cada
+ * TYPING_RENEW, y de que se dejó de escribir tras TYPING_IDLE sin teclear
+ */
+function handleTypingInput() {
+  // Un comando no es un mensaje: no se avisa de que se está escribiendo
+  if (!messageInput.value.trim() || messageInput.value.startsWith('/')) {
+    stopTyping();
+    return;
+  }
+  
+  const privateChat = appState.selectedRecipient !== 'all';
+  const conversation = privateChat ? `user:${appState.selectedRecipient}` : `room:${appState.currentRoom}`;
+  const now = Date.now();
+  
+  if (conversation !== appState.typingConversation || now - appState.typingSentAt >= TYPING_RENEW) {
+    const sent = socketClient.sendTyping(true, appState.currentRoom, privateChat ? appState.selectedRecipient : null);
+    if (sent) {
+      appState.typingSentAt = now;
+      appState.typingConversation = conversation;
+    }
+  }
+  
+  clearTimeout(appState.typingTimer);
+  appState.typingTimer = setTimeout(stopTyping, TYPING_IDLE);
+}
+
+/**
+ * Deja de avisar de que se está escribiendo
+ * @param {boolean} notify - Enviar TYPING_STOP (no hace falta al enviar el mensaje)
+ */
+function stopTyping(notify = true) {
+  clearTimeout(appState.typingTimer);
+  appState.typingTimer = null;
+  
+  if (appState.typingSentAt && notify) {
+    socketClient.sendTyping(false, appState.currentRoom);
+  }
+  appState.typingSentAt = 0;
+  appState.typingConversation = null;
+}
+
+/**
+ * Registra que otro usuario empieza o deja de escribir
+ * @param {Object} frame - Frame TYPING_START o TYPING_STOP
+ */
+function handleTyping(frame) {
+  if (frame.userId === appState.userId) return;
+  
+  if (frame.type === 'TYPING_START') {
+    appState.typing[frame.userId] = frame;
+  } else {
+    delete appState.typing[frame.userId];
+  }
+  
+  renderTypingIndicator();
+}
+
+/**
+ * Muestra quién está escribiendo en la sala actual o en privado al usuario
+ */
+function renderTypingIndicator() {
+  const names = Object.values(appState.typing)
+    .filter(frame => frame.targetUserId
+      ? frame.targetUserId === appState.userId
+      : frame.roomId === appState.currentRoom)
+    .map(frame => frame.targetUserId ? `${frame.username} (en privado)` : frame.username);
+  
+  if (names.length === 0) {
+    typingIndicator.classList.add('hidden');
+    typingIndicator.textContent = '';
+    return;
+  }
+  
+  if (names.length === 1) {
+    typingIndicator.textContent = `${names[0]} está escribiendo…`;
+  } else if (names.length === 2) {
+    typingIndicator.textContent = `${names[0]} y ${names[1]} están escribiendo…`;
+  } else {
+    typingIndicator.textContent = 'Varias personas están escribiendo…';
+  }
+  typingIndicator.classList.remove('hidden');
 }
 
 /**
@@ -235,6 +755,28 @@ function handleLogout() {
   appState.userId = null;
   appState.username = null;
   appState.connected = false;
+  appState.lastMessageAt = null;
+  appState.receipts = {};
+  appState.acknowledged = {};
+  appState.pendingReads = [];
+  appState.typing = {};
+  stopTyping(false);
+  renderTypingIndicator();
+  appState.role = null;
+  appState.commands = [];
+  hideCommandSuggestions();
+  hideMentionSuggestions();
+  appState.historyComplete = {};
+  appState.loadingHistory = false;
+  appState.pendingJump = null;
+  appState.reactions = {};
+  appState.quotable = {};
+  cancelReply();
+  closeThread();
+  searchResults.innerHTML = '';
+  searchSummary.textContent = '';
+  searchPanel.classList.add('hidden');
+  chatArea.classList.remove('searching');
   
   // Volver a mostrar login
   chatArea.classList.add('hidden');
@@ -243,19 +785,37 @@ function handleLogout() {
   // Resetear formularios
   usernameInput.disabled = false;
   usernameInput.value = '';
+  passwordInput.disabled = false;
+  passwordInput.value = '';
+  registerBtn.disabled = false;
   loginForm.querySelector('button').disabled = false;
   loginForm.querySelector('button').textContent = 'Entrar al Chat';
   
   // Deshabilitar envío de mensajes
+  clearInterval(appState.throttleTimer);
+  appState.throttleTimer = null;
   messageInput.disabled = true;
   chatForm.querySelector('button').disabled = true;
+  chatForm.querySelector('button').innerHTML = '<i class="fas fa-paper-plane"></i> Enviar';
+  attachBtn.disabled = true;
   
   // Limpiar mensajes
   messagesContainer.innerHTML = '';
   usersList.innerHTML = '';
+  roomsList.innerHTML = '';
+  
+  // Limpiar estado de salas
+  appState.rooms = [];
+  appState.currentRoom = DEFAULT_ROOM;
+  appState.unreadRooms = {};
+  appState.unreadMentions = {};
   
   // Limpiar selector de destinatarios
   recipientSelect.innerHTML = '<option value="all">Todos</option>';
+  
+  // Restablecer el estado de presencia
+  presenceSelect.value = 'online';
+  statusTextInput.value = '';
 }
 
 /**
@@ -263,60 +823,184 @@ function handleLogout() {
  * @param {Object} message - Mensaje recibido
  */
 function handleIncomingMessage(message) {
-	// Procesar comandos del sistema
-  if (message.type === 'SYSTEM_COMMAND') {
-    // Comando para resetear el destinatario a "todos"
-    if (message.content === 'RESET_RECIPIENT') {
-      recipientSelect.value = 'all';
-      appState.selectedRecipient = 'all';
-      messageInput.placeholder = 'Escribe un mensaje...';
-      return; // No mostrar este mensaje en el chat
-    }
+  // Las ediciones y borrados modifican un mensaje ya mostrado
+  if (message.type === 'EDIT' || message.type === 'DELETE') {
+    handleMessageUpdate(message);
+    return;
+  }
+  
+  // Las reacciones solo cambian el recuento de un mensaje ya mostrado
+  if (message.type === 'REACTION_ADD' || message.type === 'REACTION_REMOVE') {
+    handleReactionUpdate(message);
+    return;
+  }
+  
+  // Las menciones avisan de un mensaje que llega (o llegó) por su sala
+  if (message.type === 'MENTION') {
+    handleMention(message);
+    return;
+  }
+  
+  // Un cambio de nombre se aplica aunque se esté viendo otra sala
+  if (message.type === 'NICK_CHANGE') {
+    handleNickChange(message);
   }
+  
+  // Recordar el último mensaje guardado recibido para pedir solo lo perdido al reconectar
+  if (message.messageId && (!appState.lastMessageAt || message.timestamp > appState.lastMessageAt)) {
+    appState.lastMessageAt = message.timestamp;
+  }
+  
+  // Confirmar la entrega de los mensajes de otros usuarios
+  acknowledgeMessage(message, 'DELIVERED');
+  
+  // Los mensajes de otras salas solo incrementan su contador de no leídos
+  if (message.roomId && message.roomId !== appState.currentRoom && !isPrivateMessage(message)) {
+    appState.unreadRooms[message.roomId] = (appState.unreadRooms[message.roomId] || 0) + 1;
+    updateRoomsList(appState.rooms);
+    return;
+  }
+  
+  // Una respuesta suma uno al contador de su mensaje y aparece en su hilo si está abierto
+  if (message.replyTo) {
+    handleNewReply(message);
+  }
+  
+  // Añadir mensaje al contenedor
+  messagesContainer.appendChild(createMessageElement(message));
+  
+  // Scroll al último mensaje
+  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  
+  // Un mensaje mostrado con la pestaña visible se da por leído
+  if (document.visibilityState === 'visible') {
+    acknowledgeMessage(message, 'READ');
+  } else if (message.messageId && message.userId !== appState.userId) {
+    appState.pendingReads.push(message);
+  }
+}
+
+/**
+ * Pide la página del historial anterior al mensaje más antiguo mostrado
+ * @param {number} limit - Mensajes de la página (opcional)
+ */
+function loadOlderMessages(limit = null) {
+  const roomId = appState.currentRoom;
+  if (appState.loadingHistory || appState.historyComplete[roomId]) {
+    return;
+  }
+  
+  const oldest = messagesContainer.querySelector('[data-message-id]');
+  if (!oldest) {
+    return;
+  }
+  
+  appState.loadingHistory = socketClient.requestHistory(roomId, { before: oldest.dataset.messageId }, limit);
+}
+
+/**
+ * Muestra encima de los mensajes actuales una página anterior del historial
+ * sin mover lo que se está viendo
+ * @param {Object} page - {roomId, messages, receipts, hasMore}
+ */
+function handleHistoryPage(page) {
+  appState.loadingHistory = false;
+  
+  // Respuesta de una sala que ya no se está viendo
+  if (page.roomId !== appState.currentRoom) {
+    return;
+  }
+  
+  const fragment = document.createDocumentFragment();
+  
+  if (!page.hasMore) {
+    appState.historyComplete[page.roomId] = true;
+    
+    const start = document.createElement('div');
+    start.classList.add('history-start');
+    start.textContent = 'Principio de la conversación';
+    fragment.appendChild(start);
+  }
+  
+  page.messages
+    .filter(message => !messagesContainer.querySelector(`[data-message-id="${message.messageId}"]`))
+    .forEach(message => fragment.appendChild(createMessageElement(message)));
+  
+  const previousHeight = messagesContainer.scrollHeight;
+  messagesContainer.insertBefore(fragment, messagesContainer.firstChild);
+  messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+  
+  page.receipts.forEach(receipt => handleReceipt({ ...receipt, type: receipt.state }));
+  
+  // Seguir retrocediendo si se busca un mensaje que aún no ha aparecido
+  if (appState.pendingJump) {
+    revealPendingMessage();
+  }
+}
 
+/**
+ * Crea el elemento que muestra un mensaje
+ * @param {Object} message - Mensaje a mostrar
+ * @returns {HTMLElement} - Elemento del mensaje
+ */
+function createMessageElement(message) {
   // Crear elemento de mensaje
   const div = document.createElement('div');
   
   // Determinar tipo de mensaje
-  if (message.type === 'JOIN' || message.type === 'LEAVE') {
+  if (message.type === 'JOIN' || message.type === 'LEAVE' || message.type === 'NICK_CHANGE') {
     div.classList.add('message', 'system', message.type.toLowerCase());
     div.innerHTML = `
-      <p class="text">${message.content}</p>
+      <p class="text"></p>
       <p class="meta">${formatTime(message.timestamp)}</p>
     `;
-  } else if (message.type === 'PRIVATE') {
+    // El contenido incluye nombres elegidos por los usuarios
+    div.querySelector('.text').textContent = message.content;
+  } else if (isPrivateMessage(message)) {
     // Mensaje privado
     div.classList.add('message', 'private');
 	
 	// Asegurar que tengamos el nombre del destinatario
     const recipientName = message.recipientUsername || message.targetUsername || 'usuario';
     
+    div.innerHTML = `
+      <p class="meta">
+        <span class="sender"></span>
+        <span class="time">${formatTime(message.timestamp)}</span>
+      </p>
+      <p class="text"></p>
+    `;
+    
     // Si es mensaje propio, añadir clase
     if (message.userId === appState.userId) {
       div.classList.add('self');
-      div.innerHTML = `
-        <p class="meta">
-          <span>Mensaje privado para ${recipientName}</span>
-          <span class="time">${formatTime(message.timestamp)}</span>
-        </p>
-        <p class="text">${message.content}</p>
-      `;
+      div.querySelector('.sender').textContent = `Mensaje privado para ${recipientName}`;
     } else {
-      div.innerHTML = `
-        <p class="meta">
-          <span>Mensaje privado de ${message.username}</span>
-          <span class="time">${formatTime(message.timestamp)}</span>
-        </p>
-        <p class="text">${message.content}</p>
-      `;
-    }
-  } else if (message.type === 'ERROR') {
-    // Mensaje de error
+      div.querySelector('.sender').textContent = `Mensaje privado de ${message.username}`;
+    }
+    // Nombres y contenido los escriben los usuarios: nunca como HTML
+    div.querySelector('.text').textContent = message.content;
+  } else if (message.type === 'ERROR' || message.type === 'SYSTEM_COMMAND') {
+    // Mensaje de error o aviso de una sanción
     div.classList.add('message', 'system', 'error');
     div.innerHTML = `
-      <p class="text">${message.content}</p>
+      <p class="text"></p>
       <p class="meta">${formatTime(message.timestamp)}</p>
     `;
+    // Los avisos de sanción incluyen el motivo escrito por el moderador
+    div.querySelector('.text').textContent = message.content;
+  } else if (message.emote) {
+    // Acción en tercera persona (/me)
+    div.classList.add('message', 'emote');
+    if (message.userId === appState.userId) {
+      div.classList.add('self');
+    }
+    
+    div.innerHTML = `
+      <p class="meta"><span class="time">${formatTime(message.timestamp)}</span></p>
+      <p class="text"></p>
+    `;
+    div.querySelector('.text').textContent = `* ${message.username} ${message.content}`;
   } else {
     // Mensaje normal
     div.classList.add('message');
@@ -328,20 +1012,708 @@ function handleIncomingMessage(message) {
     
     div.innerHTML = `
       <p class="meta">
-        <span>${message.username}</span> 
+        <span class="sender"></span> 
         <span class="time">${formatTime(message.timestamp)}</span>
       </p>
-      <p class="text">${message.content}</p>
+      <p class="text"></p>
     `;
+    div.querySelector('.sender').textContent = message.username;
+    div.querySelector('.text').textContent = message.content;
   }
   
-  // Añadir mensaje al contenedor
-  messagesContainer.appendChild(div);
+  // El archivo va debajo del texto (que puede estar vacío)
+  if (message.type === 'ATTACHMENT' && !message.deleted) {
+    div.querySelector('.text').after(createAttachmentElement(message));
+  }
   
-  // Scroll al último mensaje
-  messagesContainer.scrollTop = messagesContainer.scrollHeight;
-}
-
+  // Cita del mensaje respondido encima del texto
+  if (message.replyTo && !message.deleted) {
+    div.querySelector('.text').before(createReplyQuote(message.replyTo));
+  }
+  
+  // Mensaje que menciona al usuario
+  if (message.mentions && message.mentions.includes(appState.userId)) {
+    div.classList.add('mentioned');
+  }
+  
+  if (message.messageId) {
+    div.dataset.messageId = message.messageId;
+    
+    // Mensaje editado o eliminado antes de mostrarse (historial)
+    if (message.editedAt || message.deleted) {
+      renderMessageChanges(div, message);
+    }
+    
+    if (!message.deleted && REACTABLE_TYPES.includes(message.type)) {
+      appState.reactions[message.messageId] = message.reactions || [];
+      appState.quotable[message.messageId] = message;
+      div.appendChild(createMessageFooter(message));
+    }
+    
+    // Los mensajes propios se pueden modificar y muestran su estado de entrega y lectura
+    if (message.userId === appState.userId) {
+      if (!message.deleted) {
+        addMessageActions(div);
+      }
+      
+      const status = document.createElement('p');
+      status.classList.add('delivery-status');
+      // El destinatario no está conectado: se le entregará al volver
+      if (message.status === 'queued') {
+        status.dataset.queued = 'true';
+      }
+      div.appendChild(status);
+      renderDeliveryStatus(status, message.messageId);
+    }
+  }
+  
+  return div;
+}
+
+/**
+ * Crea la vista de un archivo adjunto: miniatura para las imágenes y
+ * tarjeta con nombre y tamaño para el resto
+ * @param {Object} message - Mensaje ATTACHMENT ({uploadId, filename, size, mimeType})
+ * @returns {HTMLElement} - Enlace al archivo
+ */
+function createAttachmentElement(message) {
+  const link = document.createElement('a');
+  link.classList.add('attachment');
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.title = message.filename;
+  
+  if (String(message.mimeType).startsWith('image/')) {
+    const img = document.createElement('img');
+    img.classList.add('attachment-thumb');
+    img.alt = message.filename;
+    img.loading = 'lazy';
+    // Una miniatura que se carga tarde puede encontrar el enlace caducado: se pide otro una vez
+    img.addEventListener('error', () => {
+      if (!img.dataset.retried) {
+        img.dataset.retried = 'true';
+        loadAttachmentUrl(link, message, true);
+      }
+    });
+    link.appendChild(img);
+  } else {
+    link.classList.add('file-card');
+    link.innerHTML = '<i class="fas fa-file"></i><span class="file-name"></span><span class="file-size"></span>';
+    link.querySelector('.file-name').textContent = message.filename;
+    link.querySelector('.file-size').textContent = formatFileSize(Number(message.size));
+  }
+  
+  // Los enlaces no pueden llevar cabeceras: se usa un enlace firmado de vida
+  // corta, que se renueva si ha caducado cuando el usuario va a abrirlo
+  loadAttachmentUrl(link, message);
+  link.addEventListener('pointerenter', () => loadAttachmentUrl(link, message));
+  link.addEventListener('focus', () => loadAttachmentUrl(link, message));
+  
+  return link;
+}
+
+/**
+ * Pide al servidor un enlace firmado para un archivo adjunto y lo aplica al
+ * enlace (y a la miniatura si aún no se ha cargado)
+ * @param {HTMLAnchorElement} link - Enlace creado por createAttachmentElement
+ * @param {Object} message - Mensaje ATTACHMENT
+ * @param {boolean} force - Pedir un enlace nuevo aunque el actual no haya caducado
+ */
+async function loadAttachmentUrl(link, message, force = false) {
+  // Margen para que el enlace no caduque entre el clic y la descarga
+  const valid = Date.parse(link.dataset.expires || '') - Date.now() > 30000;
+  if ((valid && !force) || link.dataset.loading) {
+    return;
+  }
+  
+  link.dataset.loading = 'true';
+  try {
+    const { url, expires } = await rmiClient.invoke('getAttachmentUrl', message.uploadId);
+    link.dataset.expires = expires;
+    
+    const img = link.querySelector('img');
+    if (img) {
+      link.href = url;
+      if (!img.naturalWidth) {
+        img.src = url;
+      }
+    } else {
+      link.href = `${url}&download=1`;
+    }
+  } catch (error) {
+    console.error('Error al obtener el enlace del archivo:', error);
+  } finally {
+    delete link.dataset.loading;
+  }
+}
+
+/**
+ * Pide un nombre nuevo y lo cambia en el servidor sin cerrar la sesión
+ */
+async function handleRename() {
+  const name = prompt('Nuevo nombre de usuario:', appState.username);
+  if (name === null || !name.trim() || name.trim() === appState.username) {
+    return;
+  }
+  
+  try {
+    await rmiClient.invoke('renameUser', name.trim());
+  } catch (error) {
+    displayError(error.message);
+  }
+}
+
+/**
+ * Aplica el cambio de nombre de un usuario a lo que no se refresca con la
+ * lista de usuarios (nombre propio e indicador de escritura)
+ * @param {Object} message - Mensaje NICK_CHANGE (targetUserId con su nuevo targetUsername)
+ */
+function handleNickChange(message) {
+  if (message.targetUserId === appState.userId) {
+    appState.username = message.targetUsername;
+    currentUserDisplay.textContent = message.targetUsername;
+    socketClient.username = message.targetUsername;
+    rmiClient.setCurrentUser(appState.userId, message.targetUsername);
+  }
+  
+  const typing = appState.typing[message.targetUserId];
+  if (typing) {
+    typing.username = message.targetUsername;
+    renderTypingIndicator();
+  }
+}
+
+/**
+ * Aplica una edición o un borrado al mensaje mostrado (si está a la vista)
+ * @param {Object} update - Frame EDIT o DELETE con el messageId del mensaje
+ */
+function handleMessageUpdate(update) {
+  updateQuotedMessage(update);
+  
+  const div = messagesContainer.querySelector(`[data-message-id="${update.messageId}"]`);
+  if (!div) return;
+  
+  if (update.type === 'DELETE') {
+    renderMessageChanges(div, { deleted: true });
+  } else {
+    renderMessageChanges(div, { content: update.content, editedAt: update.timestamp });
+    // La edición puede añadir o quitar la mención al usuario
+    div.classList.toggle('mentioned', Boolean(update.mentions && update.mentions.includes(appState.userId)));
+  }
+}
+
+/**
+ * Muestra el contenido actual de un mensaje editado o la marca de un
+ * mensaje eliminado
+ * @param {HTMLElement} div - Elemento del mensaje
+ * @param {Object} message - Mensaje con content y editedAt, o deleted
+ */
+function renderMessageChanges(div, message) {
+  const text = div.querySelector('.text');
+  
+  if (message.deleted) {
+    div.classList.add('deleted');
+    text.innerHTML = '<i class="fas fa-ban"></i> Mensaje eliminado';
+    
+    const attachment = div.querySelector('.attachment');
+    if (attachment) attachment.remove();
+    const footer = div.querySelector('.message-footer');
+    if (footer) footer.remove();
+    const quote = div.querySelector('.reply-quote');
+    if (quote) quote.remove();
+    delete appState.reactions[div.dataset.messageId];
+    const actions = div.querySelector('.message-actions');
+    if (actions) actions.remove();
+    const edited = div.querySelector('.edited');
+    if (edited) edited.remove();
+    return;
+  }
+  
+  text.textContent = message.content;
+  
+  if (!div.querySelector('.edited')) {
+    const marker = document.createElement('span');
+    marker.classList.add('edited');
+    marker.textContent = '(editado)';
+    div.querySelector('.meta').appendChild(marker);
+  }
+  div.querySelector('.edited').title = `Editado a las ${formatTime(message.editedAt)}`;
+}
+
+/**
+ * Añade a un mensaje propio los botones de editar y eliminar
+ * @param {HTMLElement} div - Elemento del mensaje (con data-message-id)
+ */
+function addMessageActions(div) {
+  const actions = document.createElement('span');
+  actions.classList.add('message-actions');
+  actions.innerHTML = `
+    <button type="button" class="edit-btn" title="Editar"><i class="fas fa-pen"></i></button>
+    <button type="button" class="delete-btn" title="Eliminar"><i class="fas fa-trash"></i></button>
+  `;
+  
+  actions.querySelector('.edit-btn').addEventListener('click', () => {
+    const current = div.querySelector('.text').textContent.trim();
+    const content = prompt('Editar mensaje:', current);
+    
+    if (content !== null && content.trim() && content.trim() !== current) {
+      socketClient.editMessage(div.dataset.messageId, content.trim());
+    }
+  });
+  
+  actions.querySelector('.delete-btn').addEventListener('click', () => {
+    if (confirm('¿Eliminar este mensaje? Los demás verán que se ha borrado.')) {
+      socketClient.deleteMessage(div.dataset.messageId);
+    }
+  });
+  
+  div.querySelector('.meta').appendChild(actions);
+}
+
+/**
+ * Crea la fila bajo un mensaje: una ficha por reacción, los botones para
+ * reaccionar y responder y el enlace a su hilo si tiene respuestas
+ * @param {Object} message - Mensaje (sus reacciones están en appState.reactions)
+ * @returns {HTMLElement} - Fila del mensaje
+ */
+function createMessageFooter(message) {
+  const messageId = message.messageId;
+  const row = document.createElement('div');
+  row.classList.add('message-footer');
+  row.innerHTML = `
+    <span class="reaction-chips"></span>
+    <button type="button" class="reaction-add" title="Reaccionar"><i class="far fa-smile"></i></button>
+    <span class="reaction-picker hidden"></span>
+    <button type="button" class="reply-btn" title="Responder"><i class="fas fa-reply"></i></button>
+    <a href="#" class="thread-link hidden"></a>
+  `;
+  
+  const picker = row.querySelector('.reaction-picker');
+  QUICK_REACTIONS.forEach(emoji => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = emoji;
+    button.addEventListener('click', () => {
+      picker.classList.add('hidden');
+      toggleReaction(messageId, emoji);
+    });
+    picker.appendChild(button);
+  });
+  
+  row.querySelector('.reaction-add').addEventListener('click', () => picker.classList.toggle('hidden'));
+  row.querySelector('.reply-btn').addEventListener('click', () => startReply(appState.quotable[messageId]));
+  row.querySelector('.thread-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    openThread(messageId);
+  });
+  
+  renderReactions(row, messageId);
+  renderReplyCount(row, Number(message.replyCount) || 0);
+  return row;
+}
+
+/**
+ * Dibuja las fichas de reacción de un mensaje (emoji y recuento; al pasar
+ * el ratón se ve quién ha reaccionado)
+ * @param {HTMLElement} row - Fila de reacciones del mensaje
+ * @param {string} messageId - ID del mensaje
+ */
+function renderReactions(row, messageId) {
+  const chips = row.querySelector('.reaction-chips');
+  chips.innerHTML = '';
+  
+  (appState.reactions[messageId] || []).forEach(reaction => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.classList.add('reaction-chip');
+    chip.textContent = `${reaction.emoji} ${reaction.count}`;
+    chip.title = reaction.users.map(user => user.username).join(', ');
+    if (reaction.users.some(user => user.userId === appState.userId)) {
+      chip.classList.add('mine');
+    }
+    chip.addEventListener('click', () => toggleReaction(messageId, reaction.emoji));
+    chips.appendChild(chip);
+  });
+}
+
+/**
+ * Añade una reacción propia o la quita si ya se había reaccionado con ese emoji
+ * @param {string} messageId - ID del mensaje
+ * @param {string} emoji - Emoji de la reacción
+ */
+function toggleReaction(messageId, emoji) {
+  const reaction = (appState.reactions[messageId] || []).find(entry => entry.emoji === emoji);
+  
+  if (reaction && reaction.users.some(user => user.userId === appState.userId)) {
+    socketClient.removeReaction(messageId, emoji);
+  } else {
+    socketClient.addReaction(messageId, emoji);
+  }
+}
+
+/**
+ * Aplica un aviso REACTION_ADD o REACTION_REMOVE a un mensaje mostrado
+ * @param {Object} update - Aviso con messageId, userId, username, emoji y count
+ */
+function handleReactionUpdate(update) {
+  const reactions = appState.reactions[update.messageId];
+  if (!reactions) {
+    return;
+  }
+  
+  let reaction = reactions.find(entry => entry.emoji === update.emoji);
+  if (!reaction) {
+    reaction = { emoji: update.emoji, count: 0, users: [] };
+    reactions.push(reaction);
+  }
+  
+  reaction.users = reaction.users.filter(user => user.userId !== update.userId);
+  if (update.type === 'REACTION_ADD') {
+    reaction.users.push({ userId: update.userId, username: update.username });
+  }
+  // El recuento del servidor manda (incluye cambios anteriores a cargar el mensaje)
+  reaction.count = Number(update.count);
+  
+  appState.reactions[update.messageId] = reactions.filter(entry => entry.count > 0);
+  
+  const row = messagesContainer.querySelector(`[data-message-id="${update.messageId}"] .message-footer`);
+  if (row) {
+    renderReactions(row, update.messageId);
+  }
+}
+
+/**
+ * Muestra en la fila de un mensaje el enlace "N respuestas" a su hilo
+ * @param {HTMLElement} row - Fila del mensaje
+ * @param {number} count - Número de respuestas
+ */
+function renderReplyCount(row, count) {
+  const link = row.querySelector('.thread-link');
+  row.dataset.replyCount = count;
+  link.textContent = `${count} ${count === 1 ? 'respuesta' : 'respuestas'}`;
+  link.classList.toggle('hidden', !count);
+}
+
+/**
+ * Crea la cita del mensaje al que responde otro. Si el mensaje respondido
+ * no está cargado se pide al servidor.
+ * @param {string} parentId - ID del mensaje respondido
+ * @returns {HTMLElement} - Cita (al pulsarla se abre el hilo)
+ */
+function createReplyQuote(parentId) {
+  const quote = document.createElement('blockquote');
+  quote.classList.add('reply-quote');
+  quote.dataset.replyTo = parentId;
+  quote.innerHTML = '<strong></strong> <span></span>';
+  quote.title = 'Ver el hilo';
+  quote.addEventListener('click', () => openThread(parentId));
+  
+  const parent = appState.quotable[parentId];
+  if (parent) {
+    renderReplyQuote(quote, parent);
+  } else {
+    quote.querySelector('span').textContent = '…';
+    loadQuotedMessage(parentId);
+  }
+  
+  return quote;
+}
+
+/**
+ * Escribe en una cita el autor y el principio del mensaje respondido
+ * @param {HTMLElement} quote - Cita
+ * @param {Object} parent - Mensaje respondido
+ */
+function renderReplyQuote(quote, parent) {
+  quote.querySelector('strong').textContent = parent.username;
+  quote.querySelector('span').textContent = parent.deleted ? 'Mensaje eliminado' : summarizeMessage(parent, QUOTE_LENGTH);
+}
+
+/**
+ * Pide al servidor un mensaje respondido que no está cargado y completa sus citas
+ * @param {string} parentId - ID del mensaje respondido
+ */
+async function loadQuotedMessage(parentId) {
+  // Una sola petición aunque lo citen varias respuestas
+  if (parentId in appState.quotable) {
+    return;
+  }
+  appState.quotable[parentId] = null;
+  
+  let parent;
+  try {
+    const thread = await rmiClient.invoke('getThread', parentId);
+    parent = thread.message;
+    appState.quotable[parentId] = parent;
+  } catch (error) {
+    // Se vuelve a intentar con la próxima respuesta que lo cite
+    delete appState.quotable[parentId];
+    parent = null;
+  }
+  
+  document.querySelectorAll(`.reply-quote[data-reply-to="${parentId}"]`).forEach(quote => {
+    if (parent) {
+      renderReplyQuote(quote, parent);
+    } else {
+      quote.querySelector('span').textContent = 'Mensaje no disponible';
+    }
+  });
+}
+
+/**
+ * Aplica una edición o un borrado a las citas y al hilo abierto que
+ * muestran el mensaje
+ * @param {Object} update - Mensaje EDIT o DELETE
+ */
+function updateQuotedMessage(update) {
+  const message = appState.quotable[update.messageId];
+  if (message) {
+    if (update.type === 'DELETE') {
+      message.deleted = true;
+      message.content = '';
+    } else {
+      message.content = update.content;
+    }
+    
+    document.querySelectorAll(`.reply-quote[data-reply-to="${update.messageId}"]`)
+      .forEach(quote => renderReplyQuote(quote, message));
+  }
+  
+  if (appState.openThread && threadMessages.querySelector(`[data-message-id="${update.messageId}"]`)) {
+    openThread(appState.openThread);
+  }
+}
+
+/**
+ * Cuenta una respuesta nueva en su mensaje y la añade al hilo si está abierto
+ * @param {Object} reply - Mensaje con replyTo
+ */
+function handleNewReply(reply) {
+  const row = messagesContainer.querySelector(`[data-message-id="${reply.replyTo}"] .message-footer`);
+  if (row) {
+    renderReplyCount(row, Number(row.dataset.replyCount) + 1);
+  }
+  
+  if (appState.openThread === reply.replyTo) {
+    threadMessages.appendChild(createThreadEntry(reply));
+    threadMessages.scrollTop = threadMessages.scrollHeight;
+  }
+}
+
+/**
+ * Prepara el campo de mensaje para responder a un mensaje. La respuesta a
+ * un privado va a la otra persona de esa conversación.
+ * @param {Object} message - Mensaje respondido
+ */
+function startReply(message) {
+  if (!message || message.deleted) return;
+  
+  appState.replyTo = { messageId: message.messageId };
+  if (isPrivateMessage(message)) {
+    const own = message.userId === appState.userId;
+    appState.replyTo.targetUserId = own ? message.targetUserId : message.userId;
+    appState.replyTo.targetUsername = own ? message.targetUsername : message.username;
+  }
+  
+  replyBannerText.textContent = `Respondiendo a ${message.username}: ${summarizeMessage(message, QUOTE_LENGTH)}`;
+  replyBanner.classList.remove('hidden');
+  messageInput.focus();
+}
+
+/**
+ * Deja de responder a un mensaje
+ */
+function cancelReply() {
+  appState.replyTo = null;
+  replyBanner.classList.add('hidden');
+  replyBannerText.textContent = '';
+}
+
+/**
+ * Abre en el panel lateral el hilo de un mensaje: el mensaje y sus respuestas
+ * @param {string} messageId - ID del mensaje respondido
+ */
+async function openThread(messageId) {
+  let thread;
+  try {
+    thread = await rmiClient.invoke('getThread', messageId);
+  } catch (error) {
+    displayError(error.message);
+    return;
+  }
+  
+  appState.openThread = messageId;
+  appState.quotable[messageId] = thread.message;
+  
+  threadMessages.innerHTML = '';
+  threadMessages.appendChild(createThreadEntry(thread.message));
+  threadMessages.firstChild.classList.add('thread-parent');
+  thread.replies.forEach(reply => threadMessages.appendChild(createThreadEntry(reply)));
+  threadReplyBtn.disabled = Boolean(thread.message.deleted);
+  
+  // El recuento del servidor corrige el mostrado
+  const row = messagesContainer.querySelector(`[data-message-id="${messageId}"] .message-footer`);
+  if (row) {
+    renderReplyCount(row, thread.replies.length);
+  }
+  
+  // El hilo y la búsqueda comparten el lateral
+  searchPanel.classList.add('hidden');
+  chatArea.classList.remove('searching');
+  threadPanel.classList.remove('hidden');
+  chatArea.classList.add('threading');
+}
+
+/**
+ * Cierra el panel del hilo
+ */
+function closeThread() {
+  appState.openThread = null;
+  threadPanel.classList.add('hidden');
+  chatArea.classList.remove('threading');
+  threadMessages.innerHTML = '';
+}
+
+/**
+ * Crea la entrada de un mensaje en el panel del hilo
+ * @param {Object} message - Mensaje respondido o respuesta
+ * @returns {HTMLElement} - Entrada del hilo
+ */
+function createThreadEntry(message) {
+  const entry = document.createElement('div');
+  entry.classList.add('thread-message');
+  entry.dataset.messageId = message.messageId;
+  entry.innerHTML = '<p class="meta"><span></span> <span class="time"></span></p><p class="text"></p>';
+  
+  entry.querySelector('.meta span').textContent = message.username;
+  entry.querySelector('.time').textContent = formatTime(message.timestamp);
+  if (message.deleted) {
+    entry.classList.add('deleted');
+    entry.querySelector('.text').textContent = 'Mensaje eliminado';
+  } else {
+    entry.querySelector('.text').textContent = summarizeMessage(message);
+  }
+  
+  return entry;
+}
+
+/**
+ * Texto de un mensaje para citarlo: su contenido y, si es un archivo, su nombre
+ * @param {Object} message - Mensaje
+ * @param {number} maxLength - Caracteres máximos (opcional)
+ * @returns {string} - Texto del mensaje
+ */
+function summarizeMessage(message, maxLength = 0) {
+  const text = [message.content, message.type === 'ATTACHMENT' ? `📎 ${message.filename}` : '']
+    .filter(Boolean)
+    .join(' ');
+  return maxLength && text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Confirma al servidor la entrega o lectura de un mensaje de otro usuario
+ * (cada estado se confirma una sola vez)
+ * @param {Object} message - Mensaje recibido
+ * @param {string} state - DELIVERED o READ
+ */
+function acknowledgeMessage(message, state) {
+  if (!message.messageId || message.userId === appState.userId || message.userId === 'system') {
+    return;
+  }
+  
+  const previous = appState.acknowledged[message.messageId];
+  if (previous === state || previous === 'READ') {
+    return;
+  }
+  
+  if (socketClient.sendReceipt(message.messageId, state)) {
+    appState.acknowledged[message.messageId] = state;
+  }
+}
+
+/**
+ * Marca como leídos los mensajes que se mostraron con la pestaña oculta
+ */
+function flushPendingReads() {
+  if (document.visibilityState !== 'visible') return;
+  
+  const pending = appState.pendingReads;
+  appState.pendingReads = [];
+  pending.forEach(message => acknowledgeMessage(message, 'READ'));
+}
+
+/**
+ * Cuenta una mención propia como no leída salvo que se esté viendo su sala.
+ * El mensaje en sí llega (o ya llegó) por la sala y se resalta al mostrarse.
+ * @param {Object} mention - Frame MENTION (messageId, roomId y el texto del mensaje)
+ */
+function handleMention(mention) {
+  if (mention.roomId === appState.currentRoom && document.visibilityState === 'visible') {
+    return;
+  }
+  
+  appState.unreadMentions[mention.roomId] = (appState.unreadMentions[mention.roomId] || 0) + 1;
+  
+  // Las menciones en cola llegan al conectarse, antes que la lista de salas
+  if (appState.rooms.length > 0) {
+    updateRoomsList(appState.rooms);
+  }
+}
+
+/**
+ * Da por leídas las menciones de la sala actual al volver a la pestaña
+ */
+function readMentions() {
+  if (document.visibilityState !== 'visible' || !appState.unreadMentions[appState.currentRoom]) return;
+  
+  delete appState.unreadMentions[appState.currentRoom];
+  updateRoomsList(appState.rooms);
+}
+
+/**
+ * Registra la confirmación de entrega o lectura de un mensaje propio
+ * @param {Object} receipt - Frame DELIVERED/READ (userId y username de quien confirma)
+ */
+function handleReceipt(receipt) {
+  const recipients = appState.receipts[receipt.messageId] || {};
+  recipients[receipt.userId] = { username: receipt.username, state: receipt.type };
+  appState.receipts[receipt.messageId] = recipients;
+  
+  const status = messagesContainer.querySelector(
+    `[data-message-id="${receipt.messageId}"] .delivery-status`
+  );
+  if (status) {
+    renderDeliveryStatus(status, receipt.messageId);
+  }
+}
+
+/**
+ * Muestra el estado de un mensaje propio: en cola, enviado, entregado o leído.
+ * El detalle por destinatario aparece al pasar el ratón.
+ * @param {HTMLElement} status - Elemento .delivery-status del mensaje
+ * @param {string} messageId - ID del mensaje
+ */
+function renderDeliveryStatus(status, messageId) {
+  const recipients = Object.values(appState.receipts[messageId] || {});
+  const read = recipients.filter(r => r.state === 'READ');
+  
+  if (recipients.length === 0) {
+    status.innerHTML = status.dataset.queued
+      ? '<i class="fas fa-clock"></i> En cola: se entregará cuando se conecte'
+      : '<i class="fas fa-check"></i> Enviado';
+    status.removeAttribute('title');
+    return;
+  }
+  
+  status.innerHTML = read.length > 0
+    ? `<i class="fas fa-check-double"></i> Leído por ${read.length}`
+    : `<i class="fas fa-check-double"></i> Entregado a ${recipients.length}`;
+  status.classList.toggle('read', read.length > 0);
+  status.title = recipients
+    .map(r => `${r.username}: ${r.state === 'READ' ? 'leído' : 'entregado'}`)
+    .join('\n');
+}
+
 /**
  * Actualiza lista de usuarios
  * @param {Array} users - Lista de usuarios
@@ -364,13 +1736,47 @@ function updateUsersList(users) {
     
     // Determinar si es el usuario actual
     const isCurrentUser = user.userId === appState.userId;
+    const roleLabel = ROLE_LABELS[user.role];
+    
+    // Los usuarios con la conexión cortada conservan su sesión un tiempo
+    const presence = user.presence || 'online';
+    const statusClass = user.reconnecting ? 'status-reconnecting' : `status-${presence}`;
+    if (presence === 'offline') {
+      li.classList.add('offline');
+    }
     
     li.innerHTML = `
-      <span class="user-status status-online"></span>
-      ${user.username} ${isCurrentUser ? '(Tú)' : ''}
+      <span class="user-status ${statusClass}" title="${PRESENCE_LABELS[presence]}"></span>
+      <span class="user-name">
+        <span class="user-name-text"></span> ${isCurrentUser ? '(Tú)' : ''} ${user.reconnecting ? '<em>(reconectando...)</em>' : ''}
+        ${roleLabel ? `<span class="user-role role-${user.role}">${roleLabel}</span>` : ''}
+        ${user.statusText ? `<small class="user-status-text"></small>` : ''}
+      </span>
       ${!isCurrentUser ? '<button class="btn-send-private" title="Enviar mensaje privado"><i class="fas fa-comment"></i></button>' : ''}
     `;
     
+    // El nombre y el texto de estado los escribe el usuario: se insertan como texto
+    li.querySelector('.user-name-text').textContent = user.username;
+    if (user.statusText) {
+      li.querySelector('.user-status-text').textContent = user.statusText;
+    }
+    
+    // Mantener el selector propio al día (p.ej. tras pasar a ausente por inactividad)
+    if (isCurrentUser) {
+      // Un cambio de rol cambia los comandos disponibles
+      if (appState.role !== user.role) {
+        if (appState.role) {
+          loadCommands();
+        }
+        appState.role = user.role;
+      }
+      
+      presenceSelect.value = presence;
+      if (document.activeElement !== statusTextInput) {
+        statusTextInput.value = user.statusText || '';
+      }
+    }
+    
     // Añadir evento para mensajes privados
     if (!isCurrentUser) {
       li.querySelector('.btn-send-private').addEventListener('click', () => {
@@ -383,10 +1789,410 @@ function updateUsersList(users) {
       });
     }
     
+    addModerationActions(li, user);
+    
     usersList.appendChild(li);
   });
 }
 
+/**
+ * Añade a la entrada de un usuario los botones de moderación, si el usuario
+ * actual tiene un rol de moderador superior al suyo
+ * @param {HTMLElement} li - Entrada de la lista de usuarios
+ * @param {Object} user - Usuario de la entrada
+ */
+function addModerationActions(li, user) {
+  const me = appState.users.find(entry => entry.userId === appState.userId);
+  const myRank = me ? ROLE_RANKS.indexOf(me.role) : 0;
+  
+  if (myRank < ROLE_RANKS.indexOf('moderator') || ROLE_RANKS.indexOf(user.role || 'user') >= myRank) {
+    return;
+  }
+  
+  const actions = document.createElement('span');
+  actions.classList.add('moderation-actions');
+  actions.innerHTML = `
+    ${user.presence !== 'offline' ? '<button data-action="kickUser" title="Expulsar"><i class="fas fa-door-open"></i></button>' : ''}
+    <button data-action="muteUser" title="Silenciar"><i class="fas fa-volume-mute"></i></button>
+    <button data-action="banUser" title="Bloquear"><i class="fas fa-ban"></i></button>
+    ${me.role === 'admin' ? `<button data-action="setUserRole" title="${user.role === 'moderator' ? 'Quitar moderador' : 'Hacer moderador'}"><i class="fas fa-user-shield"></i></button>` : ''}
+  `;
+  
+  actions.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => handleModeration(button.dataset.action, user));
+  });
+  
+  li.appendChild(actions);
+}
+
+/**
+ * Pide los datos de una acción de moderación y la invoca en el servidor
+ * @param {string} action - Método remoto (kickUser, muteUser, banUser o setUserRole)
+ * @param {Object} user - Usuario afectado
+ */
+async function handleModeration(action, user) {
+  const args = [user.userId];
+  
+  if (action === 'setUserRole') {
+    args.push(user.role === 'moderator' ? 'user' : 'moderator');
+  } else {
+    const reason = prompt(`Motivo de la sanción a ${user.username}:`);
+    if (reason === null) {
+      return;
+    }
+    args.push(reason.trim());
+    
+    // Duración en minutos: el silencio tiene una por defecto y el bloqueo puede ser indefinido
+    if (action !== 'kickUser') {
+      const minutes = prompt(
+        action === 'muteUser' ? 'Minutos de silencio:' : 'Minutos de bloqueo (vacío para indefinido):',
+        action === 'muteUser' ? '10' : ''
+      );
+      if (minutes === null) {
+        return;
+      }
+      if (minutes.trim() && !(Number(minutes) > 0)) {
+        displayError('La duración debe ser un número de minutos positivo');
+        return;
+      }
+      args.push(minutes.trim() ? Number(minutes) * 60 : null);
+    }
+    
+    if (action === 'banUser') {
+      args.push(confirm(`¿Bloquear también la dirección IP de ${user.username}?`));
+    }
+  }
+  
+  try {
+    await rmiClient.invoke(action, ...args);
+  } catch (error) {
+    displayError(error.message);
+  }
+}
+
+/**
+ * Muestra el aviso de una sanción recibida. Tras una expulsión o un bloqueo
+ * se vuelve a la pantalla de acceso con la explicación.
+ * @param {Object} message - Frame SYSTEM_COMMAND con la acción y el motivo
+ */
+function handleSanction(message) {
+  if (message.action === 'kick' || message.action === 'ban') {
+    handleLogout();
+    displayLoginError(message.content);
+    return;
+  }
+  
+  handleIncomingMessage(message);
+}
+
+/**
+ * Actualiza la entrada de un usuario tras un cambio de presencia
+ * @param {Object} entry - Usuario con su nuevo estado
+ */
+function handlePresenceUpdate(entry) {
+  const users = appState.users.filter(user => user.userId !== entry.userId);
+  const index = appState.users.findIndex(user => user.userId === entry.userId);
+  
+  users.splice(index === -1 ? users.length : index, 0, entry);
+  updateUsersList(users);
+}
+
+/**
+ * Cambia el estado de presencia propio
+ * @param {Event} e - Evento del selector o del formulario
+ */
+async function handlePresenceChange(e) {
+  e.preventDefault();
+  
+  try {
+    const entry = await rmiClient.invoke('setPresence', presenceSelect.value, statusTextInput.value.trim());
+    handlePresenceUpdate(entry);
+    statusTextInput.blur();
+  } catch (error) {
+    displayError(error.message);
+  }
+}
+
+/**
+ * Actualiza la lista de salas de la barra lateral
+ * @param {Array} rooms - Lista de salas
+ */
+function updateRoomsList(rooms) {
+  appState.rooms = rooms;
+  
+  // Volver a la sala general si la actual ya no existe
+  if (!rooms.some(room => room.roomId === appState.currentRoom)) {
+    switchRoom(DEFAULT_ROOM);
+    return;
+  }
+  
+  // Limpiar lista
+  roomsList.innerHTML = '';
+  
+  rooms.forEach(room => {
+    const li = document.createElement('li');
+    li.dataset.roomId = room.roomId;
+    
+    const isMember = room.members.includes(appState.userId);
+    const unread = appState.unreadRooms[room.roomId] || 0;
+    const mentions = appState.unreadMentions[room.roomId] || 0;
+    
+    if (room.roomId === appState.currentRoom) {
+      li.classList.add('active');
+    }
+    if (!isMember) {
+      li.classList.add('not-member');
+      li.title = 'Haz clic para unirte';
+    }
+    
+    li.innerHTML = `
+      <span class="room-name"># <span></span> (${room.members.length})</span>
+      ${mentions > 0 ? `<span class="room-mentions" title="Menciones sin leer">@${mentions}</span>` : ''}
+      ${unread > 0 ? `<span class="room-unread">${unread}</span>` : ''}
+      ${isMember && room.roomId !== DEFAULT_ROOM ? '<button class="btn-leave-room" title="Abandonar sala"><i class="fas fa-times"></i></button>' : ''}
+    `;
+    // El nombre lo eligen los usuarios, insertarlo como texto
+    li.querySelector('.room-name span').textContent = room.name;
+    
+    // Cambiar de sala al hacer clic
+    li.addEventListener('click', () => switchRoom(room.roomId));
+    
+    // Abandonar sala
+    const leaveBtn = li.querySelector('.btn-leave-room');
+    if (leaveBtn) {
+      leaveBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        rmiClient.invoke('leaveRoom', room.roomId).catch(error => displayError(error.message));
+        if (room.roomId === appState.currentRoom) {
+          switchRoom(DEFAULT_ROOM);
+        }
+      });
+    }
+    
+    roomsList.appendChild(li);
+  });
+}
+
+/**
+ * Cambia la sala que se está mostrando (uniéndose si hace falta)
+ * @param {string} roomId - ID de la sala
+ */
+async function switchRoom(roomId) {
+  appState.currentRoom = roomId;
+  delete appState.unreadRooms[roomId];
+  delete appState.unreadMentions[roomId];
+  delete appState.historyComplete[roomId];
+  appState.loadingHistory = false;
+  appState.pendingJump = null;
+  appState.reactions = {};
+  cancelReply();
+  closeThread();
+  updateRoomsList(appState.rooms);
+  renderTypingIndicator();
+  
+  try {
+    // Unirse a la sala devuelve también su historial reciente
+    const { history, receipts } = await rmiClient.invoke('joinRoom', roomId);
+    
+    // Ignorar la respuesta si mientras tanto se cambió a otra sala
+    if (appState.currentRoom !== roomId) return;
+    
+    messagesContainer.innerHTML = '';
+    history.forEach(handleIncomingMessage);
+    receipts.forEach(receipt => handleReceipt({ ...receipt, type: receipt.state }));
+  } catch (error) {
+    displayError(error.message);
+  }
+  
+  messageInput.focus();
+}
+
+/**
+ * Descarga la transcripción de la sala actual en el formato elegido
+ */
+async function downloadTranscript() {
+  const format = exportFormatSelect.value;
+  exportFormatSelect.selectedIndex = 0;
+  if (!format) return;
+  
+  try {
+    // La transcripción incluye los mensajes privados propios: se pide con el
+    // token en la cabecera (un enlace lo dejaría en la URL)
+    const { blob, filename } = await rmiClient.exportTranscript(appState.currentRoom, format);
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    displayError(error.message);
+  }
+}
+
+/**
+ * Muestra u oculta el panel de búsqueda
+ */
+function toggleSearchPanel() {
+  const hidden = searchPanel.classList.toggle('hidden');
+  chatArea.classList.toggle('searching', !hidden);
+  
+  if (!hidden) {
+    closeThread();
+    searchQueryInput.focus();
+  }
+}
+
+/**
+ * Busca en el historial con los filtros del panel de búsqueda
+ * @param {Event} e - Evento del formulario
+ */
+async function handleSearch(e) {
+  e.preventDefault();
+  
+  const query = searchQueryInput.value.trim();
+  const filters = {
+    author: searchAuthorInput.value.trim() || undefined,
+    types: searchTypeSelect.value || undefined,
+    from: searchFromInput.value || undefined,
+    to: searchToInput.value || undefined,
+    roomId: searchRoomOnlyInput.checked ? appState.currentRoom : undefined
+  };
+  
+  try {
+    const result = await rmiClient.invoke('searchMessages', query, filters);
+    renderSearchResults(result, query);
+  } catch (error) {
+    searchResults.innerHTML = '';
+    searchSummary.textContent = error.message;
+  }
+}
+
+/**
+ * Muestra los resultados de una búsqueda; al pulsar uno se salta al mensaje
+ * @param {Object} result - {total, messages} con los más recientes primero
+ * @param {string} query - Palabras buscadas (se resaltan en los resultados)
+ */
+function renderSearchResults(result, query) {
+  searchResults.innerHTML = '';
+  
+  if (!result.total) {
+    searchSummary.textContent = 'No hay mensajes que coincidan';
+    return;
+  }
+  
+  searchSummary.textContent = result.total > result.messages.length
+    ? `${result.total} resultados (se muestran los ${result.messages.length} más recientes)`
+    : `${result.total} ${result.total === 1 ? 'resultado' : 'resultados'}`;
+  
+  result.messages.forEach(message => {
+    const room = appState.rooms.find(entry => entry.roomId === message.roomId);
+    const date = new Date(message.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    
+    const li = document.createElement('li');
+    li.innerHTML = '<p class="meta"></p><p class="text"></p>';
+    li.querySelector('.meta').textContent = isPrivateMessage(message)
+      ? `${message.username} → ${message.targetUsername || 'usuario'} (privado) · ${date}`
+      : `${message.username} en ${room ? room.name : message.roomId} · ${date}`;
+    // Los archivos se encuentran también por su nombre
+    const text = message.type === 'ATTACHMENT'
+      ? [message.content, `📎 ${message.filename}`].filter(Boolean).join(' ')
+      : message.content;
+    highlightTerms(li.querySelector('.text'), text, query);
+    
+    li.addEventListener('click', () => jumpToMessage(message));
+    searchResults.appendChild(li);
+  });
+}
+
+/**
+ * Escribe un texto en un elemento marcando las palabras buscadas
+ * @param {HTMLElement} element - Elemento de destino
+ * @param {string} text - Texto del mensaje
+ * @param {string} query - Palabras buscadas
+ */
+function highlightTerms(element, text, query) {
+  const terms = query.split(/\s+/)
+    .filter(Boolean)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!terms.length) {
+    element.textContent = text;
+    return;
+  }
+  
+  // Al partir con un grupo de captura, las coincidencias quedan en las posiciones impares
+  text.split(new RegExp(`(${terms.join('|')})`, 'gi')).forEach((part, index) => {
+    if (index % 2) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Muestra un mensaje del historial en su contexto: cambia a su sala y carga
+ * páginas anteriores hasta llegar a él
+ * @param {Object} message - Mensaje encontrado
+ */
+async function jumpToMessage(message) {
+  if (message.roomId && message.roomId !== appState.currentRoom) {
+    await switchRoom(message.roomId);
+  }
+  
+  appState.pendingJump = message.messageId;
+  revealPendingMessage();
+}
+
+/**
+ * Resalta el mensaje pendiente de mostrar si ya está cargado; si no, pide la
+ * página anterior del historial (handleHistoryPage vuelve a llamar aquí)
+ */
+function revealPendingMessage() {
+  const messageId = appState.pendingJump;
+  const div = messagesContainer.querySelector(`[data-message-id="${messageId}"]`);
+  
+  if (div) {
+    appState.pendingJump = null;
+    div.scrollIntoView({ block: 'center' });
+    div.classList.add('highlighted');
+    setTimeout(() => div.classList.remove('highlighted'), 3000);
+    return;
+  }
+  
+  // Se llegó al principio sin encontrarlo (p.ej. se borró del historial)
+  if (appState.historyComplete[appState.currentRoom] || !messagesContainer.querySelector('[data-message-id]')) {
+    appState.pendingJump = null;
+    displayNotice('El mensaje ya no está en el historial de la sala');
+    return;
+  }
+  
+  loadOlderMessages(JUMP_PAGE_SIZE);
+}
+
+/**
+ * Maneja el envío del formulario de creación de salas
+ * @param {Event} e - Evento del formulario
+ */
+async function handleCreateRoom(e) {
+  e.preventDefault();
+  
+  const name = roomNameInput.value.trim();
+  if (!name) return;
+  
+  try {
+    const room = await rmiClient.invoke('createRoom', name);
+    roomNameInput.value = '';
+    switchRoom(room.roomId);
+  } catch (error) {
+    displayError(error.message);
+  }
+}
+
 /**
  * Actualiza el selector de destinatarios
  * @param {Array} users - Lista de usuarios
@@ -394,38 +2200,64 @@ function updateUsersList(users) {
 function updateRecipientSelect(users) {
   // Guardar selección actual
   const currentSelection = recipientSelect.value;
+  const currentOption = recipientSelect.selectedOptions[0];
+  const currentName = currentOption ? currentOption.dataset.username : null;
   
   // Limpiar y añadir opción por defecto
   recipientSelect.innerHTML = '<option value="all">Todos</option>';
   
-  // Añadir cada usuario que no sea el actual
+  // Añadir cada usuario que no sea el actual (los desconectados reciben
+  // sus mensajes privados cuando vuelven)
   users.forEach(user => {
     if (user.userId !== appState.userId) {
-      const option = document.createElement('option');
-      option.value = user.userId;
-      option.textContent = user.username;
-      recipientSelect.appendChild(option);
+      recipientSelect.appendChild(createRecipientOption(user.userId, user.username, user.presence === 'offline'));
     }
   });
   
-  // Restaurar selección anterior si el usuario sigue disponible
+  // Restaurar selección anterior
   if (currentSelection !== 'all') {
-    const userExists = users.some(user => user.userId === currentSelection);
-    if (userExists) {
-      recipientSelect.value = currentSelection;
-    } else {
-      recipientSelect.value = 'all';
-	  appState.selectedRecipient = 'all';
-      // Actualizar placeholder del mensaje
-      messageInput.placeholder = 'Escribe un mensaje...';
-	   // Solo mostrar notificación si teníamos un destinatario seleccionado que ya no está
-      if (currentSelection !== 'all') {
-        displayError('El usuario destinatario ya no está conectado. Los mensajes se enviarán a todos los usuarios.');
+    const selectedUser = users.find(user => user.userId === currentSelection);
+    const offline = !selectedUser || selectedUser.presence === 'offline';
+    // El destinatario puede haber cambiado de nombre
+    const name = selectedUser ? selectedUser.username : currentName;
+    
+    if (!selectedUser) {
+      recipientSelect.appendChild(createRecipientOption(currentSelection, currentName, true));
+    }
+    
+    if (offline) {
+      // El destinatario se desconectó: se mantiene seleccionado y sus
+      // mensajes privados quedan en cola hasta que vuelva
+      messageInput.placeholder = `Mensaje privado para ${name} (se entregará cuando se conecte)...`;
+      
+      if (!currentOption.dataset.offline) {
+        displayError(`${name} se ha desconectado. Tus mensajes privados se entregarán cuando vuelva.`);
       }
+    } else if (currentOption.dataset.offline || name !== currentName) {
+      messageInput.placeholder = `Mensaje privado para ${name}...`;
     }
+    recipientSelect.value = currentSelection;
   }
 }
 
+/**
+ * Crea una opción del selector de destinatarios
+ * @param {string} userId - ID del usuario
+ * @param {string} username - Nombre del usuario
+ * @param {boolean} offline - Si el usuario no está conectado
+ * @returns {HTMLOptionElement} - Opción creada
+ */
+function createRecipientOption(userId, username, offline = false) {
+  const option = document.createElement('option');
+  option.value = userId;
+  option.textContent = offline ? `${username} (desconectado)` : username;
+  option.dataset.username = username;
+  if (offline) {
+    option.dataset.offline = 'true';
+  }
+  return option;
+}
+
 /**
  * Maneja la conexión exitosa
  * @param {string} userId - ID de usuario
@@ -433,10 +2265,6 @@ function updateRecipientSelect(users) {
  */
 function handleSuccessfulConnection(userId, username) {
   console.log('Conexión establecida para:', username);
-  
-  // Guardar datos de sesión en sessionStorage (no localStorage)
-  sessionStorage.setItem('chatUserId', userId);
-  sessionStorage.setItem('chatUsername', username);
 }
 
 /**
@@ -446,22 +2274,47 @@ function handleDisconnection() {
   console.log('Desconectado del chat');
   
   // Si no fue un logout voluntario, mostrar mensaje de error
-  if (appState.connected) {
+  // Los indicadores de escritura ya no se actualizarán
+  appState.typing = {};
+  stopTyping(false);
+  renderTypingIndicator();
+  
+  if (appState.connected && !appState.reconnecting) {
+    appState.reconnecting = true;
     displayError('Se perdió la conexión con el servidor. Reconectando...');
-    
-    // Intentar reconectar después de 3 segundos
-    setTimeout(() => {
-      if (appState.username) {
-        connectToChat(appState.username, appState.userId)
-          .catch(() => {
-            displayError('No se pudo reconectar. Por favor, recarga la página.');
-            handleLogout(); // Volver a login si falla reconexión
-          });
-      }
-    }, 3000);
+    scheduleReconnect(1);
   }
 }
 
+/**
+ * Programa un intento de reconexión reanudando la sesión con el token
+ * @param {number} attempt - Número de intento (desde 1)
+ */
+function scheduleReconnect(attempt) {
+  setTimeout(() => {
+    // El usuario salió mientras se esperaba
+    if (!appState.connected || !socketClient.token) {
+      appState.reconnecting = false;
+      return;
+    }
+    
+    connectToChat(socketClient.token, appState.lastMessageAt)
+      .then(() => {
+        appState.reconnecting = false;
+      })
+      .catch(() => {
+        if (attempt < RECONNECT_ATTEMPTS) {
+          scheduleReconnect(attempt + 1);
+          return;
+        }
+        
+        appState.reconnecting = false;
+        displayError('No se pudo reconectar. Por favor, recarga la página.');
+        handleLogout(); // Volver a login si falla reconexión
+      });
+  }, RECONNECT_DELAY);
+}
+
 /**
  * Muestra un mensaje de error
  * @param {string} message - Mensaje de error
@@ -491,6 +2344,20 @@ function displayError(message) {
   }, 5000);
 }
 
+/**
+ * Muestra un aviso que solo ve el usuario (p.ej. el resultado de /who o /help)
+ * @param {string} text - Texto del aviso (puede tener varias líneas)
+ */
+function displayNotice(text) {
+  const div = document.createElement('div');
+  div.classList.add('message', 'system', 'notice');
+  div.innerHTML = '<p class="text"></p>';
+  div.querySelector('.text').textContent = text;
+  
+  messagesContainer.appendChild(div);
+  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
 /**
  * Formatea una marca de tiempo para mostrar
  * @param {string} timestamp - Marca de tiempo ISO
@@ -507,6 +2374,26 @@ function formatTime(timestamp) {
   }
 }
 
+/**
+ * Formatea un tamaño de archivo para mostrar
+ * @param {number} bytes - Tamaño en bytes
+ * @returns {string} - Tamaño legible (p.ej. "1.5 MB")
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Indica si un mensaje es privado (un PRIVATE o un archivo enviado a un usuario)
+ * @param {Object} message - Mensaje
+ * @returns {boolean}
+ */
+function isPrivateMessage(message) {
+  return message.type === 'PRIVATE' || (message.type === 'ATTACHMENT' && !!message.targetUserId);
+}
+
 /**
  * Muestra un mensaje de error en la interfaz de login 
  * @param {string} message - Mensaje de error a mostrar
@@ -531,6 +2418,8 @@ function displayLoginError(message) {
   
   // Restaurar estado del formulario
   usernameInput.disabled = false;
+  passwordInput.disabled = false;
+  registerBtn.disabled = false;
   loginForm.querySelector('button').disabled = false;
   loginForm.querySelector('button').textContent = 'Entrar al Chat';
   
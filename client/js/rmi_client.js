@@ -14,6 +14,73 @@ class RmiClient {
     
     // Función de callback para procesar mensajes entrantes
     this.onMessageReceived = null;
+    
+    // Invocaciones remotas en curso: callId -> {resolve, reject, timer}
+    this.pendingCalls = new Map();
+    this.callCounter = 0;
+    this.callTimeout = 10000; // Milisegundos antes de abandonar una invocación
+  }
+  
+  /**
+   * Invoca un método remoto del servidor a través del WebSocket abierto
+   * @param {string} method - Nombre del método (debe estar permitido en el servidor)
+   * @param {...*} args - Argumentos del método (se envían codificados en JSON)
+   * @returns {Promise<*>} - Valor devuelto por el método remoto
+   */
+  invoke(method, ...args) {
+    const socket = window.socketClient.socket;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('No hay conexión con el servidor'));
+    }
+    
+    const callId = `${Date.now()}-${++this.callCounter}`;
+    
+    // Construir el elemento <invoke>
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<invoke method="${this._escapeXml(method)}" callId="${callId}">`;
+    for (const arg of args) {
+      xml += `<arg>${this._escapeXml(JSON.stringify(arg === undefined ? null : arg))}</arg>`;
+    }
+    xml += '</invoke>';
+    
+    return new Promise((resolve, reject) => {
+      // Abandonar la invocación si el servidor no responde
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(callId);
+        reject(new Error(`El servidor no respondió a ${method}`));
+      }, this.callTimeout);
+      
+      this.pendingCalls.set(callId, { resolve, reject, timer });
+      socket.send(xml);
+    });
+  }
+  
+  /**
+   * Resuelve la invocación pendiente correspondiente a un <result> o <fault>
+   * @param {Element} element - Elemento raíz de la respuesta
+   */
+  handleRmiResponse(element) {
+    const callId = element.getAttribute('callId');
+    const pending = this.pendingCalls.get(callId);
+    if (!pending) {
+      return;
+    }
+    
+    this.pendingCalls.delete(callId);
+    clearTimeout(pending.timer);
+    
+    if (element.nodeName === 'result') {
+      const valueNode = element.querySelector('value');
+      pending.resolve(valueNode ? JSON.parse(valueNode.textContent) : null);
+    } else {
+      const codeNode = element.querySelector('code');
+      const messageNode = element.querySelector('message');
+      const retryAfterNode = element.querySelector('retryAfter');
+      const error = new Error(messageNode ? messageNode.textContent : 'Error en la invocación remota');
+      error.code = codeNode ? codeNode.textContent : null;
+      // Segundos de espera de un RATE_LIMITED
+      error.retryAfter = retryAfterNode ? Number(retryAfterNode.textContent) : null;
+      pending.reject(error);
+    }
   }
   
   /**
@@ -27,51 +94,76 @@ class RmiClient {
   }
   
   /**
-   * Registra un nuevo usuario usando HTTP en lugar de WebSocket
+   * Crea una cuenta nueva
    * @param {string} username - Nombre de usuario
-   * @returns {Promise<Object>} - Respuesta del registro
+   * @param {string} password - Contraseña
+   * @returns {Promise<Object>} - Respuesta del registro ({userId, username, token})
    */
-  async registerUser(username) {
+  async registerUser(username, password) {
     try {
       const response = await fetch(`${this.apiBase}/users/register`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ username })
+        body: JSON.stringify({ username, password })
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Error en el registro');
-      }
-      
-      // Verificar si la respuesta es XML
-      const contentType = response.headers.get('Content-Type');
-      
-      if (contentType && contentType.includes('application/xml')) {
-        const xmlText = await response.text();
-        const result = this._parseXmlResponse(xmlText, 'registerResponse');
-        
-        // Guardar información del usuario si el registro fue exitoso
-        if (result.success) {
-          this.setCurrentUser(result.userId, username);
-        }
-        
-        return result;
-      } 
-      
-      // Si no es XML, asumir JSON
-      const jsonResult = await response.json();
+      const result = await this._readResponse(response, 'registerResponse', 'Error en el registro');
+      this.setCurrentUser(result.userId, result.username);
+      return result;
+    } catch (error) {
+      console.error('Error al registrar usuario:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Inicia sesión con una cuenta existente
+   * @param {string} username - Nombre de usuario
+   * @param {string} password - Contraseña
+   * @returns {Promise<Object>} - Datos de la sesión ({userId, username, token})
+   */
+  async login(username, password) {
+    try {
+      const response = await fetch(`${this.apiBase}/users/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username, password })
+      });
       
-      // Guardar información del usuario si el registro fue exitoso
-      if (jsonResult.success) {
-        this.setCurrentUser(jsonResult.userId, username);
-      }
+      const result = await this._readResponse(response, 'loginResponse', 'Error al iniciar sesión');
+      this.setCurrentUser(result.userId, result.username);
+      return result;
+    } catch (error) {
+      console.error('Error al iniciar sesión:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Sube un archivo adjunto (después se envía con socketClient.sendAttachment)
+   * @param {File} file - Archivo elegido o arrastrado por el usuario
+   * @param {string} token - Token de sesión
+   * @returns {Promise<Object>} - Datos del archivo ({uploadId, filename, size, mimeType})
+   */
+  async uploadAttachment(file, token) {
+    try {
+      const response = await fetch(`${this.apiBase}/attachments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream',
+          'Authorization': `Bearer ${token}`,
+          'X-Filename': encodeURIComponent(file.name)
+        },
+        body: file
+      });
       
-      return jsonResult;
+      return await this._readResponse(response, 'uploadResponse', `No se pudo subir ${file.name}`);
     } catch (error) {
-      console.error('Error al registrar usuario:', error);
+      console.error('Error al subir archivo:', error);
       throw error;
     }
   }
@@ -138,16 +230,13 @@ class RmiClient {
       
       const response = await fetch(`${this.apiBase}/messages/unicast`, {
         method: 'POST',
-        headers: {
+        headers: this._authHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify(message)
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Error al enviar mensaje privado');
-      }
+      const result = await this._readResponse(response, 'messageResponse', 'Error al enviar mensaje privado');
       
       // Si queremos mostrar el mensaje localmente, devolver el mensaje para
       // que el frontend pueda añadirlo a la UI sin esperar respuesta del servidor
@@ -158,13 +247,97 @@ class RmiClient {
         };
       }
       
-      return await response.json();
+      return {
+        success: result.success,
+        message: result.chatMessage
+      };
     } catch (error) {
       console.error('Error al enviar mensaje unicast:', error);
       throw error;
     }
   }
   
+  /**
+   * Envía un mensaje a una sala usando HTTP en lugar de WebSocket
+   * @param {string} content - Contenido del mensaje
+   * @param {string} roomId - ID de la sala (por defecto la general)
+   * @returns {Promise<Object>} - Mensaje enviado
+   */
+  async sendMessage(content, roomId) {
+    if (!this.userId) {
+      throw new Error('Usuario no registrado');
+    }
+    
+    try {
+      // El servidor identifica al remitente por el token de sesión
+      const response = await fetch(`${this.apiBase}/messages`, {
+        method: 'POST',
+        headers: this._authHeaders({
+          'Content-Type': 'application/json'
+        }),
+        body: JSON.stringify({ content, roomId })
+      });
+      
+      const result = await this._readResponse(response, 'messageResponse', 'Error al enviar mensaje');
+      return result.chatMessage;
+    } catch (error) {
+      console.error('Error al enviar mensaje:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Obtiene el historial reciente de mensajes de una sala
+   * @param {string} roomId - ID de la sala (por defecto la general)
+   * @param {number} limit - Número máximo de mensajes
+   * @returns {Promise<Array>} - Lista de mensajes
+   */
+  async getMessageHistory(roomId, limit = 20) {
+    try {
+      const params = new URLSearchParams({ limit });
+      if (roomId) params.set('roomId', roomId);
+      
+      // El servidor identifica al lector por el token de sesión
+      const response = await fetch(`${this.apiBase}/messages?${params}`, {
+        headers: this._authHeaders()
+      });
+      const result = await this._readResponse(response, 'messageHistory', 'Error al obtener historial');
+      
+      // Convertir a formato de array si no lo es ya
+      if (result.message) {
+        return Array.isArray(result.message) ? result.message : [result.message];
+      }
+      return [];
+    } catch (error) {
+      console.error('Error al obtener historial:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Descarga la transcripción de una sala
+   * @param {string} roomId - ID de la sala
+   * @param {string} format - xml, json, csv o html
+   * @returns {Promise<Object>} - {blob, filename} con el archivo y el nombre que propone el servidor
+   */
+  async exportTranscript(roomId, format) {
+    const params = new URLSearchParams({ format, roomId });
+    const response = await fetch(`${this.apiBase}/messages/export?${params}`, {
+      headers: this._authHeaders()
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'No se pudo descargar la transcripción');
+    }
+    
+    const disposition = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+    return {
+      blob: await response.blob(),
+      filename: disposition ? disposition[1] : `transcripcion.${format}`
+    };
+  }
+  
   /**
    * Desconecta al usuario actual del chat
    * @returns {Promise<Object>} - Respuesta de la desconexión
@@ -177,27 +350,53 @@ class RmiClient {
     try {
       const response = await fetch(`${this.apiBase}/users/${this.userId}/leave`, {
         method: 'POST',
-        headers: {
+        headers: this._authHeaders({
           'Content-Type': 'application/json'
-        }
+        })
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Error al salir del chat');
-      }
+      const result = await this._readResponse(response, 'leaveResponse', 'Error al salir del chat');
       
       // Limpiar datos del usuario actual
       this.userId = null;
       this.username = null;
       
-      return await response.json();
+      return result;
     } catch (error) {
       console.error('Error al salir del chat:', error);
       throw error;
     }
   }
   
+  /**
+   * Cabeceras de una petición a la API con el token de la sesión abierta
+   * @param {Object} headers - Otras cabeceras de la petición (opcional)
+   * @returns {Object} - Cabeceras con Authorization si hay sesión
+   * @private
+   */
+  _authHeaders(headers = {}) {
+    const token = window.socketClient.token;
+    return token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers;
+  }
+  
+  /**
+   * Lee una respuesta de la API: lanza el error JSON si falló o parsea el XML
+   * @param {Response} response - Respuesta de fetch
+   * @param {string} rootName - Nombre del elemento raíz esperado
+   * @param {string} defaultError - Mensaje si el servidor no indica el error
+   * @returns {Promise<Object>} - Objeto resultante
+   * @private
+   */
+  async _readResponse(response, rootName, defaultError) {
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || defaultError);
+    }
+    
+    const xmlText = await response.text();
+    return this._parseXmlResponse(xmlText, rootName);
+  }
+  
   /**
    * Parsea una respuesta XML
    * @param {string} xmlString - Texto XML
@@ -279,6 +478,21 @@ class RmiClient {
     return obj;
   }
   
+  /**
+   * Escapa caracteres especiales XML
+   * @param {string} unsafe - Texto a escapar
+   * @returns {string} - Texto escapado
+   * @private
+   */
+  _escapeXml(unsafe) {
+    return unsafe
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+  
   /**
    * Registra una función de callback para procesar mensajes entrantes
    * @param {Function} callback - Función que recibe el mensaje y decide si procesarlo
@@ -293,8 +507,8 @@ class RmiClient {
    * @returns {boolean} - true si el mensaje fue procesado, false si era duplicado
    */
   processIncomingMessage(message) {
-    // Crear un ID único para el mensaje basado en su contenido
-    const messageId = this._generateMessageId(message);
+    // Los mensajes guardados traen el ID asignado por el servidor
+    const messageId = message.messageId || this._generateMessageId(message);
     
     // Verificar si ya hemos procesado este mensaje
     if (this.processedMessages.has(messageId)) {
@@ -320,7 +534,7 @@ class RmiClient {
   }
   
   /**
-   * Genera un ID único para un mensaje basado en su contenido
+   * Genera un ID a partir del contenido de un mensaje sin messageId del servidor
    * @param {Object} message - Mensaje a identificar
    * @returns {string} - ID único del mensaje
    * @private
@@ -340,3 +554,6 @@ class RmiClient {
 
 // Exponer como variable global
 window.rmiClient = new RmiClient();
+
+// Recibir por el WebSocket las respuestas a las invocaciones remotas
+window.socketClient.on('onRmiResponse', (element) => window.rmiClient.handleRmiResponse(element));
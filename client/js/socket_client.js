@@ -8,24 +8,39 @@ class SocketClient {
     this.connected = false;
     this.userId = null;
     this.username = null;
+    this.token = null; // Token de sesión emitido al registrarse o iniciar sesión
+    
+    // Latido para detectar un servidor que dejó de responder sin cerrar la conexión
+    this.heartbeatInterval = 20000; // Milisegundos entre PING
+    this.heartbeatTimer = null;
+    this.awaitingPong = false;
     this.callbacks = {
       onMessage: null,
       onPrivateMessage: null,
+      onReceipt: null,
+      onTyping: null,
+      onHistory: null,
       onUserListUpdate: null,
+      onPresenceUpdate: null,
+      onRoomListUpdate: null,
       onConnect: null,
       onDisconnect: null,
       onError: null,
-      onLoginError: null
+      onRateLimited: null,
+      onSanction: null,
+      onLoginError: null,
+      onRmiResponse: null
     };
   }
 
   /**
    * Inicia la conexión WebSocket
-   * @param {string} username - Nombre del usuario
-   * @param {string} existingUserId - ID de usuario existente (opcional)
+   * @param {string} token - Token de sesión (ver RmiClient.login)
+   * @param {string} since - Marca de tiempo del último mensaje recibido, al
+   *                         reconectar tras un corte (opcional)
    * @returns {Promise} - Promesa que se resuelve cuando la conexión es establecida
    */
-  connect(username, existingUserId = null) {
+  connect(token, since = null) {
     return new Promise((resolve, reject) => {
       // Determinar el protocolo websocket (ws o wss)
       const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
@@ -33,19 +48,21 @@ class SocketClient {
       
       // Crear nueva conexión WebSocket
       this.socket = new WebSocket(wsUrl);
-      this.username = username;
+      this.token = token;
       
       // Configurar eventos de la conexión
       this.socket.onopen = () => {
         console.log('Conexión WebSocket establecida');
         
-        // Enviar mensaje de unión al chat
+        // Enviar mensaje de unión al chat (el servidor identifica al usuario por el token)
         const joinMessage = {
-          userId: existingUserId || '',
-          username: username,
+          userId: '',
+          username: '',
           content: 'Solicitando ingreso al chat',
           timestamp: new Date().toISOString(),
-          type: 'JOIN'
+          type: 'JOIN',
+          token: token,
+          since: since
         };
         
         this._sendXmlMessage(joinMessage);
@@ -53,9 +70,60 @@ class SocketClient {
       
       // Manejar mensajes entrantes
       this.socket.onmessage = (event) => {
+        // Cualquier mensaje demuestra que el servidor sigue vivo
+        this.awaitingPong = false;
+        
         try {
           const xmlString = event.data;
-          const message = this._parseXmlMessage(xmlString);
+          const rootElement = this._parseXmlDocument(xmlString);
+          
+          // Mensaje rechazado por el servidor (fault sin callId): no cumple el
+          // esquema o no corresponde a la sesión de esta conexión
+          if (rootElement.nodeName === 'fault' && !rootElement.getAttribute('callId')) {
+            const fault = this._xmlElementToObject(rootElement);
+            console.warn(`Mensaje rechazado por el servidor (${fault.code}):`, fault.message, fault.element || '');
+
+            if (!this.connected) {
+              reject(new Error(fault.message));
+            } else if (fault.code === 'RATE_LIMITED' && this.callbacks.onRateLimited) {
+              // Demasiados mensajes seguidos: retryAfter indica los segundos de espera
+              this.callbacks.onRateLimited({
+                message: fault.message,
+                retryAfter: Number(fault.retryAfter) || 1
+              });
+            } else if (this.callbacks.onError) {
+              this.callbacks.onError(fault.message);
+            }
+            return;
+          }
+
+          // Respuestas a invocaciones remotas (ver RmiClient.invoke)
+          if (rootElement.nodeName === 'result' || rootElement.nodeName === 'fault') {
+            if (this.callbacks.onRmiResponse) {
+              this.callbacks.onRmiResponse(rootElement);
+            }
+            return;
+          }
+          
+          const message = this._xmlElementToObject(rootElement);
+          
+          // Las reacciones llegan como un <reaction> por emoji dentro de <reactions>
+          if (rootElement.getElementsByTagName('reactions').length) {
+            message.reactions = this._readReactions(rootElement);
+          }
+          
+          // Y los usuarios mencionados, como un <userId> por usuario dentro de <mentions>
+          const mentions = Array.from(rootElement.children).find(child => child.nodeName === 'mentions');
+          if (mentions) {
+            message.mentions = Array.from(mentions.children)
+              .filter(child => child.nodeName === 'userId')
+              .map(child => child.textContent);
+          }
+          
+          // Respuesta al latido: no se muestra
+          if (message.type === 'PONG') {
+            return;
+          }
           
           // Verificar si es un mensaje de error
           if (message.type === 'ERROR') {
@@ -69,17 +137,24 @@ class SocketClient {
           // Verificar si es respuesta a la conexión
           if (message.type === 'JOIN' && message.clientId) {
             this.userId = message.clientId;
+            this.username = message.targetUsername;
             this.connected = true;
             
-            // Guardar ID de usuario en sessionStorage (no localStorage) para reconexiones
-            sessionStorage.setItem('chatUserId', this.userId);
-            sessionStorage.setItem('chatUsername', this.username);
+            // Guardar el token en sessionStorage (no localStorage) para reanudar la sesión
+            sessionStorage.setItem('chatToken', this.token);
+            
+            this._startHeartbeat();
             
             if (this.callbacks.onConnect) {
               this.callbacks.onConnect(this.userId, this.username);
             }
             
-            resolve({ userId: this.userId, username: this.username });
+            // resumed: el servidor conservó la sesión y solo envía lo perdido
+            resolve({
+              userId: this.userId,
+              username: this.username,
+              resumed: message.status === 'resumed'
+            });
           }
           // Verificar si es actualización de lista de usuarios
           else if (message.type === 'USER_LIST') {
@@ -92,6 +167,66 @@ class SocketClient {
               console.error('Error al procesar lista de usuarios:', error);
             }
           }
+          // Cambio de presencia de un solo usuario
+          else if (message.type === 'PRESENCE') {
+            try {
+              const entry = JSON.parse(message.content);
+              if (this.callbacks.onPresenceUpdate) {
+                this.callbacks.onPresenceUpdate(entry);
+              }
+            } catch (error) {
+              console.error('Error al procesar cambio de presencia:', error);
+            }
+          }
+          // Verificar si es actualización de lista de salas
+          else if (message.type === 'ROOM_LIST') {
+            try {
+              const roomList = JSON.parse(message.content);
+              if (this.callbacks.onRoomListUpdate) {
+                this.callbacks.onRoomListUpdate(roomList);
+              }
+            } catch (error) {
+              console.error('Error al procesar lista de salas:', error);
+            }
+          }
+          // Confirmación de entrega o lectura de un mensaje propio
+          else if (message.type === 'DELIVERED' || message.type === 'READ') {
+            if (this.callbacks.onReceipt) {
+              this.callbacks.onReceipt(message);
+            }
+          }
+          // Página del historial pedida con requestHistory
+          else if (message.type === 'HISTORY_RESPONSE') {
+            try {
+              const page = JSON.parse(message.content);
+              if (this.callbacks.onHistory) {
+                this.callbacks.onHistory(page);
+              }
+            } catch (error) {
+              console.error('Error al procesar página de historial:', error);
+            }
+          }
+          // Otro usuario empieza o deja de escribir
+          else if (message.type === 'TYPING_START' || message.type === 'TYPING_STOP') {
+            if (this.callbacks.onTyping) {
+              this.callbacks.onTyping(message);
+            }
+          }
+          // Sanción de un moderador. Tras una expulsión o un bloqueo el servidor
+          // cierra la conexión: la sesión termina y no debe reanudarse
+          else if (message.type === 'SYSTEM_COMMAND') {
+            if (message.action === 'kick' || message.action === 'ban') {
+              this._stopHeartbeat();
+              this.connected = false;
+              this.userId = null;
+              this.token = null;
+              sessionStorage.removeItem('chatToken');
+            }
+            
+            if (this.callbacks.onSanction) {
+              this.callbacks.onSanction(message);
+            }
+          }
           // Verificar si es mensaje privado
           else if (message.type === 'PRIVATE') {
             if (this.callbacks.onPrivateMessage) {
@@ -117,6 +252,7 @@ class SocketClient {
       this.socket.onclose = () => {
         console.log('Conexión WebSocket cerrada');
         this.connected = false;
+        this._stopHeartbeat();
         
         if (this.callbacks.onDisconnect) {
           this.callbacks.onDisconnect();
@@ -138,9 +274,11 @@ class SocketClient {
   /**
    * Envía un mensaje al chat
    * @param {string} content - Contenido del mensaje
+   * @param {string} roomId - ID de la sala de destino
+   * @param {string} replyTo - ID del mensaje al que responde (opcional)
    * @returns {boolean} - Éxito del envío
    */
-  sendMessage(content) {
+  sendMessage(content, roomId, replyTo = null) {
     if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
       return false;
     }
@@ -150,7 +288,9 @@ class SocketClient {
       username: this.username,
       content: content,
       timestamp: new Date().toISOString(),
-      type: 'CHAT'
+      type: 'CHAT',
+      roomId: roomId,
+      replyTo: replyTo
     };
     
     return this._sendXmlMessage(message);
@@ -161,16 +301,18 @@ class SocketClient {
    * @param {string} content - Contenido del mensaje
    * @param {string} targetUserId - ID del usuario destinatario
    * @param {string} targetUsername - Nombre del usuario destinatario
+   * @param {string} roomId - ID de la sala desde la que se escribe
+   * @param {string} replyTo - ID del mensaje privado al que responde (opcional)
    * @returns {boolean} - Éxito del envío
    */
-  sendPrivateMessage(content, targetUserId, targetUsername) {
+  sendPrivateMessage(content, targetUserId, targetUsername, roomId, replyTo = null) {
     if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
       return false;
     }
 
     // Si no se proporciona targetUsername, intentar obtenerlo desde la interfaz de usuario
 	  if (!targetUsername && recipientSelect && recipientSelect.selectedOptions.length > 0) {
-		  targetUsername = recipientSelect.selectedOptions[0].text;
+		  targetUsername = recipientSelect.selectedOptions[0].dataset.username;
 	  }
     
     const message = {
@@ -181,16 +323,169 @@ class SocketClient {
       recipientUsername: targetUsername,
       content: content,
       timestamp: new Date().toISOString(),
-      type: 'PRIVATE'
+      type: 'PRIVATE',
+      roomId: roomId,
+      replyTo: replyTo
     };
     
     return this._sendXmlMessage(message);
   }
 
+  /**
+   * Envía un archivo subido antes con rmiClient.uploadAttachment
+   * @param {string} uploadId - ID de subida devuelto por el servidor
+   * @param {string} roomId - ID de la sala actual
+   * @param {string} targetUserId - Destinatario si el archivo es privado (opcional)
+   * @param {string} targetUsername - Nombre del destinatario (opcional)
+   * @returns {boolean} - Éxito del envío
+   */
+  sendAttachment(uploadId, roomId, targetUserId = null, targetUsername = null) {
+    if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    const message = {
+      userId: this.userId,
+      username: this.username,
+      content: '',
+      timestamp: new Date().toISOString(),
+      type: 'ATTACHMENT',
+      uploadId: uploadId,
+      roomId: roomId,
+      targetUserId: targetUserId,
+      targetUsername: targetUsername
+    };
+    
+    return this._sendXmlMessage(message);
+  }
+
+  /**
+   * Confirma al servidor que un mensaje se ha recibido o leído
+   * @param {string} messageId - ID del mensaje (asignado por el servidor)
+   * @param {string} state - DELIVERED o READ
+   * @returns {boolean} - Éxito del envío
+   */
+  sendReceipt(messageId, state) {
+    if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    const message = {
+      messageId: messageId,
+      userId: this.userId,
+      username: this.username,
+      content: '',
+      timestamp: new Date().toISOString(),
+      type: state
+    };
+    
+    return this._sendXmlMessage(message);
+  }
+
+  /**
+   * Pide una página del historial de una sala (llega como HISTORY_RESPONSE)
+   * @param {string} roomId - ID de la sala
+   * @param {Object} cursor - {before} o {after} con un messageId o una marca de tiempo
+   * @param {number} limit - Mensajes por página (opcional)
+   * @returns {boolean} - Éxito del envío
+   */
+  requestHistory(roomId, cursor = {}, limit = null) {
+    if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    const message = {
+      userId: this.userId,
+      username: this.username,
+      content: '',
+      timestamp: new Date().toISOString(),
+      type: 'HISTORY_REQUEST',
+      roomId: roomId
+    };
+    
+    if (cursor.before) {
+      message.before = cursor.before;
+    } else if (cursor.after) {
+      message.after = cursor.after;
+    }
+    if (limit) {
+      message.limit = limit;
+    }
+    
+    return this._sendXmlMessage(message);
+  }
+
+  /**
+   * Avisa de que el usuario empieza o deja de escribir
+   * @param {boolean} typing - true al empezar (o seguir) escribiendo, false al parar
+   * @param {string} roomId - Sala en la que escribe (conversación pública)
+   * @param {string} targetUserId - Destinatario (conversación privada, opcional)
+   * @returns {boolean} - Éxito del envío
+   */
+  sendTyping(typing, roomId, targetUserId = null) {
+    if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    const message = {
+      userId: this.userId,
+      username: this.username,
+      content: '',
+      timestamp: new Date().toISOString(),
+      type: typing ? 'TYPING_START' : 'TYPING_STOP',
+      roomId: targetUserId ? null : roomId,
+      targetUserId: targetUserId
+    };
+    
+    return this._sendXmlMessage(message);
+  }
+
+  /**
+   * Edita un mensaje enviado (propio, o ajeno si se es moderador)
+   * @param {string} messageId - ID del mensaje
+   * @param {string} content - Nuevo contenido
+   * @returns {boolean} - Éxito del envío
+   */
+  editMessage(messageId, content) {
+    return this._sendMessageUpdate(messageId, 'EDIT', content);
+  }
+
+  /**
+   * Elimina un mensaje enviado (propio, o ajeno si se es moderador)
+   * @param {string} messageId - ID del mensaje
+   * @returns {boolean} - Éxito del envío
+   */
+  deleteMessage(messageId) {
+    return this._sendMessageUpdate(messageId, 'DELETE', '');
+  }
+
+  /**
+   * Reacciona a un mensaje con un emoji
+   * @param {string} messageId - ID del mensaje
+   * @param {string} emoji - Emoji de la reacción
+   * @returns {boolean} - Éxito del envío
+   */
+  addReaction(messageId, emoji) {
+    return this._sendMessageUpdate(messageId, 'REACTION_ADD', '', { emoji });
+  }
+
+  /**
+   * Quita una reacción propia de un mensaje
+   * @param {string} messageId - ID del mensaje
+   * @param {string} emoji - Emoji de la reacción
+   * @returns {boolean} - Éxito del envío
+   */
+  removeReaction(messageId, emoji) {
+    return this._sendMessageUpdate(messageId, 'REACTION_REMOVE', '', { emoji });
+  }
+
+
   /**
    * Cierra la conexión WebSocket notificando al servidor
    */
   disconnect() {
+    this._stopHeartbeat();
+    
     if (this.socket && this.socket.readyState === WebSocket.OPEN) {
       // Enviar mensaje de logout al servidor
       if (this.userId) {
@@ -212,20 +507,20 @@ class SocketClient {
         this.socket = null;
         this.connected = false;
         this.userId = null;
+        this.token = null;
         
         // Eliminar información de sesión
-        sessionStorage.removeItem('chatUserId');
-        sessionStorage.removeItem('chatUsername');
+        sessionStorage.removeItem('chatToken');
       }, 200);
     } else {
       // Si no hay conexión activa, limpiar directamente
       this.socket = null;
       this.connected = false;
       this.userId = null;
+      this.token = null;
       
       // Eliminar información de sesión
-      sessionStorage.removeItem('chatUserId');
-      sessionStorage.removeItem('chatUsername');
+      sessionStorage.removeItem('chatToken');
     }
   }
 
@@ -240,6 +535,91 @@ class SocketClient {
     }
   }
 
+  /**
+   * Inicia el envío periódico de PING. Si el servidor no responde nada entre
+   * dos latidos, la conexión se da por perdida.
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    this.awaitingPong = false;
+    
+    this.heartbeatTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        this._handleSilentServer();
+        return;
+      }
+      
+      this.awaitingPong = true;
+      this._sendXmlMessage({
+        userId: this.userId,
+        username: this.username,
+        content: '',
+        timestamp: new Date().toISOString(),
+        type: 'PING'
+      });
+    }, this.heartbeatInterval);
+  }
+
+  /**
+   * Detiene el envío de PING
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Abandona una conexión cuyo servidor dejó de responder y avisa como si se
+   * hubiera cerrado, para que la aplicación intente reconectar. No se espera
+   * al cierre del socket, que en una conexión medio abierta puede tardar mucho.
+   * @private
+   */
+  _handleSilentServer() {
+    console.warn('El servidor no responde: se da la conexión por perdida');
+    this._stopHeartbeat();
+    
+    const socket = this.socket;
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    socket.close();
+    
+    this.connected = false;
+    if (this.callbacks.onDisconnect) {
+      this.callbacks.onDisconnect();
+    }
+  }
+
+  /**
+   * Envía una edición, un borrado o una reacción a un mensaje
+   * @param {string} messageId - ID del mensaje
+   * @param {string} type - EDIT, DELETE, REACTION_ADD o REACTION_REMOVE
+   * @param {string} content - Nuevo contenido (vacío al eliminar o reaccionar)
+   * @param {Object} fields - Campos adicionales (p.ej. el emoji de una reacción)
+   * @returns {boolean} - Éxito del envío
+   * @private
+   */
+  _sendMessageUpdate(messageId, type, content, fields = {}) {
+    if (!this.connected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    const message = {
+      messageId: messageId,
+      userId: this.userId,
+      username: this.username,
+      content: content,
+      timestamp: new Date().toISOString(),
+      type: type,
+      ...fields
+    };
+    
+    return this._sendXmlMessage(message);
+  }
+
   /**
    * Convierte un objeto de mensaje a XML y lo envía
    * @param {Object} message - Mensaje a enviar
@@ -293,12 +673,12 @@ class SocketClient {
   }
 
   /**
-   * Parsea un mensaje XML a objeto
-   * @param {string} xmlString - Mensaje XML
-   * @returns {Object} - Objeto resultante
+   * Parsea un documento XML y devuelve su elemento raíz
+   * @param {string} xmlString - Documento XML
+   * @returns {Element} - Elemento raíz (message, result, fault...)
    * @private
    */
-  _parseXmlMessage(xmlString) {
+  _parseXmlDocument(xmlString) {
     const parser = new DOMParser();
     const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
     
@@ -308,11 +688,30 @@ class SocketClient {
       throw new Error('XML inválido');
     }
     
-    // Obtener el elemento raíz (generalmente 'message')
-    const rootElement = xmlDoc.documentElement;
-    
-    // Convertir a objeto
-    return this._xmlElementToObject(rootElement);
+    return xmlDoc.documentElement;
+  }
+
+  /**
+   * Lee las reacciones de un mensaje (elemento <reactions> con un <reaction>
+   * por emoji, cada uno con emoji, count y un <users> por usuario)
+   * @param {Element} element - Elemento message
+   * @returns {Array} - [{emoji, count, users: [{userId, username}]}]
+   * @private
+   */
+  _readReactions(element) {
+    const container = Array.from(element.children).find(child => child.nodeName === 'reactions');
+    return Array.from(container ? container.children : [])
+      .filter(child => child.nodeName === 'reaction')
+      .map(child => {
+        const reaction = this._xmlElementToObject(child);
+        return {
+          emoji: reaction.emoji,
+          count: Number(reaction.count),
+          users: Array.from(child.children)
+            .filter(node => node.nodeName === 'users')
+            .map(node => this._xmlElementToObject(node))
+        };
+      });
   }
 
   /**
@@ -8,6 +8,7 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
 const xml2js = require('xml2js');
+const { SchemaValidator } = require('../server/schema_validator');
 
 // Emisor de eventos para cambios en los mensajes
 const messageEvents = new EventEmitter();
@@ -24,11 +25,10 @@ let messageSchema = null;
  */
 async function loadMessageSchema() {
   try {
-    const schemaPath = path.join(__dirname, '../../shared/message_schema.xml');
+    const schemaPath = path.join(__dirname, '../shared/message_schema.xml');
     const schemaXml = await fs.readFile(schemaPath, 'utf8');
     
-    const parser = new xml2js.Parser({ explicitArray: false });
-    messageSchema = await parser.parseStringPromise(schemaXml);
+    messageSchema = new SchemaValidator(schemaXml);
     
     console.log('Esquema de mensajes cargado correctamente');
     return messageSchema;
@@ -44,12 +44,34 @@ async function loadMessageSchema() {
 const MessageType = {
   CHAT: 'CHAT',   // Mensaje normal de chat
   PRIVATE:'PRIVATE',   //Mensaje normal a otro usuario
+  ATTACHMENT: 'ATTACHMENT', // Archivo adjunto (a la sala o, con destinatario, privado)
+  UNICAST: 'UNICAST', // Mensaje privado enviado por REST
   JOIN: 'JOIN',   // Mensaje de unión al chat
   LEAVE: 'LEAVE', // Mensaje de salida del chat
+  LOGOUT: 'LOGOUT', // Cierre de sesión explícito
   SYSTEM: 'SYSTEM', // Mensaje del sistema
-  USER_LIST: 'USER_LIST' // Actualización de lista de usuarios
+  SYSTEM_COMMAND: 'SYSTEM_COMMAND', // Orden del servidor para el cliente
+  ERROR: 'ERROR', // Error dirigido a un usuario
+  USER_LIST: 'USER_LIST', // Actualización de lista de usuarios
+  ROOM_LIST: 'ROOM_LIST', // Actualización de lista de salas
+  DELIVERED: 'DELIVERED', // Confirmación de entrega de un mensaje
+  READ: 'READ', // Confirmación de lectura de un mensaje
+  EDIT: 'EDIT', // Edición de un mensaje enviado
+  DELETE: 'DELETE', // Eliminación de un mensaje enviado
+  REACTION_ADD: 'REACTION_ADD', // Reacción con un emoji a un mensaje
+  REACTION_REMOVE: 'REACTION_REMOVE', // Retirada de una reacción
+  MENTION: 'MENTION', // Aviso a un usuario mencionado con @nombre
+  TYPING_START: 'TYPING_START', // El usuario empieza a escribir
+  TYPING_STOP: 'TYPING_STOP', // El usuario deja de escribir
+  PRESENCE: 'PRESENCE', // Cambio de estado de presencia de un usuario
+  NICK_CHANGE: 'NICK_CHANGE', // Un usuario conectado cambia de nombre
+  HISTORY_REQUEST: 'HISTORY_REQUEST', // Petición de una página del historial
+  HISTORY_RESPONSE: 'HISTORY_RESPONSE' // Página del historial (JSON en el contenido)
 };
 
+// Sala a la que pertenecen los mensajes sin sala explícita
+const DEFAULT_ROOM = 'general';
+
 /**
  * Clase que representa un mensaje del chat
  */
@@ -61,6 +83,7 @@ class Message {
    * @param {string} data.username - Nombre del usuario
    * @param {string} data.content - Contenido del mensaje
    * @param {string} data.type - Tipo de mensaje (ver MessageType)
+   * @param {string} data.roomId - ID de la sala del mensaje
    */
   constructor(data) {
     this.messageId = uuidv4();
@@ -69,6 +92,7 @@ class Message {
     this.content = data.content;
     this.timestamp = data.timestamp || new Date().toISOString();
     this.type = data.type || MessageType.CHAT;
+    this.roomId = data.roomId || DEFAULT_ROOM;
   }
 
   /**
@@ -81,29 +105,12 @@ class Message {
       return { valid: true, errors: [] };
     }
     
-    const errors = [];
-    
-    // Validar campos requeridos
-    if (!this.userId) errors.push('userId es requerido');
-    if (!this.username) errors.push('username es requerido');
-    if (!this.content) errors.push('content es requerido');
-    if (!this.timestamp) errors.push('timestamp es requerido');
-    if (!this.type) errors.push('type es requerido');
-    
-    // Validar tipo (debe ser uno de los definidos)
-    if (!Object.values(MessageType).includes(this.type)) {
-      errors.push(`type debe ser uno de: ${Object.values(MessageType).join(', ')}`);
-    }
-    
-    // Validar formato de timestamp
-    const timestampRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
-    if (!timestampRegex.test(this.timestamp)) {
-      errors.push('timestamp debe tener formato ISO (YYYY-MM-DDTHH:mm:ss.sssZ)');
-    }
+    // Validar contra el elemento <message> del esquema compartido
+    const result = messageSchema.validateObject('message', this.toJSON());
     
     return {
-      valid: errors.length === 0,
-      errors
+      valid: result.valid,
+      errors: result.errors.map(error => `${error.element}: ${error.message}`)
     };
   }
 
@@ -118,7 +125,8 @@ class Message {
       username: this.username,
       content: this.content,
       timestamp: this.timestamp,
-      type: this.type
+      type: this.type,
+      roomId: this.roomId
     };
   }
 
@@ -135,6 +143,7 @@ class Message {
         <content>${this._escapeXml(this.content)}</content>
         <timestamp>${this.timestamp}</timestamp>
         <type>${this.type}</type>
+        <roomId>${this._escapeXml(this.roomId)}</roomId>
       </message>
     `;
   }
@@ -209,13 +218,15 @@ function addToHistory(message) {
 }
 
 /**
- * Obtiene el historial de mensajes
+ * Obtiene el historial de mensajes de una sala
  * @param {number} limit - Límite de mensajes (default: MAX_HISTORY)
+ * @param {string} roomId - ID de la sala (default: sala general)
  * @returns {Array<Message>} - Lista de mensajes
  */
-function getMessageHistory(limit = MAX_HISTORY) {
-  const count = Math.min(limit, messages.length);
-  return messages.slice(-count);
+function getMessageHistory(limit = MAX_HISTORY, roomId = DEFAULT_ROOM) {
+  const roomMessages = messages.filter(message => message.roomId === roomId);
+  const count = Math.min(limit, roomMessages.length);
+  return roomMessages.slice(-count);
 }
 
 /**
@@ -250,6 +261,7 @@ async function fromXML(xml) {
 module.exports = {
   Message,
   MessageType,
+  DEFAULT_ROOM,
   createMessage,
   createSystemMessage,
   getMessageHistory,
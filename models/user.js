@@ -12,6 +12,21 @@ const userEvents = new EventEmitter();
 // Almacenamiento de usuarios activos
 const activeUsers = new Map(); // userId -> User
 
+// Estados de presencia (ver presenceType en shared/message_schema.xml)
+const PresenceState = {
+  ONLINE: 'online', // Conectado y disponible
+  AWAY: 'away', // Ausente (elegido o por inactividad)
+  BUSY: 'busy', // Ocupado
+  OFFLINE: 'offline' // Cuenta conocida que no está conectada
+};
+
+// Roles de las cuentas, de menor a mayor (ver roleType en shared/message_schema.xml)
+const Role = {
+  USER: 'user', // Usuario normal
+  MODERATOR: 'moderator', // Puede expulsar, bloquear y silenciar a usuarios
+  ADMIN: 'admin' // Además puede cambiar el rol de otras cuentas
+};
+
 /**
  * Clase que representa un usuario del chat
  */
@@ -20,24 +35,80 @@ class User {
    * Constructor del usuario
    * @param {string} username - Nombre del usuario
    * @param {string} userId - ID opcional del usuario (se genera uno si no se proporciona)
+   * @param {string} role - Rol de la cuenta (ver Role)
    */
-  constructor(username, userId = null) {
+  constructor(username, userId = null, role = Role.USER) {
     this.userId = userId || uuidv4();
     this.username = username;
     this.connected = true;
-    this.lastActive = new Date();
+    this.lastActive = new Date(); // Última acción del usuario (para el estado "ausente")
+    this.lastSeen = new Date(); // Última señal de vida de su conexión (pong al ping del servidor)
     this.joinedAt = new Date();
+    this.presence = PresenceState.ONLINE;
+    this.statusText = '';
+    this.autoAway = false; // Ausente por inactividad, no por elección
+    this.role = role;
   }
 
   /**
-   * Actualiza la marca de tiempo de la última actividad
+   * Indica si el usuario tiene al menos el rol indicado
+   * @param {string} role - Rol mínimo (ver Role)
+   * @returns {boolean} - true si su rol es igual o superior
+   */
+  hasRole(role) {
+    const ranks = Object.values(Role);
+    return ranks.indexOf(this.role) >= ranks.indexOf(role);
+  }
+
+  /**
+   * Actualiza la marca de tiempo de la última actividad.
+   * Un usuario ausente por inactividad vuelve a estar disponible.
    * @returns {Date} - Nueva marca de tiempo
    */
   updateActivity() {
     this.lastActive = new Date();
+    if (this.autoAway) {
+      this.presence = PresenceState.ONLINE;
+      this.autoAway = false;
+    }
     return this.lastActive;
   }
 
+  /**
+   * Actualiza la marca de tiempo de la última señal de vida de la conexión.
+   * No cuenta como actividad: no saca al usuario del estado "ausente".
+   * @returns {Date} - Nueva marca de tiempo
+   */
+  updateLiveness() {
+    this.lastSeen = new Date();
+    return this.lastSeen;
+  }
+
+  /**
+   * Cambia el estado de presencia elegido por el usuario
+   * @param {string} presence - Estado (ver PresenceState, salvo OFFLINE)
+   * @param {string} statusText - Texto de estado libre
+   */
+  setPresence(presence, statusText = '') {
+    this.presence = presence;
+    this.statusText = statusText;
+    this.autoAway = false;
+  }
+
+  /**
+   * Pasa el usuario a ausente si lleva demasiado tiempo sin actividad
+   * @param {number} idleTimeout - Milisegundos de inactividad permitidos
+   * @returns {boolean} - true si el usuario acaba de pasar a ausente
+   */
+  checkIdle(idleTimeout) {
+    if (this.presence !== PresenceState.ONLINE || Date.now() - this.lastActive.getTime() < idleTimeout) {
+      return false;
+    }
+    this.presence = PresenceState.AWAY;
+    this.autoAway = true;
+    return true;
+  }
+
   /**
    * Serializa el usuario para transmisión
    * @returns {Object} - Objeto plano con datos del usuario
@@ -48,7 +119,10 @@ class User {
       username: this.username,
       connected: this.connected,
       lastActive: this.lastActive.toISOString(),
-      joinedAt: this.joinedAt.toISOString()
+      joinedAt: this.joinedAt.toISOString(),
+      presence: this.connected ? this.presence : PresenceState.OFFLINE,
+      statusText: this.statusText,
+      role: this.role
     };
   }
 
@@ -64,6 +138,9 @@ class User {
         <connected>${this.connected}</connected>
         <lastActive>${this.lastActive.toISOString()}</lastActive>
         <joinedAt>${this.joinedAt.toISOString()}</joinedAt>
+        <presence>${this.connected ? this.presence : PresenceState.OFFLINE}</presence>
+        <statusText>${this._escapeXml(this.statusText)}</statusText>
+        <role>${this.role}</role>
       </user>
     `;
   }
@@ -212,5 +289,7 @@ module.exports = {
   removeUser,
   updateUserConnection,
   isUsernameTaken,
+  PresenceState,
+  Role,
   userEvents
 };
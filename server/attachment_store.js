@@ -0,0 +1,147 @@
+/**
+ * Almacén de archivos adjuntos en disco.
+ * Cada archivo se guarda en el directorio configurado con su ID de subida
+ * como nombre, junto a un "<ID>.json" con sus datos (nombre original, tamaño,
+ * tipo, quién lo subió y el mensaje con el que se envió).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Los IDs de subida son UUID; cualquier otro valor no puede nombrar un archivo del almacén
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class AttachmentStore {
+  /**
+   * @param {Object} options - Opciones del almacén
+   * @param {string} options.dir - Directorio de los archivos
+   */
+  constructor(options) {
+    this.dir = options.dir;
+  }
+
+  /**
+   * Crea el directorio de los archivos si no existe
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  /**
+   * Guarda un archivo y sus datos
+   * @param {Object} attachment - Datos del archivo ({uploadId, filename, size, mimeType, uploadedBy, uploadedAt})
+   * @param {Buffer} data - Contenido del archivo
+   * @returns {Promise<void>}
+   */
+  async save(attachment, data) {
+    await fs.promises.writeFile(this.filePath(attachment.uploadId), data);
+    await this._writeMetadata(attachment);
+  }
+
+  /**
+   * Obtiene los datos de un archivo
+   * @param {string} uploadId - ID de subida
+   * @returns {Promise<Object|null>} - Datos del archivo o null si no existe
+   */
+  async get(uploadId) {
+    if (typeof uploadId !== 'string' || !UPLOAD_ID_PATTERN.test(uploadId)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this._metadataPath(uploadId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza los datos de un archivo
+   * @param {string} uploadId - ID de subida
+   * @param {Object} changes - Campos a modificar
+   * @returns {Promise<Object|null>} - Datos actualizados o null si no existe
+   */
+  async update(uploadId, changes) {
+    const attachment = await this.get(uploadId);
+    if (!attachment) {
+      return null;
+    }
+
+    const updated = { ...attachment, ...changes };
+    await this._writeMetadata(updated);
+    return updated;
+  }
+
+  /**
+   * Obtiene los datos de todos los archivos guardados
+   * @returns {Promise<Array>} - Datos de cada archivo
+   */
+  async list() {
+    const names = await fs.promises.readdir(this.dir);
+    const attachments = [];
+
+    for (const name of names) {
+      const uploadId = path.basename(name, '.json');
+      if (name.endsWith('.json') && UPLOAD_ID_PATTERN.test(uploadId)) {
+        const attachment = await this.get(uploadId);
+        if (attachment) {
+          attachments.push(attachment);
+        }
+      }
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Borra un archivo y sus datos
+   * @param {string} uploadId - ID de subida (ya comprobado con get)
+   * @returns {Promise<void>}
+   */
+  async remove(uploadId) {
+    for (const file of [this.filePath(uploadId), this._metadataPath(uploadId)]) {
+      await fs.promises.unlink(file).catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+    }
+  }
+
+  /**
+   * Ruta del contenido de un archivo (para enviarlo en una descarga)
+   * @param {string} uploadId - ID de subida (ya comprobado con get)
+   * @returns {string} - Ruta absoluta
+   */
+  filePath(uploadId) {
+    return path.resolve(this.dir, uploadId);
+  }
+
+  /**
+   * Escribe los datos de un archivo
+   * @param {Object} attachment - Datos del archivo
+   * @returns {Promise<void>}
+   * @private
+   */
+  _writeMetadata(attachment) {
+    return fs.promises.writeFile(this._metadataPath(attachment.uploadId), JSON.stringify(attachment), 'utf8');
+  }
+
+  /**
+   * Ruta de los datos de un archivo
+   * @param {string} uploadId - ID de subida
+   * @returns {string} - Ruta del JSON
+   * @private
+   */
+  _metadataPath(uploadId) {
+    return path.join(this.dir, `${uploadId}.json`);
+  }
+}
+
+module.exports = {
+  AttachmentStore
+};
@@ -0,0 +1,163 @@
+/**
+ * Autenticación de cuentas del chat.
+ * Las contraseñas se guardan como hash scrypt con sal aleatoria y las sesiones
+ * se representan con tokens firmados (HMAC-SHA256) que el cliente presenta al
+ * unirse por WebSocket.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { RmiError, ErrorCode } = require('./rmi_errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64; // Bytes del hash de la contraseña
+const SALT_LENGTH = 16; // Bytes de la sal
+
+// Clave con la que se firman los tokens y su validez en segundos
+let secret = null;
+let tokenTtl = 0;
+
+/**
+ * Configura la firma de tokens
+ * @param {Object} options - Configuración de autenticación (ver config.auth)
+ * @param {string} options.secret - Clave de firma (si falta se genera una aleatoria)
+ * @param {number} options.tokenTtl - Validez de los tokens en segundos
+ */
+function configure(options) {
+  if (options.secret) {
+    secret = options.secret;
+  } else {
+    // Sin clave fija los tokens dejan de valer al reiniciar el servidor
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('CHAT_AUTH_SECRET no definido: se usa una clave temporal para firmar tokens');
+  }
+  tokenTtl = options.tokenTtl;
+}
+
+/**
+ * Calcula el hash de una contraseña con una sal nueva
+ * @param {string} password - Contraseña en claro
+ * @returns {Promise<Object>} - {passwordSalt, passwordHash} en hexadecimal
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+
+  return {
+    passwordSalt: salt.toString('hex'),
+    passwordHash: hash.toString('hex')
+  };
+}
+
+/**
+ * Comprueba una contraseña contra el hash guardado
+ * @param {string} password - Contraseña en claro
+ * @param {Object} account - Cuenta con passwordSalt y passwordHash
+ * @returns {Promise<boolean>} - true si la contraseña es correcta
+ */
+async function verifyPassword(password, account) {
+  const expected = Buffer.from(account.passwordHash, 'hex');
+  const hash = await scrypt(password, Buffer.from(account.passwordSalt, 'hex'), expected.length);
+
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * Emite un token de sesión firmado para un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {string} - Token con formato <datos>.<firma>
+ */
+function createToken(userId) {
+  const payload = Buffer.from(JSON.stringify({
+    userId,
+    exp: Math.floor(Date.now() / 1000) + tokenTtl
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifica un token de sesión
+ * @param {string} token - Token recibido del cliente
+ * @returns {string} - ID del usuario del token
+ * @throws {RmiError} - Si el token está mal formado, alterado o caducado
+ */
+function verifyToken(token) {
+  const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'Sesión no válida');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'Sesión no válida');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'Sesión no válida');
+  }
+
+  if (!data.userId || data.exp < Math.floor(Date.now() / 1000)) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'La sesión ha caducado, vuelve a iniciar sesión');
+  }
+
+  return data.userId;
+}
+
+/**
+ * Firma un enlace de descarga temporal (p.ej. la URL de un archivo adjunto),
+ * para que el navegador lo pida sin llevar el token de sesión en la URL
+ * @param {string} resource - Lo que autoriza el enlace (p.ej. "attachment:<uploadId>:<userId>")
+ * @param {number} ttl - Validez del enlace en segundos
+ * @returns {Object} - {expires, signature} (expires en segundos desde 1970)
+ */
+function signLink(resource, ttl) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  // Los ":" no aparecen en los datos de un token (base64url): una firma no vale por la otra
+  return { expires, signature: sign(`${resource}:${expires}`) };
+}
+
+/**
+ * Verifica un enlace firmado con signLink
+ * @param {string} resource - Lo que debe autorizar el enlace
+ * @param {string|number} expires - Caducidad recibida en el enlace
+ * @param {string} signature - Firma recibida en el enlace
+ * @returns {boolean} - true si la firma es correcta y el enlace no ha caducado
+ */
+function verifyLink(resource, expires, signature) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(`${resource}:${expiresAt}`));
+  const received = Buffer.from(signature);
+  return expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received) &&
+    expiresAt >= Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Firma los datos de un token
+ * @param {string} payload - Datos codificados en base64url
+ * @returns {string} - Firma en base64url
+ * @private
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+module.exports = {
+  configure,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  signLink,
+  verifyLink
+};
@@ -0,0 +1,353 @@
+/**
+ * Registro de comandos del chat (/msg, /me, /who...).
+ * Los comandos se escriben en el campo de mensaje y llegan como una
+ * invocación de runCommand; aquí se analizan sus argumentos y se traducen a
+ * operaciones del middleware RMI, que aplica sus propias comprobaciones.
+ */
+
+const rmiMiddleware = require('./rmi_middleware');
+const { RmiError, ErrorCode } = require('./rmi_errors');
+
+/**
+ * Comandos disponibles. args describe sus argumentos en orden:
+ * - user: nombre de un usuario con cuenta (se resuelve a {userId, username})
+ * - word: una palabra o un texto entre comillas
+ * - number: un número (si es opcional y no lo hay, se pasa al siguiente argumento)
+ * - text: el resto de la línea
+ * minRole es el rol necesario para usar el comando (por defecto, cualquiera).
+ * Cada handler recibe el contexto ({userId, address, roomId}) y los argumentos
+ * y puede devolver un texto que solo ve quien escribió el comando.
+ */
+const commands = {
+  help: {
+    args: [{ name: 'comando', type: 'word', optional: true }],
+    description: 'Muestra los comandos disponibles o la ayuda de uno',
+    handler: (context, [name]) => {
+      if (!name) {
+        const lines = getCommands(context.userId).map(command => `${command.usage}: ${command.description}`);
+        return ['Comandos disponibles:', ...lines, 'Empieza el mensaje con // para enviar un texto que empiece por /'].join('\n');
+      }
+
+      const command = findCommand(name.replace(/^\//, ''), context.userId);
+      return `${formatUsage(command.name)}\n${command.description}`;
+    }
+  },
+  msg: {
+    args: [{ name: 'usuario', type: 'user' }, { name: 'texto', type: 'text' }],
+    description: 'Envía un mensaje privado',
+    handler: async (context, [target, content]) => {
+      await rmiMiddleware.sendPrivateMessage({
+        userId: context.userId,
+        address: context.address,
+        targetUserId: target.userId,
+        content,
+        roomId: context.roomId
+      });
+    }
+  },
+  me: {
+    args: [{ name: 'acción', type: 'text' }],
+    description: 'Describe lo que estás haciendo (p.ej. /me saluda)',
+    handler: async (context, [content]) => {
+      await rmiMiddleware.sendMessage({
+        userId: context.userId,
+        address: context.address,
+        content,
+        roomId: context.roomId,
+        emote: true
+      });
+    }
+  },
+  nick: {
+    args: [{ name: 'nombre', type: 'word' }],
+    description: 'Cambia tu nombre de usuario',
+    handler: async (context, [name]) => {
+      const user = await rmiMiddleware.renameUser(context.userId, name);
+      return `Ahora te llamas ${user.username}`;
+    }
+  },
+  who: {
+    args: [],
+    description: 'Muestra quién está en la sala actual',
+    handler: async (context) => {
+      const roomId = context.roomId || rmiMiddleware.DEFAULT_ROOM;
+      const memberIds = await rmiMiddleware.getRoomMembers(roomId);
+      // Solo se ve quién está en las salas a las que uno se ha unido
+      if (!memberIds.includes(context.userId)) {
+        throw new RmiError(ErrorCode.FORBIDDEN, 'No perteneces a esta sala');
+      }
+
+      const room = (await rmiMiddleware.getRooms()).find(entry => entry.roomId === roomId);
+      const members = memberIds
+        .map(memberId => rmiMiddleware.getConnectedUser(memberId))
+        .filter(Boolean)
+        .map(user => user.presence === 'online' ? user.username : `${user.username} (${PRESENCE_NAMES[user.presence]})`);
+
+      return `En ${room ? room.name : roomId} (${members.length}): ${members.join(', ')}`;
+    }
+  },
+  kick: {
+    args: [{ name: 'usuario', type: 'user' }, { name: 'motivo', type: 'text', optional: true }],
+    description: 'Expulsa del chat a un usuario (puede volver a entrar)',
+    minRole: 'moderator',
+    handler: async (context, [target, reason]) => {
+      await rmiMiddleware.kickUser(context.userId, target.userId, reason);
+      return `${target.username} ha sido expulsado`;
+    }
+  },
+  mute: {
+    args: [
+      { name: 'usuario', type: 'user' },
+      { name: 'minutos', type: 'number', optional: true },
+      { name: 'motivo', type: 'text', optional: true }
+    ],
+    description: 'Silencia a un usuario (10 minutos si no se indica otra duración)',
+    minRole: 'moderator',
+    handler: async (context, [target, minutes, reason]) => {
+      const { until } = await rmiMiddleware.muteUser(
+        context.userId,
+        target.userId,
+        reason,
+        minutes ? minutes * 60 : undefined
+      );
+      return `${target.username} está silenciado hasta las ${new Date(until).toLocaleTimeString('es-ES')}`;
+    }
+  },
+  ban: {
+    args: [
+      { name: 'usuario', type: 'user' },
+      { name: 'minutos', type: 'number', optional: true },
+      { name: 'motivo', type: 'text', optional: true }
+    ],
+    description: 'Bloquea la cuenta de un usuario (sin minutos, de forma indefinida)',
+    minRole: 'moderator',
+    handler: (context, [target, minutes, reason]) => banUser(context, target, minutes, reason, false)
+  },
+  banip: {
+    args: [
+      { name: 'usuario', type: 'user' },
+      { name: 'minutos', type: 'number', optional: true },
+      { name: 'motivo', type: 'text', optional: true }
+    ],
+    description: 'Bloquea la cuenta de un usuario y la IP desde la que se conectó',
+    minRole: 'moderator',
+    handler: (context, [target, minutes, reason]) => banUser(context, target, minutes, reason, true)
+  },
+  unban: {
+    args: [{ name: 'usuario', type: 'user' }],
+    description: 'Levanta el bloqueo de un usuario',
+    minRole: 'moderator',
+    handler: async (context, [target]) => {
+      const unbanned = await rmiMiddleware.unbanUser(context.userId, target.userId);
+      return unbanned ? `${target.username} ya no está bloqueado` : `${target.username} no estaba bloqueado`;
+    }
+  },
+  role: {
+    args: [{ name: 'usuario', type: 'user' }, { name: 'rol', type: 'word' }],
+    description: 'Cambia el rol de un usuario (user, moderator o admin)',
+    minRole: 'admin',
+    handler: async (context, [target, role]) => {
+      await rmiMiddleware.setUserRole(context.userId, target.userId, role);
+      return `${target.username} ahora tiene el rol ${role}`;
+    }
+  }
+};
+
+// Nombres de los estados de presencia en la salida de /who
+const PRESENCE_NAMES = {
+  away: 'ausente',
+  busy: 'ocupado'
+};
+
+/**
+ * Ejecuta una línea de comando escrita por un usuario
+ * @param {string} text - Línea completa, empezando por /
+ * @param {Object} context - Datos de quien la escribe ({userId, address, roomId})
+ * @returns {Promise<Object>} - {command, output} con output null si no hay nada que mostrar
+ * @throws {RmiError} - Si el comando no existe, no está permitido o sus argumentos no son válidos
+ */
+async function execute(text, context) {
+  const match = /^\/(\S+)\s*([\s\S]*)$/.exec(typeof text === 'string' ? text.trim() : '');
+  if (!match) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Los comandos empiezan por /');
+  }
+
+  const command = findCommand(match[1].toLowerCase(), context.userId);
+  const args = await parseArguments(command, match[2]);
+  const output = await command.handler(context, args);
+
+  return { command: command.name, output: output || null };
+}
+
+/**
+ * Obtiene los comandos que puede usar un usuario (para la ayuda y el
+ * autocompletado del cliente)
+ * @param {string} userId - ID del usuario conectado
+ * @returns {Array} - [{name, usage, description}]
+ */
+function getCommands(userId) {
+  return Object.keys(commands)
+    .filter(name => hasPermission(commands[name], userId))
+    .map(name => ({
+      name,
+      usage: formatUsage(name),
+      description: commands[name].description
+    }));
+}
+
+/**
+ * Busca un comando que el usuario pueda usar
+ * @param {string} name - Nombre sin la barra
+ * @param {string} userId - ID del usuario
+ * @returns {Object} - Comando con su nombre
+ * @throws {RmiError} - INVALID_ARGUMENT si no existe, FORBIDDEN si no tiene permiso
+ * @private
+ */
+function findCommand(name, userId) {
+  const command = Object.prototype.hasOwnProperty.call(commands, name) ? commands[name] : null;
+  if (!command) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Comando desconocido: /${name}. Escribe /help para ver la lista`);
+  }
+
+  if (!hasPermission(command, userId)) {
+    throw new RmiError(ErrorCode.FORBIDDEN, `No tienes permiso para usar /${name}`);
+  }
+
+  return { name, ...command };
+}
+
+/**
+ * Indica si un usuario tiene el rol que pide un comando
+ * @param {Object} command - Comando
+ * @param {string} userId - ID del usuario
+ * @returns {boolean} - true si puede usarlo
+ * @private
+ */
+function hasPermission(command, userId) {
+  if (!command.minRole) {
+    return true;
+  }
+
+  const user = rmiMiddleware.getConnectedUser(userId);
+  return Boolean(user) &&
+    rmiMiddleware.ROLES.indexOf(user.role) >= rmiMiddleware.ROLES.indexOf(command.minRole);
+}
+
+/**
+ * Analiza los argumentos de un comando según su descripción
+ * @param {Object} command - Comando (con name y args)
+ * @param {string} input - Texto que sigue al nombre del comando
+ * @returns {Promise<Array>} - Valores en el orden de command.args (undefined si falta uno opcional)
+ * @throws {RmiError} - INVALID_ARGUMENT con el uso correcto, NOT_FOUND si un usuario no existe
+ * @private
+ */
+async function parseArguments(command, input) {
+  const usageError = new RmiError(ErrorCode.INVALID_ARGUMENT, `Uso: ${formatUsage(command.name)}`);
+  const values = [];
+  let rest = input.trim();
+
+  for (const arg of command.args) {
+    // El texto libre se lleva el resto de la línea tal cual
+    if (arg.type === 'text') {
+      if (!rest && !arg.optional) {
+        throw usageError;
+      }
+      values.push(rest || undefined);
+      rest = '';
+      continue;
+    }
+
+    const { token, remaining } = nextToken(rest);
+    if (token === null) {
+      if (!arg.optional) {
+        throw usageError;
+      }
+      values.push(undefined);
+      continue;
+    }
+
+    if (arg.type === 'number') {
+      const number = Number(token.replace(',', '.'));
+      if (!Number.isFinite(number) || number <= 0) {
+        if (!arg.optional) {
+          throw usageError;
+        }
+        // No es un número: el token corresponde al siguiente argumento
+        values.push(undefined);
+        continue;
+      }
+      values.push(number);
+    } else if (arg.type === 'user') {
+      const user = await rmiMiddleware.findUserByName(token.replace(/^@/, ''));
+      if (!user) {
+        throw new RmiError(ErrorCode.NOT_FOUND, `No existe el usuario ${token}`);
+      }
+      values.push(user);
+    } else {
+      values.push(token);
+    }
+
+    rest = remaining;
+  }
+
+  if (rest) {
+    throw usageError;
+  }
+
+  return values;
+}
+
+/**
+ * Separa el primer argumento (una palabra o un texto entre comillas)
+ * @param {string} input - Texto restante
+ * @returns {Object} - {token, remaining} con token null si no quedan argumentos
+ * @private
+ */
+function nextToken(input) {
+  const match = /^\s*(?:"([^"]*)"|(\S+))\s*([\s\S]*)$/.exec(input);
+  if (!match) {
+    return { token: null, remaining: '' };
+  }
+
+  return { token: match[1] !== undefined ? match[1] : match[2], remaining: match[3] };
+}
+
+/**
+ * Construye la línea de uso de un comando (p.ej. "/msg <usuario> <texto>")
+ * @param {string} name - Nombre del comando
+ * @returns {string} - Uso con los opcionales entre corchetes
+ * @private
+ */
+function formatUsage(name) {
+  const args = commands[name].args.map(arg => arg.optional ? `[${arg.name}]` : `<${arg.name}>`);
+  return [`/${name}`, ...args].join(' ');
+}
+
+/**
+ * Aplica /ban o /banip
+ * @param {Object} context - Datos de quien escribe el comando
+ * @param {Object} target - Usuario afectado ({userId, username})
+ * @param {number} minutes - Minutos de bloqueo (undefined = indefinido)
+ * @param {string} reason - Motivo
+ * @param {boolean} byAddress - Bloquear también su IP
+ * @returns {Promise<string>} - Texto para el moderador
+ * @private
+ */
+async function banUser(context, target, minutes, reason, byAddress) {
+  const { until } = await rmiMiddleware.banUser(
+    context.userId,
+    target.userId,
+    reason,
+    minutes ? minutes * 60 : null,
+    byAddress
+  );
+
+  return until
+    ? `${target.username} está bloqueado hasta el ${new Date(until).toLocaleString('es-ES')}`
+    : `${target.username} está bloqueado de forma indefinida`;
+}
+
+module.exports = {
+  execute,
+  getCommands
+};
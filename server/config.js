@@ -0,0 +1,130 @@
+/**
+ * Configuración del servidor del chat.
+ * Todos los valores pueden sobrescribirse mediante variables de entorno.
+ */
+
+const path = require('path');
+
+/**
+ * Lee una variable de entorno numérica. A diferencia de `Number(x) || valor`,
+ * un 0 explícito se respeta (sirve para desactivar la función)
+ * @param {string} name - Nombre de la variable
+ * @param {number} defaultValue - Valor si falta o no es un número
+ * @returns {number}
+ */
+function envNumber(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+module.exports = {
+  // Puerto HTTP/WebSocket
+  port: process.env.PORT || 3000,
+
+  // Almacenamiento de usuarios, salas y mensajes
+  storage: {
+    // 'memory' (se pierde al reiniciar) o 'file' (diario en disco)
+    driver: process.env.CHAT_STORAGE || 'file',
+    // Directorio donde se guarda el diario del almacenamiento en archivo
+    dataDir: process.env.CHAT_DATA_DIR || path.join(__dirname, '../data'),
+    // Tamaño en bytes a partir del cual el diario se reescribe con solo el estado actual
+    compactSize: Number(process.env.CHAT_JOURNAL_COMPACT_SIZE) || 10 * 1024 * 1024,
+    // Número máximo de mensajes que conserva el almacenamiento en memoria
+    maxHistory: Number(process.env.CHAT_MAX_HISTORY) || 100
+  },
+
+  // Cuentas y sesiones
+  auth: {
+    // Clave para firmar los tokens de sesión (si falta, se genera una al arrancar)
+    secret: process.env.CHAT_AUTH_SECRET || null,
+    // Validez de los tokens de sesión en segundos
+    tokenTtl: Number(process.env.CHAT_TOKEN_TTL) || 24 * 60 * 60
+  },
+
+  // Conexiones WebSocket
+  connection: {
+    // Milisegundos que se conserva la sesión de un usuario cuya conexión se cortó
+    // antes de darlo por desconectado (0 = desconectar en el acto)
+    reconnectGrace: envNumber('CHAT_RECONNECT_GRACE', 30000),
+    // Cada cuántos milisegundos se envía un ping a cada conexión (0 = sin pings)
+    heartbeatInterval: envNumber('CHAT_HEARTBEAT_INTERVAL', 30000),
+    // Milisegundos de espera del pong antes de cerrar la conexión (0 = no cerrarla nunca)
+    heartbeatTimeout: envNumber('CHAT_HEARTBEAT_TIMEOUT', 10000),
+    // Milisegundos tras los que caduca un "está escribiendo" que el cliente no renueva
+    typingTimeout: Number(process.env.CHAT_TYPING_TIMEOUT) || 6000
+  },
+
+  // Estados de presencia
+  presence: {
+    // Milisegundos sin actividad tras los que un usuario pasa a "ausente" (0 = nunca)
+    idleTimeout: envNumber('CHAT_IDLE_TIMEOUT', 5 * 60 * 1000)
+  },
+
+  // Límites de frecuencia (cubetas de fichas por usuario y por IP)
+  rateLimit: {
+    // Mensajes CHAT y PRIVATE: ráfaga máxima y mensajes por segundo que se recuperan
+    messages: {
+      burst: Number(process.env.CHAT_RATE_MESSAGE_BURST) || 10,
+      rate: Number(process.env.CHAT_RATE_MESSAGE_RATE) || 1
+    },
+    // Reacciones añadidas o quitadas
+    reactions: {
+      burst: Number(process.env.CHAT_RATE_REACTION_BURST) || 20,
+      rate: Number(process.env.CHAT_RATE_REACTION_RATE) || 2
+    },
+    // Intentos de JOIN
+    joins: {
+      burst: Number(process.env.CHAT_RATE_JOIN_BURST) || 5,
+      rate: Number(process.env.CHAT_RATE_JOIN_RATE) || 0.2
+    },
+    // Archivos adjuntos subidos
+    uploads: {
+      burst: Number(process.env.CHAT_RATE_UPLOAD_BURST) || 5,
+      rate: Number(process.env.CHAT_RATE_UPLOAD_RATE) || 0.1
+    },
+    // Una IP puede agrupar a varios usuarios: sus cubetas son este número de veces mayores
+    ipFactor: Number(process.env.CHAT_RATE_IP_FACTOR) || 3,
+    // Bloqueos en la ventana tras los que un usuario queda silenciado
+    muteThreshold: Number(process.env.CHAT_MUTE_THRESHOLD) || 5,
+    // Ventana en milisegundos en la que se cuentan los bloqueos
+    muteWindow: Number(process.env.CHAT_MUTE_WINDOW) || 60000,
+    // Milisegundos que dura el silencio automático
+    muteDuration: Number(process.env.CHAT_MUTE_DURATION) || 5 * 60 * 1000
+  },
+
+  // Archivos adjuntos
+  attachments: {
+    // Directorio donde se guardan los archivos subidos
+    dir: process.env.CHAT_UPLOAD_DIR || path.join(__dirname, '../uploads'),
+    // Tamaño máximo de un archivo en bytes
+    maxSize: Number(process.env.CHAT_UPLOAD_MAX_SIZE) || 5 * 1024 * 1024,
+    // Tipos MIME permitidos (separados por comas; "image/*" admite cualquier imagen)
+    allowedTypes: (process.env.CHAT_UPLOAD_TYPES ||
+      'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,application/zip')
+      .split(',')
+      .map(type => type.trim().toLowerCase())
+      .filter(Boolean),
+    // Cuota de cada usuario: bytes y archivos que puede subir en la ventana
+    quotaBytes: Number(process.env.CHAT_UPLOAD_QUOTA_BYTES) || 50 * 1024 * 1024,
+    quotaFiles: Number(process.env.CHAT_UPLOAD_QUOTA_FILES) || 50,
+    // Ventana de la cuota en milisegundos
+    quotaWindow: Number(process.env.CHAT_UPLOAD_QUOTA_WINDOW) || 24 * 60 * 60 * 1000,
+    // Milisegundos tras los que se borra un archivo subido que no se ha enviado
+    unclaimedTtl: Number(process.env.CHAT_UPLOAD_UNCLAIMED_TTL) || 60 * 60 * 1000,
+    // Segundos de validez de los enlaces de descarga firmados
+    linkTtl: Number(process.env.CHAT_UPLOAD_LINK_TTL) || 300
+  },
+
+  // Moderación
+  moderation: {
+    // Nombres de usuario (separados por comas) que siempre tienen rol de administrador
+    admins: (process.env.CHAT_ADMINS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+  }
+};
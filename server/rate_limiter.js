@@ -0,0 +1,67 @@
+/**
+ * Limitador de frecuencia por cubetas de fichas (token bucket).
+ * Cada clave (un usuario o una IP) dispone de una ráfaga de `burst` acciones
+ * que se recupera a razón de `rate` fichas por segundo.
+ */
+
+// Número de cubetas a partir del cual se descartan las que ya están llenas
+const PRUNE_THRESHOLD = 1000;
+
+class RateLimiter {
+  /**
+   * @param {Object} options - Límites de la cubeta
+   * @param {number} options.burst - Fichas máximas (acciones seguidas permitidas)
+   * @param {number} options.rate - Fichas recuperadas por segundo
+   */
+  constructor(options) {
+    this.burst = options.burst;
+    this.rate = options.rate;
+    this.buckets = new Map(); // clave -> {tokens, updatedAt}
+  }
+
+  /**
+   * Consume una ficha de la cubeta de una clave
+   * @param {string} key - Usuario o IP que realiza la acción
+   * @returns {number} - 0 si la acción se permite; si no, segundos hasta que
+   *                     vuelva a haber una ficha
+   */
+  consume(key) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: this.burst, updatedAt: now };
+
+    // Recuperar las fichas acumuladas desde la última acción
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * this.rate);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      this._prune(now);
+      return 0;
+    }
+
+    return Math.ceil((1 - bucket.tokens) / this.rate);
+  }
+
+  /**
+   * Descarta las cubetas que ya se habrían llenado (equivalen a no tener
+   * cubeta) para que el mapa no crezca sin límite
+   * @param {number} now - Marca de tiempo actual
+   * @private
+   */
+  _prune(now) {
+    if (this.buckets.size < PRUNE_THRESHOLD) {
+      return;
+    }
+
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) / 1000 * this.rate >= this.burst) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter
+};
@@ -0,0 +1,45 @@
+/**
+ * Errores del middleware RMI.
+ * Cada error lleva un código que las capas de transporte (REST, WebSocket)
+ * traducen a su propio formato de respuesta.
+ */
+
+/**
+ * Códigos de error soportados
+ */
+const ErrorCode = {
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT', // Datos incompletos o mal formados
+  INVALID_MESSAGE: 'INVALID_MESSAGE',   // Mensaje que no cumple el esquema XML
+  NOT_FOUND: 'NOT_FOUND',               // Usuario, sala o mensaje inexistente
+  CONFLICT: 'CONFLICT',                 // Nombre ya en uso
+  FORBIDDEN: 'FORBIDDEN',               // Operación no permitida para el usuario
+  UNAUTHENTICATED: 'UNAUTHENTICATED',   // La conexión aún no tiene usuario
+  METHOD_NOT_FOUND: 'METHOD_NOT_FOUND', // Método remoto inexistente o no permitido
+  RATE_LIMITED: 'RATE_LIMITED',         // Demasiadas peticiones o usuario silenciado
+  TOO_LARGE: 'TOO_LARGE',               // Archivo adjunto mayor que el tamaño permitido
+  INTERNAL: 'INTERNAL'                  // Error inesperado del servidor
+};
+
+/**
+ * Error lanzado por las operaciones del middleware RMI
+ */
+class RmiError extends Error {
+  /**
+   * @param {string} code - Código de error (ver ErrorCode)
+   * @param {string} message - Mensaje descriptivo
+   * @param {Object} details - Datos adicionales ({element} en INVALID_MESSAGE,
+   *                           {retryAfter} en segundos en RATE_LIMITED)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RmiError';
+    this.code = code;
+    this.element = details.element;
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+module.exports = {
+  RmiError,
+  ErrorCode
+};
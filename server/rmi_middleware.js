@@ -6,11 +6,61 @@
 const { EventEmitter } = require('events');
 const xml2js = require('xml2js');
 const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage_adapter');
+const { RmiError, ErrorCode } = require('./rmi_errors');
+const auth = require('./auth');
+const { RateLimiter } = require('./rate_limiter');
+const { AttachmentStore } = require('./attachment_store');
+const { tokenize } = require('./search_index');
 
 // Almacenamiento de datos
-const users = new Map(); // userId -> {userId, username, lastActive}
-const messageHistory = []; // Lista de mensajes recientes
-const MAX_HISTORY = 100; // Número máximo de mensajes en historial
+const users = new Map(); // userId -> {userId, username, role, address, lastActive, lastSeen, presence, statusText} (usuarios conectados)
+let storage = null; // Almacenamiento persistente de mensajes, usuarios y salas
+const rooms = new Map(); // roomId -> {roomId, name, createdBy, createdAt, members}
+const DEFAULT_ROOM = 'general'; // Sala a la que pertenecen todos los usuarios
+const MIN_PASSWORD_LENGTH = 6; // Longitud mínima de las contraseñas
+const MAX_USERNAME_LENGTH = 32; // Longitud máxima de los nombres de usuario
+// Letras, números, espacios y "_.-" (los espacios permiten menciones como "@Ana María")
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.\- ]+$/u;
+const RECEIPT_STATES = ['DELIVERED', 'READ']; // Estados de confirmación, de menor a mayor
+const ROLES = ['user', 'moderator', 'admin']; // Roles de las cuentas, de menor a mayor
+const MODERATOR_ROLES = ['moderator', 'admin']; // Roles que pueden modificar mensajes ajenos y sancionar
+const PRESENCE_STATES = ['online', 'away', 'busy']; // Estados que puede elegir un usuario conectado
+const MAX_STATUS_TEXT_LENGTH = 100; // Longitud máxima del texto de estado
+const MAX_HISTORY_PAGE = 100; // Mensajes máximos por página de historial
+const SEARCHABLE_TYPES = ['CHAT', 'PRIVATE', 'ATTACHMENT', 'JOIN', 'LEAVE', 'NICK_CHANGE']; // Tipos de mensaje guardados
+const MAX_SEARCH_RESULTS = 50; // Resultados máximos de una búsqueda
+const REACTABLE_TYPES = ['CHAT', 'PRIVATE', 'ATTACHMENT']; // Tipos de mensaje que admiten reacciones
+const REPLYABLE_TYPES = ['CHAT', 'PRIVATE', 'ATTACHMENT']; // Tipos de mensaje a los que se puede responder
+const MAX_REACTIONS = 20; // Emojis distintos como máximo en un mensaje
+const MAX_MENTIONS = 20; // Usuarios avisados como máximo por las menciones de un mensaje
+const MAX_EMOJI_LENGTH = 32; // Longitud máxima de una reacción (los emojis compuestos ocupan varios caracteres)
+// Caracteres de un emoji con sus modificadores (tono de piel, variantes, secuencias con ZWJ o banderas)
+const EMOJI_PATTERN = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+const graphemes = new Intl.Segmenter('es', { granularity: 'grapheme' }); // Para contar los emojis de una reacción
+// Una @ que no va pegada a una palabra (no menciona en "ana@correo.es") y lo
+// que puede seguir a un nombre mencionado sin formar parte de él
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_])@/gu;
+const NAME_CHARACTER = /[\p{L}\p{N}_]/u;
+
+// Límites de frecuencia: acción -> {user, ip} (ver config.rateLimit)
+const rateLimiters = {};
+let muteRules = null; // {muteThreshold, muteWindow, muteDuration}
+const violations = new Map(); // userId -> marcas de tiempo de los últimos bloqueos
+const mutes = new Map(); // userId -> {until, reason} (usuarios silenciados)
+
+// Moderación
+let admins = new Set(); // Nombres (en minúsculas) de las cuentas administradoras (ver config.moderation)
+const bans = new Map(); // userId -> {until, reason, address} (cuentas bloqueadas; until null = indefinido)
+const DEFAULT_MUTE_DURATION = 10 * 60; // Segundos de silencio si el moderador no indica otros
+const MAX_REASON_LENGTH = 200; // Longitud máxima del motivo de una sanción
+
+// Archivos adjuntos
+let attachmentStore = null; // Archivos subidos y sus datos
+let attachmentRules = null; // {maxSize, allowedTypes, quotaBytes, ...} (ver config.attachments)
+const uploadHistory = new Map(); // userId -> subidas [{at, size}] dentro de la ventana de la cuota
+const claimedUploads = new Set(); // uploadIds de archivos que se están enviando (aún sin messageId guardado)
+const MAX_FILENAME_LENGTH = 200; // Longitud máxima del nombre de un archivo adjunto
 
 // Event emitter para notificaciones
 const chatEvents = new EventEmitter();
@@ -21,83 +71,397 @@ const builder = new xml2js.Builder();
 
 /**
  * Inicializa el middleware RMI
+ * @param {Object} config - Configuración del servidor (ver config.js)
+ * @returns {Promise<void>}
  */
-function initialize() {
-  console.log('Middleware RMI inicializado');
+async function initialize(config) {
+  // Preparar la firma de tokens de sesión
+  auth.configure(config.auth);
+  
+  // Preparar los límites de frecuencia por usuario y por IP
+  const { ipFactor, ...rules } = config.rateLimit;
+  for (const action of ['messages', 'reactions', 'joins', 'uploads']) {
+    const limits = config.rateLimit[action];
+    rateLimiters[action] = {
+      user: new RateLimiter(limits),
+      ip: new RateLimiter({ burst: limits.burst * ipFactor, rate: limits.rate * ipFactor })
+    };
+  }
+  muteRules = rules;
+  
+  admins = new Set(config.moderation.admins.map(name => name.toLowerCase()));
+  
+  // Preparar el directorio de los archivos adjuntos
+  const { dir, ...limits } = config.attachments;
+  attachmentStore = new AttachmentStore({ dir });
+  await attachmentStore.load();
+  attachmentRules = limits;
+  
+  // Las subidas guardadas siguen contando para la cuota de su autor
+  for (const attachment of await attachmentStore.list()) {
+    recordUpload(attachment.uploadedBy, attachment.size, new Date(attachment.uploadedAt).getTime());
+  }
+  await removeUnclaimedUploads();
+  startUploadCleanup(attachmentRules.unclaimedTtl);
+  
+  // Abrir el almacenamiento configurado
+  storage = createStorage(config.storage);
+  await storage.load();
+  
+  // Restaurar las salas guardadas (los miembros se unen al conectarse)
+  for (const room of await storage.getRooms()) {
+    rooms.set(room.roomId, { ...room, members: new Set() });
+  }
+  
+  // Restaurar los bloqueos y silencios de cuentas (los silencios caducados se ignoran)
+  for (const account of await storage.getAllUsers()) {
+    if (account.ban) {
+      bans.set(account.userId, {
+        until: account.ban.until ? new Date(account.ban.until).getTime() : null,
+        reason: account.ban.reason,
+        address: account.ban.address || null
+      });
+    }
+    if (account.mute && new Date(account.mute.until).getTime() > Date.now()) {
+      mutes.set(account.userId, {
+        until: new Date(account.mute.until).getTime(),
+        reason: account.mute.reason
+      });
+    }
+  }
+  
+  // Crear la sala por defecto
+  if (!rooms.has(DEFAULT_ROOM)) {
+    const defaultRoom = {
+      roomId: DEFAULT_ROOM,
+      name: 'General',
+      createdBy: 'system',
+      createdAt: new Date().toISOString()
+    };
+    
+    await storage.saveRoom(defaultRoom);
+    rooms.set(DEFAULT_ROOM, { ...defaultRoom, members: new Set() });
+  }
+  
+  // Pasar a "ausente" a los usuarios inactivos
+  if (config.presence.idleTimeout > 0) {
+    startIdleCheck(config.presence.idleTimeout);
+  }
+  
+  console.log(`Middleware RMI inicializado (almacenamiento: ${config.storage.driver})`);
 }
 
 /**
- * Registra un nuevo usuario
+ * Crea una cuenta nueva e inicia su sesión.
+ * El nombre queda reservado para su dueño aunque no esté conectado.
  * @param {string} username - Nombre de usuario
- * @returns {Promise<Object>} - Respuesta de registro
+ * @param {string} password - Contraseña
+ * @returns {Promise<Object>} - Respuesta de registro con el token de sesión
  */
-async function registerUser(username) {
+async function registerUser(username, password) {
   // Validar que el nombre de usuario no esté vacío
   if (!username || !username.trim()) {
-    throw new Error('El nombre de usuario no puede estar vacío');
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'El nombre de usuario no puede estar vacío');
   }
   
-  // Verificar si el nombre de usuario ya existe
-  const userExists = Array.from(users.values()).some(
-    user => user.username.toLowerCase() === username.toLowerCase()
-  );
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new RmiError(
+      ErrorCode.INVALID_ARGUMENT,
+      `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`
+    );
+  }
+  
+  // Verificar si el nombre de usuario ya pertenece a otra cuenta
+  const name = username.trim();
+  checkUsername(name);
+  if (await findAccount(name)) {
+    throw new RmiError(ErrorCode.CONFLICT, 'El nombre de usuario ya está en uso');
+  }
   
-  if (userExists) {
-    throw new Error('El nombre de usuario ya está en uso');
+  // Los nombres de los administradores de la configuración les dan su rol:
+  // nadie puede registrarlos (la cuenta se crea antes de añadirla a CHAT_ADMINS)
+  if (admins.has(name.toLowerCase())) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'Ese nombre de usuario está reservado');
   }
   
-  // Generar ID único
+  // Generar ID único y guardar la cuenta con la contraseña cifrada
   const userId = uuidv4();
+  const account = {
+    userId,
+    username: name,
+    createdAt: new Date().toISOString(),
+    ...await auth.hashPassword(password)
+  };
+  
+  await storage.saveUser(account);
+  
+  console.log(`Cuenta creada: ${name} (ID: ${userId})`);
+  
+  // Retornar respuesta
+  return {
+    success: true,
+    message: 'Registro exitoso',
+    userId,
+    username: name,
+    token: auth.createToken(userId)
+  };
+}
+
+/**
+ * Inicia sesión con nombre de usuario y contraseña
+ * @param {string} username - Nombre de usuario
+ * @param {string} password - Contraseña
+ * @returns {Promise<Object>} - Datos de la cuenta y token de sesión
+ */
+async function login(username, password) {
+  const account = username && password ? await findAccount(username.trim()) : null;
+  
+  // Mismo error para usuario inexistente y contraseña incorrecta
+  if (!account || !await auth.verifyPassword(password, account)) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'Usuario o contraseña incorrectos');
+  }
+  
+  return {
+    success: true,
+    message: 'Sesión iniciada',
+    userId: account.userId,
+    username: account.username,
+    token: auth.createToken(account.userId)
+  };
+}
+
+/**
+ * Obtiene la cuenta asociada a un token de sesión
+ * @param {string} token - Token emitido por registerUser o login
+ * @returns {Promise<Object>} - {userId, username} de la cuenta
+ * @throws {RmiError} - Si el token no es válido o la cuenta no existe
+ */
+async function authenticate(token) {
+  const userId = auth.verifyToken(token);
+  
+  const account = await storage.getUser(userId);
+  if (!account || !account.passwordHash) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'Sesión no válida');
+  }
+  
+  return { userId: account.userId, username: account.username };
+}
+
+/**
+ * Marca como conectado a un usuario autenticado
+ * @param {string} userId - ID de la cuenta
+ * @param {string} address - IP de origen de la conexión (para bloquearla si hace falta)
+ * @returns {Promise<Object>} - Usuario conectado
+ */
+async function connectUser(userId, address = null) {
+  // Una segunda conexión del mismo usuario reutiliza la sesión existente
+  if (users.has(userId)) {
+    const user = users.get(userId);
+    user.address = address || user.address;
+    return user;
+  }
+  
+  const account = await storage.getUser(userId);
+  if (!account) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  // La última IP se guarda para poder bloquearla aunque el usuario ya no esté conectado
+  if (address) {
+    await storage.saveUser({ userId, lastAddress: address });
+  }
   
-  // Registrar usuario
+  // Solo los datos públicos: el hash de la contraseña no sale del almacenamiento
   const user = {
     userId,
-    username,
-    lastActive: new Date()
+    username: account.username,
+    role: getRole(account),
+    address,
+    lastActive: new Date(),
+    lastSeen: new Date(),
+    presence: 'online',
+    // El texto de estado se conserva entre sesiones
+    statusText: account.statusText || ''
   };
   
   users.set(userId, user);
   
+  // Todos los usuarios pertenecen a la sala por defecto
+  rooms.get(DEFAULT_ROOM).members.add(userId);
+  
   // Crear mensaje de unión
-  const joinMessage = createSystemMessage(`${username} se ha unido al chat`, 'JOIN');
+  const joinMessage = createSystemMessage(`${user.username} se ha unido al chat`, 'JOIN');
   
   // Guardar mensaje y notificar
-  saveMessage(joinMessage);
+  await saveMessage(joinMessage);
   notifyAll(joinMessage);
   
-  console.log(`Usuario registrado: ${username} (ID: ${userId})`);
+  console.log(`Usuario conectado: ${user.username} (ID: ${userId})`);
   
-  // Retornar respuesta
-  return {
-    success: true,
-    message: 'Registro exitoso',
-    userId
-  };
+  return user;
 }
 
 /**
- * Obtiene la lista de usuarios conectados
+ * Obtiene la lista de usuarios: los conectados con su estado de presencia y
+ * después las cuentas conocidas que no están conectadas (presence: offline)
  * @returns {Promise<Array>} - Lista de usuarios
  */
 async function getUsers() {
-  return Array.from(users.values());
+  const connected = Array.from(users.values()).map(serializeUser);
+  
+  const accounts = await storage.getAllUsers();
+  const offline = accounts
+    .filter(account => account.passwordHash && !users.has(account.userId))
+    .map(account => ({
+      userId: account.userId,
+      username: account.username,
+      role: getRole(account),
+      presence: 'offline',
+      statusText: account.statusText || '',
+      lastActive: account.lastActive
+    }));
+  
+  return [...connected, ...offline];
+}
+
+/**
+ * Cambia el nombre de un usuario conectado sin cerrar su sesión. Se aplican
+ * las mismas reglas que al registrarse: no puede estar vacío ni coincidir
+ * (sin distinguir mayúsculas) con el de otra cuenta.
+ * @param {string} userId - ID del usuario
+ * @param {string} newUsername - Nombre nuevo
+ * @returns {Promise<Object>} - Entrada del usuario actualizada
+ */
+async function renameUser(userId, newUsername) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  const name = typeof newUsername === 'string' ? newUsername.trim() : '';
+  if (!name) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'El nombre de usuario no puede estar vacío');
+  }
+  
+  if (name === user.username) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Ese ya es tu nombre de usuario');
+  }
+  
+  checkUsername(name);
+  
+  // Se permite cambiar solo las mayúsculas del nombre propio
+  const owner = await findAccount(name);
+  if (owner && owner.userId !== userId) {
+    throw new RmiError(ErrorCode.CONFLICT, 'El nombre de usuario ya está en uso');
+  }
+  
+  // Los nombres de los administradores de la configuración les dan su rol
+  const isOwnName = name.toLowerCase() === user.username.toLowerCase();
+  if (admins.has(name.toLowerCase()) && !isOwnName) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'Ese nombre de usuario está reservado');
+  }
+  
+  const oldUsername = user.username;
+  await storage.saveUser({ userId, username: name });
+  user.username = name;
+  user.role = getRole(await storage.getUser(userId));
+  
+  // Aviso en la sala general (todos los conectados pertenecen a ella)
+  const nickMessage = createSystemMessage(`${oldUsername} ahora se llama ${name}`, 'NICK_CHANGE');
+  nickMessage.targetUserId = userId;
+  nickMessage.targetUsername = name;
+  
+  await saveMessage(nickMessage);
+  notifyAll(nickMessage);
+  chatEvents.emit('users-updated');
+  
+  console.log(`Usuario renombrado: ${oldUsername} -> ${name} (ID: ${userId})`);
+  
+  return serializeUser(user);
+}
+
+/**
+ * Cambia el estado de presencia y el texto de estado de un usuario conectado
+ * @param {string} userId - ID del usuario
+ * @param {string} presence - online, away o busy
+ * @param {string} statusText - Texto libre (opcional; vacío para quitarlo)
+ * @returns {Promise<Object>} - Entrada del usuario actualizada
+ */
+async function setPresence(userId, presence, statusText = '') {
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  if (!PRESENCE_STATES.includes(presence)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Estado de presencia no válido: ${presence}`);
+  }
+  
+  const text = typeof statusText === 'string' ? statusText.trim() : '';
+  if (text.length > MAX_STATUS_TEXT_LENGTH) {
+    throw new RmiError(
+      ErrorCode.INVALID_ARGUMENT,
+      `El texto de estado no puede superar los ${MAX_STATUS_TEXT_LENGTH} caracteres`
+    );
+  }
+  
+  user.presence = presence;
+  user.statusText = text;
+  delete user.autoAway;
+  
+  await storage.saveUser({ userId, statusText: text });
+  
+  return notifyPresence(user);
+}
+
+/**
+ * Busca una cuenta por su nombre de usuario (sin distinguir mayúsculas)
+ * @param {string} username - Nombre de usuario
+ * @returns {Promise<Object|null>} - {userId, username} o null si no existe
+ */
+async function findUserByName(username) {
+  const account = username ? await findAccount(username.trim()) : null;
+  return account ? { userId: account.userId, username: account.username } : null;
+}
+
+/**
+ * Obtiene un usuario conectado
+ * @param {string} userId - ID del usuario
+ * @returns {Object|null} - Usuario ({userId, username, lastActive}) o null si no está conectado
+ */
+function getConnectedUser(userId) {
+  return users.get(userId) || null;
 }
 
 /**
- * Envía un mensaje al chat
+ * Envía un mensaje al chat. Con messageData.uploadId envía un archivo
+ * subido antes (mensaje ATTACHMENT, content es entonces un comentario opcional).
  * @param {Object} messageData - Datos del mensaje
  * @returns {Promise<Object>} - Mensaje procesado
  */
 async function sendMessage(messageData) {
   // Validar datos mínimos
-  if (!messageData.userId || !messageData.content) {
-    throw new Error('Datos de mensaje incompletos');
+  if (!messageData.userId || !(messageData.content || messageData.uploadId)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Datos de mensaje incompletos');
   }
   
   // Buscar usuario
   const user = users.get(messageData.userId);
   if (!user) {
-    throw new Error('Usuario no encontrado');
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  checkBan(messageData.userId, messageData.address);
+  checkRateLimit('messages', messageData.userId, messageData.address);
+  
+  // Verificar que el usuario pertenece a la sala
+  const roomId = messageData.roomId || DEFAULT_ROOM;
+  const room = rooms.get(roomId);
+  if (!room) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Sala no encontrada');
+  }
+  if (!room.members.has(messageData.userId)) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'No perteneces a esta sala');
   }
   
   // Actualizar último acceso
@@ -109,40 +473,87 @@ async function sendMessage(messageData) {
     username: user.username,
     content: messageData.content,
     timestamp: new Date().toISOString(),
-    type: 'CHAT'
+    type: 'CHAT',
+    roomId
   };
   
-  // Guardar mensaje
-  saveMessage(message);
+  // Mensaje en tercera persona (/me)
+  if (messageData.emote) {
+    message.emote = true;
+  }
+  
+  // Respuesta a otro mensaje de la sala
+  const parent = messageData.replyTo ? await getReplyParent(messageData.replyTo, message) : null;
+  if (parent) {
+    message.replyTo = parent.messageId;
+  }
+  
+  const attachment = messageData.uploadId ? await claimAttachment(messageData.userId, messageData.uploadId) : null;
+  if (attachment) {
+    Object.assign(message, attachmentFields(attachment), { content: messageData.content || '', type: 'ATTACHMENT' });
+  }
   
-  // Notificar a todos los usuarios
+  // Usuarios mencionados con @nombre en el texto
+  let mentioned;
+  try {
+    mentioned = message.type === 'CHAT' ? await findMentions(message) : [];
+    if (mentioned.length) {
+      message.mentions = mentioned.map(target => target.userId);
+    }
+    
+    // Guardar mensaje
+    await saveMessage(message);
+    if (attachment) {
+      await attachmentStore.update(attachment.uploadId, { messageId: message.messageId });
+    }
+  } finally {
+    // Enviado o no, el archivo ya no está a medio reclamar
+    if (attachment) {
+      claimedUploads.delete(attachment.uploadId);
+    }
+  }
+  if (parent) {
+    await updateReplyCount(parent.messageId);
+  }
+  
+  // Notificar a todos los usuarios y avisar a los mencionados
   notifyAll(message);
+  await notifyMentions(message, mentioned);
   
   return message;
 }
 
 /**
- * Envía un mensaje privado a un usuario específico
+ * Envía un mensaje privado a un usuario específico. Con messageData.uploadId
+ * envía un archivo que solo podrán descargar el remitente y el destinatario.
  * @param {Object} messageData - Datos del mensaje
  * @returns {Promise<Object>} - Mensaje procesado
  */
 async function sendPrivateMessage(messageData) {
   // Validar datos mínimos
-  if (!messageData.userId || !messageData.targetUserId || !messageData.content) {
-    throw new Error('Datos de mensaje privado incompletos');
+  if (!messageData.userId || !messageData.targetUserId || !(messageData.content || messageData.uploadId)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Datos de mensaje privado incompletos');
   }
   
   // Buscar remitente
   const sender = users.get(messageData.userId);
   if (!sender) {
-    throw new Error('Usuario remitente no encontrado');
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario remitente no encontrado');
   }
   
-  // Buscar destinatario
-  const target = users.get(messageData.targetUserId);
-  if (!target) {
-    throw new Error('Usuario destinatario no encontrado.');
+  checkBan(messageData.userId, messageData.address);
+  checkRateLimit('messages', messageData.userId, messageData.address);
+  
+  // Buscar destinatario: si no está conectado pero tiene cuenta, el mensaje
+  // queda en cola hasta que vuelva a conectarse
+  let target = users.get(messageData.targetUserId);
+  const queued = !target;
+  if (queued) {
+    target = await storage.getUser(messageData.targetUserId);
+    if (!target || !target.passwordHash) {
+      throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario destinatario no encontrado');
     }
+  }
   
   // Actualizar último acceso del remitente
   sender.lastActive = new Date();
@@ -155,11 +566,46 @@ async function sendPrivateMessage(messageData) {
     targetUsername: target.username,
     content: messageData.content,
     timestamp: new Date().toISOString(),
-    type: 'PRIVATE'
+    type: 'PRIVATE',
+    // Sala desde la que se escribió (la entrega no depende de ella)
+    roomId: rooms.has(messageData.roomId) ? messageData.roomId : DEFAULT_ROOM
   }; 
   
+  // Respuesta a otro mensaje de la conversación privada
+  const parent = messageData.replyTo ? await getReplyParent(messageData.replyTo, message) : null;
+  if (parent) {
+    message.replyTo = parent.messageId;
+  }
+  
+  const attachment = messageData.uploadId ? await claimAttachment(messageData.userId, messageData.uploadId) : null;
+  if (attachment) {
+    Object.assign(message, attachmentFields(attachment), { content: messageData.content || '', type: 'ATTACHMENT' });
+  }
+  
   // Guardar mensaje
-  saveMessage(message);
+  try {
+    await saveMessage(message);
+    if (attachment) {
+      await attachmentStore.update(attachment.uploadId, { messageId: message.messageId });
+    }
+  } finally {
+    // Enviado o no, el archivo ya no está a medio reclamar
+    if (attachment) {
+      claimedUploads.delete(attachment.uploadId);
+    }
+  }
+  if (parent) {
+    await updateReplyCount(parent.messageId);
+  }
+  
+  if (queued) {
+    await storage.queueMessage(message.targetUserId, message);
+    
+    // El remitente recibe su copia marcada como pendiente de entrega
+    const queuedMessage = { ...message, status: 'queued' };
+    notifyAll(queuedMessage);
+    return queuedMessage;
+  }
   
   // Notificar
   notifyAll(message);
@@ -168,92 +614,1932 @@ async function sendPrivateMessage(messageData) {
 }
 
 /**
- * Desconecta a un usuario
- * @param {string} userId - ID del usuario
- * @returns {Promise<boolean>} - Éxito de la operación
+ * Comprueba, antes de recibir un archivo, que el usuario puede subirlo: que
+ * no esté bloqueado ni silenciado, que no supere su límite de frecuencia y que le quede cuota
+ * @param {string} userId - ID del usuario que lo sube
+ * @param {string} address - IP de origen
+ * @param {number} size - Tamaño declarado en bytes (0 si no se conoce)
+ * @throws {RmiError} - NOT_FOUND si el usuario no está conectado, FORBIDDEN si está bloqueado,
+ *                      RATE_LIMITED si supera el límite o la cuota, TOO_LARGE si el archivo no cabe en la cuota
  */
-async function disconnectUser(userId) {
-  // Verificar que el usuario existe
+function checkUpload(userId, address, size) {
   const user = users.get(userId);
   if (!user) {
-    return false;
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
   }
   
-  // Eliminar usuario
-  users.delete(userId);
+  checkBan(userId, user.address);
+  checkRateLimit('uploads', userId, address);
+  checkUploadQuota(userId, size);
+}
+
+/**
+ * Guarda un archivo subido por un usuario conectado. El archivo no es visible
+ * para nadie más hasta que se envía en un mensaje (sendMessage o
+ * sendPrivateMessage con su uploadId); si no se envía, se borra pasado
+ * config.attachments.unclaimedTtl.
+ * @param {string} userId - ID del usuario que lo sube
+ * @param {Object} file - Archivo recibido
+ * @param {Buffer} file.data - Contenido
+ * @param {string} file.filename - Nombre original
+ * @param {string} file.mimeType - Tipo MIME declarado
+ * @returns {Promise<Object>} - {uploadId, filename, size, mimeType}
+ * @throws {RmiError} - TOO_LARGE si supera el tamaño máximo, INVALID_ARGUMENT si está vacío o su tipo no está permitido,
+ *                      RATE_LIMITED si supera la cuota del usuario
+ */
+async function uploadAttachment(userId, file) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
   
-  // Crear mensaje de desconexión
-  const leaveMessage = createSystemMessage(`${user.username} ha abandonado el chat`, 'LEAVE');
+  checkBan(userId, user.address);
   
-  // Guardar mensaje y notificar
-  saveMessage(leaveMessage);
-  notifyAll(leaveMessage);
+  if (!file.data || !file.data.length) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'El archivo está vacío');
+  }
+  if (file.data.length > attachmentRules.maxSize) {
+    throw new RmiError(ErrorCode.TOO_LARGE, `El archivo supera el tamaño máximo (${formatSize(attachmentRules.maxSize)})`);
+  }
   
-  console.log(`Usuario desconectado: ${user.username} (ID: ${userId})`);
+  const mimeType = String(file.mimeType || '').split(';')[0].trim().toLowerCase();
+  if (!isAllowedType(mimeType)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Tipo de archivo no permitido: ${mimeType || 'desconocido'}`);
+  }
   
-  return true;
+  // Se anota antes de guardar para que dos subidas simultáneas no superen juntas la cuota
+  checkUploadQuota(userId, file.data.length);
+  recordUpload(userId, file.data.length, Date.now());
+  
+  const attachment = {
+    uploadId: uuidv4(),
+    filename: normalizeFilename(file.filename),
+    size: file.data.length,
+    mimeType,
+    uploadedBy: userId,
+    uploadedAt: new Date().toISOString()
+  };
+  
+  await attachmentStore.save(attachment, file.data);
+  console.log(`Archivo ${attachment.filename} (${formatSize(attachment.size)}) subido por ${user.username}`);
+  
+  return attachmentFields(attachment);
 }
 
 /**
- * Obtiene el historial reciente de mensajes
- * @param {number} limit - Número máximo de mensajes a retornar
- * @returns {Promise<Array>} - Lista de mensajes
+ * Obtiene un archivo adjunto para descargarlo. Su autor puede descargarlo
+ * siempre; el resto, si puede ver el mensaje con el que se envió.
+ * @param {string} userId - ID de quien lo descarga
+ * @param {string} uploadId - ID de subida
+ * @returns {Promise<Object>} - {uploadId, filename, size, mimeType, path}
+ * @throws {RmiError} - NOT_FOUND si no existe o no se puede ver
  */
-async function getMessageHistory(limit = 20) {
-  const count = Math.min(limit, messageHistory.length);
-  return messageHistory.slice(-count);
+async function getAttachment(userId, uploadId) {
+  const attachment = await attachmentStore.get(uploadId);
+  
+  let visible = Boolean(attachment) && attachment.uploadedBy === userId;
+  if (attachment && !visible && attachment.messageId) {
+    const message = await storage.getMessage(attachment.messageId);
+    visible = Boolean(message) && !message.deleted && canSeeMessage(message, userId);
+  }
+  
+  // Mismo error que si no existiera, para no revelar archivos ajenos
+  if (!visible) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Archivo no encontrado');
+  }
+  
+  return { ...attachmentFields(attachment), path: attachmentStore.filePath(uploadId) };
 }
 
 /**
- * Convierte un objeto de mensaje a formato XML
- * @param {Object} message - Mensaje a convertir
- * @returns {string} - Mensaje en formato XML
+ * Crea un enlace de descarga temporal para un archivo adjunto. El enlace
+ * solo vale para ese archivo y ese usuario, y caduca pasados
+ * config.attachments.linkTtl segundos, así que el token de sesión no tiene
+ * que ir nunca en la URL (donde quedaría en el historial o en el Referer).
+ * @param {string} userId - ID de quien lo descarga
+ * @param {string} uploadId - ID de subida
+ * @returns {Promise<Object>} - {url, expires} (expires en ISO 8601)
+ * @throws {RmiError} - NOT_FOUND si no existe o no se puede ver
  */
-function messageToXml(message) {
-  return builder.buildObject({ message });
+async function getAttachmentUrl(userId, uploadId) {
+  await getAttachment(userId, uploadId);
+  
+  const { expires, signature } = auth.signLink(`attachment:${uploadId}:${userId}`, attachmentRules.linkTtl);
+  const query = new URLSearchParams({ user: userId, expires, signature });
+  
+  return {
+    url: `/api/attachments/${encodeURIComponent(uploadId)}?${query}`,
+    expires: new Date(expires * 1000).toISOString()
+  };
 }
 
 /**
- * Convierte un mensaje XML a objeto
- * @param {string} xmlMessage - Mensaje XML
- * @returns {Promise<Object>} - Mensaje como objeto
+ * Obtiene un archivo adjunto a partir de un enlace firmado con getAttachmentUrl.
+ * La visibilidad se vuelve a comprobar (p.ej. si el mensaje se ha borrado).
+ * @param {string} uploadId - ID de subida
+ * @param {Object} link - Parámetros del enlace ({user, expires, signature})
+ * @returns {Promise<Object>} - {uploadId, filename, size, mimeType, path}
+ * @throws {RmiError} - UNAUTHENTICATED si el enlace no es válido o ha caducado, NOT_FOUND si ya no se puede ver
  */
-async function xmlToMessage(xmlMessage) {
+async function getSignedAttachment(uploadId, link) {
+  if (!auth.verifyLink(`attachment:${uploadId}:${link.user}`, link.expires, link.signature)) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'El enlace de descarga no es válido o ha caducado');
+  }
+  return getAttachment(link.user, uploadId);
+}
+
+/**
+ * Comprueba que un usuario puede enviar un archivo subido: debe ser suyo y no
+ * haberse enviado ya (su visibilidad es la del único mensaje que lo contiene).
+ * El archivo queda reclamado hasta que quien llama guarda su messageId o
+ * falla; en ambos casos debe quitarlo de claimedUploads.
+ * @param {string} userId - ID del remitente
+ * @param {string} uploadId - ID de subida
+ * @returns {Promise<Object>} - Datos del archivo
+ * @throws {RmiError} - NOT_FOUND si no existe o es de otro usuario, CONFLICT si ya se envió o se está enviando
+ * @private
+ */
+async function claimAttachment(userId, uploadId) {
+  // Se reclama antes de cualquier await: dos envíos simultáneos del mismo
+  // archivo no pueden pasar los dos la comprobación de messageId
+  if (claimedUploads.has(uploadId)) {
+    throw new RmiError(ErrorCode.CONFLICT, 'Este archivo ya se envió en otro mensaje');
+  }
+  claimedUploads.add(uploadId);
+  
   try {
-    const result = await parser.parseStringPromise(xmlMessage);
-    return result.message;
+    const attachment = await attachmentStore.get(uploadId);
+    // Los archivos sin enviar caducan aunque la limpieza periódica aún no los haya borrado
+    if (!attachment || attachment.uploadedBy !== userId || isUnclaimedExpired(attachment, Date.now())) {
+      throw new RmiError(ErrorCode.NOT_FOUND, 'Archivo no encontrado');
+    }
+    if (attachment.messageId) {
+      throw new RmiError(ErrorCode.CONFLICT, 'Este archivo ya se envió en otro mensaje');
+    }
+    return attachment;
   } catch (error) {
-    throw new Error('XML inválido: ' + error.message);
+    claimedUploads.delete(uploadId);
+    throw error;
   }
 }
 
 /**
- * Crea un mensaje de sistema
- * @param {string} content - Contenido del mensaje
- * @param {string} type - Tipo de mensaje (JOIN, LEAVE)
- * @returns {Object} - Mensaje de sistema
+ * Comprueba que un usuario no supera su cuota de subidas (número de archivos
+ * y bytes dentro de config.attachments.quotaWindow) subiendo un archivo más
+ * @param {string} userId - ID del usuario
+ * @param {number} size - Bytes del nuevo archivo
+ * @throws {RmiError} - RATE_LIMITED con retryAfter en segundos, TOO_LARGE si el archivo no cabe en la cuota
+ * @private
+ */
+function checkUploadQuota(userId, size) {
+  const { quotaBytes, quotaFiles, quotaWindow } = attachmentRules;
+  if (size > quotaBytes) {
+    throw new RmiError(ErrorCode.TOO_LARGE, `El archivo supera tu cuota de subidas (${formatSize(quotaBytes)})`);
+  }
+  
+  const since = Date.now() - quotaWindow;
+  const recent = (uploadHistory.get(userId) || []).filter(upload => upload.at > since);
+  uploadHistory.set(userId, recent);
+  
+  const used = recent.reduce((total, upload) => total + upload.size, 0);
+  if (recent.length < quotaFiles && used + size <= quotaBytes) {
+    return;
+  }
+  
+  // Se libera cuota cuando la subida más antigua sale de la ventana
+  const retryAfter = Math.max(1, Math.ceil(((recent.length ? recent[0].at : Date.now()) - since) / 1000));
+  throw new RmiError(
+    ErrorCode.RATE_LIMITED,
+    `Has alcanzado tu cuota de subidas (${quotaFiles} archivos o ${formatSize(quotaBytes)}): ` +
+      `espera ${Math.ceil(retryAfter / 60)} min antes de volver a intentarlo`,
+    { retryAfter }
+  );
+}
+
+/**
+ * Anota una subida en la cuota de su autor
+ * @param {string} userId - ID del usuario
+ * @param {number} size - Bytes del archivo
+ * @param {number} at - Momento de la subida (ms)
+ * @private
+ */
+function recordUpload(userId, size, at) {
+  const history = uploadHistory.get(userId) || [];
+  history.push({ at, size });
+  history.sort((a, b) => a.at - b.at);
+  uploadHistory.set(userId, history);
+}
+
+/**
+ * Indica si un archivo subido lleva demasiado tiempo sin enviarse
+ * @param {Object} attachment - Datos guardados del archivo
+ * @param {number} now - Momento actual (ms)
+ * @returns {boolean} - true si ya no se puede enviar
+ * @private
+ */
+function isUnclaimedExpired(attachment, now) {
+  return !attachment.messageId &&
+    new Date(attachment.uploadedAt).getTime() < now - attachmentRules.unclaimedTtl;
+}
+
+/**
+ * Borra los archivos subidos que nunca se enviaron en un mensaje
+ * (siguen contando para la cuota de su autor hasta que salen de la ventana)
+ * @returns {Promise<void>}
+ * @private
+ */
+async function removeUnclaimedUploads() {
+  const now = Date.now();
+  
+  for (const attachment of await attachmentStore.list()) {
+    if (isUnclaimedExpired(attachment, now) && !claimedUploads.has(attachment.uploadId)) {
+      await attachmentStore.remove(attachment.uploadId);
+      console.log(`Archivo ${attachment.filename} borrado: no se envió en ningún mensaje`);
+    }
+  }
+}
+
+/**
+ * Revisa periódicamente los archivos subidos sin enviar
+ * @param {number} unclaimedTtl - Milisegundos que puede esperar un archivo sin enviar
+ * @private
+ */
+function startUploadCleanup(unclaimedTtl) {
+  setInterval(() => {
+    removeUnclaimedUploads().catch(error => {
+      console.error('Error al borrar archivos sin enviar:', error);
+    });
+  }, Math.min(unclaimedTtl, 10 * 60 * 1000)).unref(); // Las tareas periódicas no mantienen vivo el proceso
+}
+
+/**
+ * Datos públicos de un archivo adjunto (los que viajan en el mensaje)
+ * @param {Object} attachment - Datos guardados del archivo
+ * @returns {Object} - {uploadId, filename, size, mimeType}
+ * @private
  */
-function createSystemMessage(content, type) {
+function attachmentFields(attachment) {
   return {
-    userId: 'system',
-    username: 'Sistema',
-    content,
-    timestamp: new Date().toISOString(),
-    type
+    uploadId: attachment.uploadId,
+    filename: attachment.filename,
+    size: attachment.size,
+    mimeType: attachment.mimeType
   };
 }
 
 /**
- * Guarda un mensaje en el historial
- * @param {Object} message - Mensaje a guardar
+ * Indica si un tipo MIME está permitido ("image/*" admite cualquier imagen)
+ * @param {string} mimeType - Tipo MIME en minúsculas
+ * @returns {boolean} - true si se puede subir
+ * @private
  */
-function saveMessage(message) {
-  messageHistory.push(message);
-  
-  // Mantener tamaño máximo del historial
-  if (messageHistory.length > MAX_HISTORY) {
-    messageHistory.shift();
+function isAllowedType(mimeType) {
+  return Boolean(mimeType) && attachmentRules.allowedTypes.some(type =>
+    type.endsWith('/*') ? mimeType.startsWith(type.slice(0, -1)) : mimeType === type
+  );
+}
+
+/**
+ * Limpia el nombre de un archivo subido: sin rutas ni caracteres de control
+ * @param {string} filename - Nombre recibido
+ * @returns {string} - Nombre seguro (o "archivo" si no queda nada)
+ * @private
+ */
+function normalizeFilename(filename) {
+  const name = String(filename || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH);
+  return name || 'archivo';
+}
+
+/**
+ * Formatea un tamaño en bytes para los mensajes
+ * @param {number} bytes - Tamaño
+ * @returns {string} - Tamaño legible (p.ej. "5 MB")
+ * @private
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+}
+
+/**
+ * Descuenta una acción de los límites de frecuencia del usuario y de su IP.
+ * Los usuarios silenciados no pueden enviar mensajes, reaccionar ni subir
+ * archivos (sí entrar de nuevo) y quien supera el límite de mensajes
+ * demasiadas veces seguidas queda silenciado un tiempo.
+ * @param {string} action - 'messages' (CHAT y PRIVATE), 'reactions', 'joins' (intentos de JOIN) o 'uploads'
+ * @param {string} userId - ID del usuario (opcional, p.ej. en un JOIN aún sin autenticar)
+ * @param {string} address - IP de origen (opcional)
+ * @throws {RmiError} - RATE_LIMITED con retryAfter en segundos
+ */
+function checkRateLimit(action, userId, address) {
+  if (action !== 'joins' && userId) {
+    checkMute(userId);
   }
+  
+  const limiter = rateLimiters[action];
+  const retryAfter = Math.max(
+    userId ? limiter.user.consume(userId) : 0,
+    address ? limiter.ip.consume(address) : 0
+  );
+  
+  if (retryAfter === 0) {
+    return;
+  }
+  
+  if (userId && action === 'messages' && recordViolation(userId)) {
+    applyMute(userId, muteRules.muteDuration, 'Envío masivo de mensajes');
+    checkMute(userId);
+  }
+  
+  throw new RmiError(
+    ErrorCode.RATE_LIMITED,
+    `Demasiadas peticiones seguidas: espera ${retryAfter} s antes de volver a intentarlo`,
+    { retryAfter }
+  );
+}
+
+/**
+ * Silencia a un usuario: no podrá enviar ni editar mensajes, reaccionar ni
+ * subir archivos hasta que pase el tiempo indicado. Se guarda con la cuenta,
+ * como los bloqueos, para que un reinicio no lo levante.
+ * @param {string} userId - ID del usuario
+ * @param {number} duration - Milisegundos de silencio
+ * @param {string} reason - Motivo (se muestra al usuario)
+ * @returns {Promise<void>} - Se resuelve al guardarse (un fallo solo se registra)
+ * @private
+ */
+function applyMute(userId, duration, reason) {
+  const until = Date.now() + duration;
+  mutes.set(userId, { until, reason });
+  violations.delete(userId);
+  
+  const user = users.get(userId);
+  console.warn(`Usuario silenciado: ${user ? user.username : userId} durante ${Math.round(duration / 1000)} s (${reason})`);
+  
+  return storage.saveUser({ userId, mute: { until: new Date(until).toISOString(), reason } })
+    .catch(error => console.error(`Error al guardar el silencio del usuario ${userId}:`, error));
+}
+
+/**
+ * Rechaza la acción si el usuario está silenciado
+ * @param {string} userId - ID del usuario
+ * @throws {RmiError} - RATE_LIMITED con los segundos de silencio restantes
+ * @private
+ */
+function checkMute(userId) {
+  const mute = mutes.get(userId);
+  if (!mute) {
+    return;
+  }
+  
+  const remaining = mute.until - Date.now();
+  if (remaining <= 0) {
+    mutes.delete(userId);
+    return;
+  }
+  
+  const retryAfter = Math.ceil(remaining / 1000);
+  throw new RmiError(
+    ErrorCode.RATE_LIMITED,
+    `Estás silenciado (${mute.reason}): podrás escribir de nuevo en ${retryAfter} s`,
+    { retryAfter }
+  );
+}
+
+/**
+ * Anota que un usuario superó su límite de frecuencia
+ * @param {string} userId - ID del usuario
+ * @returns {boolean} - true si acumula suficientes bloqueos para silenciarlo
+ * @private
+ */
+function recordViolation(userId) {
+  const now = Date.now();
+  const recent = (violations.get(userId) || []).filter(time => now - time < muteRules.muteWindow);
+  recent.push(now);
+  violations.set(userId, recent);
+  
+  return recent.length >= muteRules.muteThreshold;
+}
+
+/**
+ * Rechaza la acción si la cuenta o la IP de origen están bloqueadas
+ * @param {string} userId - ID de la cuenta (opcional)
+ * @param {string} address - IP de origen (opcional)
+ * @throws {RmiError} - FORBIDDEN con el motivo y la duración del bloqueo
+ */
+function checkBan(userId, address) {
+  const now = Date.now();
+  
+  for (const [bannedId, ban] of bans) {
+    if (ban.until !== null && ban.until <= now) {
+      bans.delete(bannedId);
+      continue;
+    }
+    
+    const byAccount = bannedId === userId;
+    if (!byAccount && !(address && ban.address === address)) {
+      continue;
+    }
+    
+    const subject = byAccount ? 'Tu cuenta está bloqueada' : 'Tu dirección IP está bloqueada';
+    const until = ban.until === null
+      ? 'de forma indefinida'
+      : `hasta el ${new Date(ban.until).toLocaleString('es-ES')}`;
+    throw new RmiError(ErrorCode.FORBIDDEN, `${subject} ${until}: ${ban.reason}`);
+  }
+}
+
+/**
+ * Expulsa del chat a un usuario conectado. Puede volver a entrar.
+ * @param {string} actorId - ID del moderador
+ * @param {string} targetUserId - ID del usuario expulsado
+ * @param {string} reason - Motivo (opcional)
+ * @returns {Promise<boolean>} - true si se expulsó
+ */
+async function kickUser(actorId, targetUserId, reason) {
+  const { actor, target } = await getSanctionParties(actorId, targetUserId);
+  const motive = normalizeReason(reason);
+  
+  if (!users.has(targetUserId)) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'El usuario no está conectado');
+  }
+  
+  await disconnectUser(targetUserId, `${target.username} ha sido expulsado por ${actor.username}: ${motive}`);
+  notifySanction(targetUserId, 'kick', `${actor.username} te ha expulsado del chat: ${motive}`);
+  
+  console.warn(`Usuario expulsado: ${target.username} por ${actor.username} (${motive})`);
+  return true;
+}
+
+/**
+ * Bloquea una cuenta (y opcionalmente su última IP) para que no pueda unirse
+ * ni enviar mensajes. Si está conectada, se expulsa en el acto.
+ * @param {string} actorId - ID del moderador
+ * @param {string} targetUserId - ID de la cuenta bloqueada
+ * @param {string} reason - Motivo (opcional)
+ * @param {number} duration - Segundos de bloqueo (opcional; sin él es indefinido)
+ * @param {boolean} byAddress - Bloquear también la IP desde la que se conectó
+ * @returns {Promise<Object>} - {userId, until} con until en ISO o null
+ */
+async function banUser(actorId, targetUserId, reason, duration, byAddress = false) {
+  const { actor, target } = await getSanctionParties(actorId, targetUserId);
+  const motive = normalizeReason(reason);
+  const seconds = duration ? normalizeDuration(duration) : null;
+  
+  let address = null;
+  if (byAddress) {
+    const connected = users.get(targetUserId);
+    address = (connected && connected.address) || target.lastAddress || null;
+    if (!address) {
+      throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'No se conoce la dirección IP del usuario');
+    }
+  }
+  
+  const until = seconds ? Date.now() + seconds * 1000 : null;
+  bans.set(targetUserId, { until, reason: motive, address });
+  await storage.saveUser({
+    userId: targetUserId,
+    ban: {
+      until: until ? new Date(until).toISOString() : null,
+      reason: motive,
+      address,
+      bannedBy: actor.userId
+    }
+  });
+  
+  const period = seconds ? `durante ${formatDuration(seconds)}` : 'de forma indefinida';
+  if (users.has(targetUserId)) {
+    await disconnectUser(targetUserId, `${target.username} ha sido bloqueado por ${actor.username}: ${motive}`);
+    notifySanction(targetUserId, 'ban', `${actor.username} ha bloqueado tu cuenta ${period}: ${motive}`);
+  }
+  
+  console.warn(`Usuario bloqueado: ${target.username} ${period}${address ? ` (IP ${address})` : ''} por ${actor.username} (${motive})`);
+  return { userId: targetUserId, until: until ? new Date(until).toISOString() : null };
+}
+
+/**
+ * Levanta el bloqueo de una cuenta (y de su IP, si se bloqueó)
+ * @param {string} actorId - ID del moderador
+ * @param {string} targetUserId - ID de la cuenta bloqueada
+ * @returns {Promise<boolean>} - true si la cuenta estaba bloqueada
+ */
+async function unbanUser(actorId, targetUserId) {
+  const { actor, target } = await getSanctionParties(actorId, targetUserId);
+  
+  if (!bans.delete(targetUserId)) {
+    return false;
+  }
+  await storage.saveUser({ userId: targetUserId, ban: null });
+  
+  console.log(`Bloqueo levantado: ${target.username} por ${actor.username}`);
+  return true;
+}
+
+/**
+ * Silencia a un usuario durante un tiempo: sigue conectado pero no puede
+ * enviar ni editar mensajes, reaccionar ni subir archivos
+ * @param {string} actorId - ID del moderador
+ * @param {string} targetUserId - ID del usuario silenciado
+ * @param {string} reason - Motivo (opcional)
+ * @param {number} duration - Segundos de silencio (por defecto DEFAULT_MUTE_DURATION)
+ * @returns {Promise<Object>} - {userId, until} con until en ISO
+ */
+async function muteUser(actorId, targetUserId, reason, duration = DEFAULT_MUTE_DURATION) {
+  const { actor } = await getSanctionParties(actorId, targetUserId);
+  const motive = normalizeReason(reason);
+  const seconds = normalizeDuration(duration || DEFAULT_MUTE_DURATION);
+  
+  await applyMute(targetUserId, seconds * 1000, motive);
+  notifySanction(
+    targetUserId,
+    'mute',
+    `${actor.username} te ha silenciado durante ${formatDuration(seconds)}: ${motive}`
+  );
+  
+  return { userId: targetUserId, until: new Date(mutes.get(targetUserId).until).toISOString() };
+}
+
+/**
+ * Cambia el rol de una cuenta. Solo pueden hacerlo los administradores.
+ * @param {string} actorId - ID del administrador
+ * @param {string} targetUserId - ID de la cuenta
+ * @param {string} role - user, moderator o admin
+ * @returns {Promise<Object>} - {userId, role}
+ */
+async function setUserRole(actorId, targetUserId, role) {
+  if (!ROLES.includes(role)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Rol no válido: ${role}`);
+  }
+  
+  const { actor, target } = await getSanctionParties(actorId, targetUserId, 'admin');
+  
+  // Los administradores de la configuración no pierden su rol
+  if (admins.has(target.username.toLowerCase())) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'El rol de este administrador se fija en la configuración del servidor');
+  }
+  
+  await storage.saveUser({ userId: targetUserId, role });
+  
+  const connected = users.get(targetUserId);
+  if (connected) {
+    connected.role = role;
+    notifyPresence(connected);
+  }
+  
+  console.log(`Rol de ${target.username} cambiado a ${role} por ${actor.username}`);
+  return { userId: targetUserId, role };
+}
+
+/**
+ * Obtiene y vacía los mensajes privados y las menciones pendientes de un
+ * usuario. Cada mensaje se entrega en su versión actual (editado o
+ * eliminado); las menciones de mensajes eliminados se descartan.
+ * @param {string} userId - ID del usuario que acaba de conectarse
+ * @returns {Promise<Array>} - Mensajes y frames MENTION en el orden en que se enviaron
+ */
+async function takeQueuedMessages(userId) {
+  const queued = await storage.takeQueuedMessages(userId);
+  const result = [];
+  
+  for (const msg of queued) {
+    // Si ya salió del historial se entrega la copia de la cola
+    const current = await storage.getMessage(msg.messageId);
+    if (msg.type === 'MENTION') {
+      // Un mensaje borrado, o editado sin la mención, ya no avisa
+      if (!current || (!current.deleted && (current.mentions || []).includes(userId))) {
+        result.push(current ? { ...msg, content: current.content } : msg);
+      }
+      continue;
+    }
+    result.push(current ? withoutReceipts(current) : msg);
+  }
+  
+  return result;
+}
+
+/**
+ * Edita el contenido de un mensaje. Las menciones se vuelven a calcular con
+ * el texto nuevo y solo se avisa a quien no estaba ya mencionado.
+ * @param {string} userId - ID del usuario que edita (autor o moderador)
+ * @param {string} messageId - ID del mensaje
+ * @param {string} content - Nuevo contenido
+ * @returns {Promise<Object>} - Mensaje actualizado
+ */
+async function editMessage(userId, messageId, content) {
+  if (!content || !content.trim()) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'El mensaje no puede quedar vacío');
+  }
+  
+  const { user, message } = await getModifiableMessage(userId, messageId);
+  checkMute(userId);
+  
+  const changes = {
+    content,
+    editedAt: new Date().toISOString()
+  };
+  
+  let newlyMentioned = [];
+  if (message.type === 'CHAT') {
+    const previous = message.mentions || [];
+    const mentioned = await findMentions({ ...message, content });
+    changes.mentions = mentioned.map(target => target.userId);
+    newlyMentioned = mentioned.filter(target => !previous.includes(target.userId));
+  }
+  
+  const updated = await storage.updateMessage(messageId, changes);
+  
+  notifyUpdate(updated, 'EDIT', user, { mentions: updated.mentions });
+  await notifyMentions(updated, newlyMentioned);
+  console.log(`Mensaje ${messageId} editado por ${user.username}`);
+  
+  return withoutReceipts(updated);
+}
+
+/**
+ * Elimina un mensaje. Queda en el historial como marca de borrado, sin contenido.
+ * @param {string} userId - ID del usuario que elimina (autor o moderador)
+ * @param {string} messageId - ID del mensaje
+ * @returns {Promise<Object>} - Mensaje eliminado
+ */
+async function deleteMessage(userId, messageId) {
+  const { user } = await getModifiableMessage(userId, messageId);
+  
+  // Las reacciones se van con el contenido
+  const updated = await storage.updateMessage(messageId, {
+    content: '',
+    deleted: true,
+    reactions: []
+  });
+  
+  notifyUpdate(updated, 'DELETE', user);
+  console.log(`Mensaje ${messageId} eliminado por ${user.username}`);
+  
+  return withoutReceipts(updated);
+}
+
+/**
+ * Obtiene un hilo: un mensaje y las respuestas que puede ver el usuario
+ * @param {string} userId - ID del usuario que lo pide
+ * @param {string} messageId - ID del mensaje respondido
+ * @returns {Promise<Object>} - {message, replies} con las respuestas en orden cronológico
+ */
+async function getThread(userId, messageId) {
+  const message = typeof messageId === 'string' ? await storage.getMessage(messageId) : null;
+  if (!message || !canSeeMessage(message, userId)) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Mensaje no encontrado');
+  }
+  
+  const replies = await storage.getReplies(messageId);
+  
+  return {
+    message: withoutReceipts(message),
+    replies: replies.filter(reply => canSeeMessage(reply, userId)).map(withoutReceipts)
+  };
+}
+
+/**
+ * Añade la reacción de un usuario a un mensaje
+ * @param {string} userId - ID del usuario que reacciona
+ * @param {string} messageId - ID del mensaje
+ * @param {string} emoji - Emoji de la reacción
+ * @param {string} address - IP de origen (opcional)
+ * @returns {Promise<Object|null>} - {messageId, emoji, count, users} o null si ya había reaccionado con ese emoji
+ */
+async function addReaction(userId, messageId, emoji, address = null) {
+  return changeReaction(userId, messageId, emoji, 'REACTION_ADD', address);
+}
+
+/**
+ * Quita la reacción de un usuario a un mensaje
+ * @param {string} userId - ID del usuario que reaccionó
+ * @param {string} messageId - ID del mensaje
+ * @param {string} emoji - Emoji de la reacción
+ * @param {string} address - IP de origen (opcional)
+ * @returns {Promise<Object|null>} - {messageId, emoji, count, users} o null si no había reaccionado con ese emoji
+ */
+async function removeReaction(userId, messageId, emoji, address = null) {
+  return changeReaction(userId, messageId, emoji, 'REACTION_REMOVE', address);
+}
+
+/**
+ * Registra actividad de un usuario conectado. Si estaba ausente por
+ * inactividad vuelve a aparecer como conectado.
+ * @param {string} userId - ID del usuario
+ */
+function updateActivity(userId) {
+  const user = users.get(userId);
+  if (!user) {
+    return;
+  }
+  
+  user.lastActive = new Date();
+  
+  if (user.autoAway) {
+    user.presence = 'online';
+    delete user.autoAway;
+    notifyPresence(user);
+  }
+}
+
+/**
+ * Registra que la conexión de un usuario sigue viva (respuesta al ping del
+ * servidor). No es actividad del usuario: no cambia lastActive ni lo saca
+ * del estado "ausente".
+ * @param {string} userId - ID del usuario
+ */
+function updateLiveness(userId) {
+  const user = users.get(userId);
+  if (user) {
+    user.lastSeen = new Date();
+  }
+}
+
+/**
+ * Marca a un usuario conectado como "reconectando" (su conexión se cortó pero
+ * conserva la sesión) o lo devuelve al estado normal
+ * @param {string} userId - ID del usuario
+ * @param {boolean} reconnecting - true mientras se espera su reconexión
+ * @returns {boolean} - false si el usuario no está conectado
+ */
+function setReconnecting(userId, reconnecting) {
+  const user = users.get(userId);
+  if (!user) {
+    return false;
+  }
+  
+  if (reconnecting) {
+    user.reconnecting = true;
+  } else {
+    delete user.reconnecting;
+  }
+  return true;
+}
+
+/**
+ * Obtiene los mensajes que un usuario no recibió mientras su conexión
+ * estaba cortada: los de sus salas y los privados dirigidos a él
+ * @param {string} userId - ID del usuario
+ * @param {string} since - Marca de tiempo del último mensaje que recibió
+ * @returns {Promise<Array>} - Mensajes en orden cronológico
+ */
+async function getMissedMessages(userId, since) {
+  const messages = await storage.getMessages({ after: since });
+  
+  return messages
+    .filter(msg => isVisibleTo(msg, userId))
+    .map(withoutReceipts);
+}
+
+/**
+ * Registra que un usuario ha recibido o leído un mensaje.
+ * Las confirmaciones repetidas o que retroceden de estado se ignoran.
+ * @param {string} userId - ID del usuario que confirma
+ * @param {string} messageId - ID del mensaje confirmado
+ * @param {string} state - DELIVERED o READ
+ * @returns {Promise<Object|null>} - Confirmación registrada o null si no cambió nada
+ */
+async function recordReceipt(userId, messageId, state) {
+  if (!RECEIPT_STATES.includes(state)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Estado de confirmación no válido: ${state}`);
+  }
+  
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  const message = messageId ? await storage.getMessage(messageId) : null;
+  if (!message) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Mensaje no encontrado');
+  }
+  
+  if (!isVisibleTo(message, userId)) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'No puedes confirmar un mensaje que no has recibido');
+  }
+  
+  // El autor no confirma sus propios mensajes y los de sistema no tienen autor
+  if (message.userId === userId || message.userId === 'system') {
+    return null;
+  }
+  
+  const previous = (message.receipts || []).find(receipt => receipt.userId === userId);
+  if (previous && RECEIPT_STATES.indexOf(previous.state) >= RECEIPT_STATES.indexOf(state)) {
+    return null;
+  }
+  
+  const receipt = {
+    userId,
+    username: user.username,
+    state,
+    timestamp: new Date().toISOString()
+  };
+  
+  await storage.saveReceipt(messageId, receipt);
+  
+  const event = { ...receipt, messageId, authorId: message.userId };
+  chatEvents.emit('receipt', event);
+  
+  return event;
+}
+
+/**
+ * Obtiene las confirmaciones de los mensajes que escribió un usuario
+ * (las de mensajes ajenos no se revelan)
+ * @param {string} userId - ID del autor
+ * @param {Array<string>} messageIds - IDs de los mensajes a consultar
+ * @returns {Promise<Array>} - Confirmaciones con su messageId
+ */
+async function getReceipts(userId, messageIds) {
+  const result = [];
+  
+  for (const messageId of messageIds) {
+    const message = await storage.getMessage(messageId);
+    if (!message || message.userId !== userId || !message.receipts) {
+      continue;
+    }
+    for (const receipt of message.receipts) {
+      result.push({ ...receipt, messageId, authorId: userId });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Desconecta a un usuario
+ * @param {string} userId - ID del usuario
+ * @param {string} leaveContent - Texto del mensaje de salida (opcional, p.ej. al expulsarlo)
+ * @returns {Promise<boolean>} - Éxito de la operación
+ */
+async function disconnectUser(userId, leaveContent = null) {
+  // Verificar que el usuario existe
+  const user = users.get(userId);
+  if (!user) {
+    return false;
+  }
+  
+  // Eliminar usuario de los conectados y guardar su última actividad
+  users.delete(userId);
+  await storage.saveUser({ userId, username: user.username, lastActive: new Date() });
+  
+  // Sacar al usuario de todas sus salas
+  for (const room of rooms.values()) {
+    room.members.delete(userId);
+  }
+  
+  // Crear mensaje de desconexión
+  const leaveMessage = createSystemMessage(leaveContent || `${user.username} ha abandonado el chat`, 'LEAVE');
+  
+  // Guardar mensaje y notificar
+  await saveMessage(leaveMessage);
+  notifyAll(leaveMessage);
+  
+  console.log(`Usuario desconectado: ${user.username} (ID: ${userId})`);
+  
+  return true;
+}
+
+/**
+ * Cierra la sesión de un usuario a petición de otro: cada uno puede cerrar
+ * la suya y los moderadores, también la de los demás
+ * @param {string} actorId - ID de quien lo pide (el del token de sesión)
+ * @param {string} userId - ID del usuario que sale
+ * @returns {Promise<boolean>} - false si el usuario no estaba conectado
+ * @throws {RmiError} - FORBIDDEN si no puede cerrar esa sesión
+ */
+async function leaveChat(actorId, userId) {
+  if (actorId !== userId && !(await isModerator(actorId))) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'No puedes cerrar la sesión de otro usuario');
+  }
+  
+  return disconnectUser(userId);
+}
+
+/**
+ * Crea una nueva sala de chat
+ * @param {string} name - Nombre de la sala
+ * @param {string} userId - ID del usuario que la crea
+ * @returns {Promise<Object>} - Sala creada
+ */
+async function createRoom(name, userId) {
+  // Validar nombre de la sala
+  if (!name || !name.trim()) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'El nombre de la sala no puede estar vacío');
+  }
+  
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  // Verificar si ya existe una sala con ese nombre
+  const roomName = name.trim();
+  const roomExists = Array.from(rooms.values()).some(
+    room => room.name.toLowerCase() === roomName.toLowerCase()
+  );
+  
+  if (roomExists) {
+    throw new RmiError(ErrorCode.CONFLICT, 'Ya existe una sala con ese nombre');
+  }
+  
+  // Registrar sala con su creador como primer miembro
+  const room = {
+    roomId: uuidv4(),
+    name: roomName,
+    createdBy: userId,
+    createdAt: new Date().toISOString(),
+    members: new Set([userId])
+  };
+  
+  rooms.set(room.roomId, room);
+  await storage.saveRoom(toStoredRoom(room));
+  
+  console.log(`Sala creada: ${roomName} (ID: ${room.roomId}) por ${user.username}`);
+  
+  chatEvents.emit('rooms-updated');
+  
+  return serializeRoom(room);
+}
+
+/**
+ * Obtiene la lista de salas disponibles
+ * @returns {Promise<Array>} - Lista de salas
+ */
+async function getRooms() {
+  return Array.from(rooms.values()).map(serializeRoom);
+}
+
+/**
+ * Une a un usuario a una sala
+ * @param {string} userId - ID del usuario
+ * @param {string} roomId - ID de la sala
+ * @returns {Promise<Object>} - Sala a la que se unió
+ */
+async function joinRoom(userId, roomId) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  const room = rooms.get(roomId);
+  if (!room) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Sala no encontrada');
+  }
+  
+  // Unirse es idempotente
+  if (!room.members.has(userId)) {
+    room.members.add(userId);
+    
+    const joinMessage = createSystemMessage(`${user.username} se ha unido a la sala ${room.name}`, 'JOIN', roomId);
+    await saveMessage(joinMessage);
+    notifyAll(joinMessage);
+    
+    chatEvents.emit('rooms-updated');
+  }
+  
+  return serializeRoom(room);
+}
+
+/**
+ * Saca a un usuario de una sala
+ * @param {string} userId - ID del usuario
+ * @param {string} roomId - ID de la sala
+ * @returns {Promise<boolean>} - Éxito de la operación
+ */
+async function leaveRoom(userId, roomId) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  if (roomId === DEFAULT_ROOM) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'No se puede abandonar la sala general');
+  }
+  
+  const room = rooms.get(roomId);
+  if (!room || !room.members.has(userId)) {
+    return false;
+  }
+  
+  room.members.delete(userId);
+  
+  const leaveMessage = createSystemMessage(`${user.username} ha abandonado la sala ${room.name}`, 'LEAVE', roomId);
+  await saveMessage(leaveMessage);
+  notifyAll(leaveMessage);
+  
+  chatEvents.emit('rooms-updated');
+  
+  return true;
+}
+
+/**
+ * Obtiene los IDs de los miembros de una sala
+ * @param {string} roomId - ID de la sala
+ * @returns {Promise<Array>} - Lista de IDs de usuario
+ */
+async function getRoomMembers(roomId) {
+  const room = rooms.get(roomId);
+  return room ? Array.from(room.members) : [];
+}
+
+/**
+ * Obtiene una página del historial de mensajes de una sala. Sin cursor
+ * devuelve los más recientes; con before, los anteriores al cursor, y con
+ * after, los siguientes. Cada cursor es un messageId o una marca de tiempo ISO.
+ * @param {number} limit - Número máximo de mensajes a retornar (hasta MAX_HISTORY_PAGE)
+ * @param {string} roomId - ID de la sala
+ * @param {Object} options - Cursor y lector (opcionales)
+ * @param {string} options.before - Solo mensajes anteriores a este
+ * @param {string} options.after - Solo mensajes posteriores a este
+ * @param {string} options.userId - Quien lo pide: debe poder leer la sala y los
+ *                                  privados ajenos se descartan antes de aplicar el límite
+ * @returns {Promise<Array>} - Lista de mensajes en orden cronológico
+ * @throws {RmiError} - FORBIDDEN si quien lo pide no pertenece a la sala
+ */
+async function getMessageHistory(limit = 20, roomId = DEFAULT_ROOM, options = {}) {
+  const { before, after, userId } = options;
+  if (before && after) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Indica before o after, no ambos');
+  }
+  
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'El límite debe ser un número entero positivo');
+  }
+  
+  if ('userId' in options) {
+    checkRoomAccess(roomId, userId);
+  }
+  
+  let messages = await storage.getMessages({ roomId });
+  
+  if (before) {
+    messages = messages.slice(0, findCursor(messages, before));
+  } else if (after) {
+    messages = messages.slice(findCursor(messages, after, true));
+  }
+  
+  if ('userId' in options) {
+    messages = messages.filter(msg => canSeeMessage(msg, userId));
+  }
+  
+  // Hacia atrás (o sin cursor) interesan los más cercanos al final; hacia delante, al principio
+  const count = Math.min(pageSize, MAX_HISTORY_PAGE);
+  const page = after ? messages.slice(0, count) : messages.slice(-count);
+  return page.map(withoutReceipts);
+}
+
+/**
+ * Busca la posición de un cursor de paginación en los mensajes de una sala
+ * @param {Array} messages - Mensajes de la sala en orden cronológico
+ * @param {string} cursor - messageId o marca de tiempo ISO
+ * @param {boolean} isAfter - true para obtener la posición del primer
+ *                            mensaje posterior al cursor
+ * @returns {number} - Índice donde cortar la lista
+ * @throws {RmiError} - INVALID_ARGUMENT si el cursor no es válido, NOT_FOUND si el mensaje no está en la sala
+ * @private
+ */
+function findCursor(messages, cursor, isAfter = false) {
+  if (typeof cursor !== 'string') {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Cursor de historial no válido');
+  }
+  
+  // Marca de tiempo: primer mensaje posterior (after) o primero no anterior (before)
+  if (/^\d{4}-\d{2}-\d{2}T/.test(cursor)) {
+    const time = Date.parse(cursor);
+    if (Number.isNaN(time)) {
+      throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Marca de tiempo no válida: ${cursor}`);
+    }
+    
+    const index = messages.findIndex(msg => isAfter
+      ? Date.parse(msg.timestamp) > time
+      : Date.parse(msg.timestamp) >= time);
+    return index === -1 ? messages.length : index;
+  }
+  
+  const index = messages.findIndex(msg => msg.messageId === cursor);
+  if (index === -1) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'El mensaje del cursor no está en el historial de la sala');
+  }
+  return isAfter ? index + 1 : index;
+}
+
+/**
+ * Busca en el historial de todas las salas (o de una) los mensajes que
+ * contienen unas palabras y cumplen los filtros indicados
+ * @param {Object} options - Filtros de la búsqueda (al menos uno)
+ * @param {string} options.query - Palabras que debe contener el mensaje (la última, también como prefijo)
+ * @param {string} options.author - Nombre de usuario del autor
+ * @param {string} options.roomId - ID de la sala
+ * @param {Array<string>|string} options.types - Tipos de mensaje (lista o separados por comas)
+ * @param {string} options.from - Fecha u hora ISO desde la que buscar
+ * @param {string} options.to - Fecha u hora ISO hasta la que buscar (una fecha sin hora incluye todo el día)
+ * @param {number} options.limit - Número máximo de resultados (hasta MAX_SEARCH_RESULTS)
+ * @param {string} options.userId - Quien busca: los privados ajenos y las salas a las que no
+ *                                  pertenece se descartan
+ * @returns {Promise<Object>} - {total, messages} con los más recientes primero
+ * @throws {RmiError} - INVALID_ARGUMENT si no hay filtros o alguno no es válido
+ */
+async function searchMessages(options = {}) {
+  const { author, roomId, userId } = options;
+  const query = typeof options.query === 'string' ? options.query.trim() : '';
+  const types = normalizeTypes(options.types);
+  const from = normalizeDate(options.from, 'from');
+  const to = normalizeDate(options.to, 'to');
+  
+  if (!query && !author && !roomId && !types && !from && !to) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Indica qué buscar o algún filtro');
+  }
+  
+  // Un texto sin ningún término que se pueda buscar ("a", "?!") no filtraría nada
+  if (query && !tokenize(query).length) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Busca palabras de al menos dos letras o números');
+  }
+  
+  const limit = options.limit !== undefined ? Number(options.limit) : MAX_SEARCH_RESULTS;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'El límite debe ser un número entero positivo');
+  }
+  
+  // Un autor que no existe no tiene mensajes
+  let authorId;
+  if (author) {
+    const account = await findAccount(String(author).trim());
+    if (!account) {
+      return { total: 0, messages: [] };
+    }
+    authorId = account.userId;
+  }
+  
+  // Solo las salas que puede leer quien busca (y sus privados)
+  const matches = (await storage.searchMessages({ query, roomId, authorId, types, from, to }))
+    .filter(msg => !msg.deleted && canSeeMessage(msg, userId) &&
+      (isPrivateMessage(msg) || canReadRoom(msg.roomId, userId)));
+  
+  return {
+    total: matches.length,
+    messages: matches.slice(-Math.min(limit, MAX_SEARCH_RESULTS)).reverse().map(withoutReceipts)
+  };
+}
+
+/**
+ * Obtiene la transcripción de una sala entre dos fechas (sin mensajes eliminados)
+ * @param {Object} options - Sala, fechas y lector
+ * @param {string} options.roomId - ID de la sala (por defecto, la general)
+ * @param {string} options.from - Fecha u hora ISO de inicio (opcional)
+ * @param {string} options.to - Fecha u hora ISO de fin (opcional; una fecha sin hora incluye todo el día)
+ * @param {string} options.userId - Quien la pide: debe poder leer la sala y los privados ajenos se descartan
+ * @returns {Promise<Object>} - {room, from, to, messages} con los mensajes en orden cronológico
+ * @throws {RmiError} - NOT_FOUND si la sala no existe, FORBIDDEN si no pertenece a ella,
+ *                      INVALID_ARGUMENT si una fecha no es válida
+ */
+async function getTranscript(options = {}) {
+  const room = rooms.get(options.roomId || DEFAULT_ROOM);
+  if (!room) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Sala no encontrada');
+  }
+  checkRoomAccess(room.roomId, options.userId);
+  
+  const from = normalizeDate(options.from, 'from');
+  const to = normalizeDate(options.to, 'to');
+  if (from && to && from > to) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'La fecha de inicio es posterior a la de fin');
+  }
+  
+  const messages = (await storage.searchMessages({ roomId: room.roomId, from, to }))
+    .filter(msg => !msg.deleted && canSeeMessage(msg, options.userId));
+  
+  return {
+    room: { roomId: room.roomId, name: room.name },
+    from,
+    to,
+    messages: messages.map(withoutReceipts)
+  };
+}
+
+/**
+ * Comprueba los tipos de mensaje de un filtro de búsqueda
+ * @param {Array<string>|string} types - Lista de tipos o tipos separados por comas
+ * @returns {Array<string>|null} - Tipos en mayúsculas, o null si no se filtra por tipo
+ * @throws {RmiError} - INVALID_ARGUMENT si algún tipo no se guarda en el historial
+ * @private
+ */
+function normalizeTypes(types) {
+  const list = (Array.isArray(types) ? types : String(types || '').split(','))
+    .map(type => String(type).trim().toUpperCase())
+    .filter(Boolean);
+  if (!list.length) {
+    return null;
+  }
+  
+  const invalid = list.find(type => !SEARCHABLE_TYPES.includes(type));
+  if (invalid) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Tipo de mensaje no válido: ${invalid}. Valores permitidos: ${SEARCHABLE_TYPES.join(', ')}`);
+  }
+  return list;
+}
+
+/**
+ * Convierte un límite de fechas de búsqueda a marca de tiempo ISO
+ * @param {string} value - Fecha (AAAA-MM-DD) o fecha y hora ISO
+ * @param {string} bound - from o to: una fecha sin hora empieza o termina el día
+ * @returns {string|null} - Marca de tiempo ISO, o null si no se indicó
+ * @throws {RmiError} - INVALID_ARGUMENT si no es una fecha válida
+ * @private
+ */
+function normalizeDate(value, bound) {
+  if (!value) {
+    return null;
+  }
+  
+  const text = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = Date.parse(dateOnly ? `${text}T00:00:00.000Z` : text);
+  if (Number.isNaN(time)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Fecha no válida: ${text}`);
+  }
+  
+  // "to" con una fecha sola incluye hasta el último milisegundo del día
+  return new Date(dateOnly && bound === 'to' ? time + 24 * 60 * 60 * 1000 - 1 : time).toISOString();
+}
+
+/**
+ * Convierte un objeto de mensaje a formato XML
+ * @param {Object} message - Mensaje a convertir
+ * @returns {string} - Mensaje en formato XML
+ */
+function messageToXml(message) {
+  return builder.buildObject({ message: toXmlMessage(message) });
+}
+
+/**
+ * Prepara un mensaje para el builder de XML: las listas van dentro de un
+ * único elemento (xs:all no admite elementos repetidos), las reacciones como
+ * <reactions> con un <reaction> por emoji y las menciones como <mentions>
+ * con un <userId> por usuario
+ * @param {Object} message - Mensaje guardado o frame
+ * @returns {Object} - Objeto con la forma del elemento message del esquema
+ */
+function toXmlMessage(message) {
+  const { reactions, mentions, ...xmlMessage } = message;
+  if (reactions && reactions.length) {
+    xmlMessage.reactions = { reaction: reactions };
+  }
+  if (mentions && mentions.length) {
+    xmlMessage.mentions = { userId: mentions };
+  }
+  return xmlMessage;
+}
+
+/**
+ * Convierte un mensaje XML a objeto
+ * @param {string} xmlMessage - Mensaje XML
+ * @returns {Promise<Object>} - Mensaje como objeto
+ */
+async function xmlToMessage(xmlMessage) {
+  const frame = await xmlToFrame(xmlMessage);
+  return frame.data;
+}
+
+/**
+ * Convierte un documento XML cualquiera (message, invoke...) a objeto
+ * @param {string} xml - Documento XML
+ * @returns {Promise<Object>} - {name: elemento raíz, data: contenido}
+ */
+async function xmlToFrame(xml) {
+  let result;
+  try {
+    result = await parser.parseStringPromise(xml);
+  } catch (error) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'XML inválido: ' + error.message);
+  }
+  
+  if (!result) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'XML inválido: documento vacío');
+  }
+  
+  const name = Object.keys(result)[0];
+  // Un elemento vacío se parsea como cadena vacía
+  const data = typeof result[name] === 'object' ? result[name] : {};
+  return { name, data };
+}
+
+/**
+ * Indica si un mensaje es privado: un PRIVATE o un archivo enviado a un usuario
+ * @param {Object} message - Mensaje a comprobar
+ * @returns {boolean} - true si solo lo ven su remitente y su destinatario
+ */
+function isPrivateMessage(message) {
+  return message.type === 'PRIVATE' || (message.type === 'ATTACHMENT' && Boolean(message.targetUserId));
+}
+
+/**
+ * Indica si un usuario puede ver un mensaje
+ * (los mensajes privados solo los ven su remitente y su destinatario)
+ * @param {Object} message - Mensaje a comprobar
+ * @param {string} userId - ID del usuario (opcional)
+ * @returns {boolean} - true si el mensaje es visible
+ */
+function canSeeMessage(message, userId) {
+  if (!isPrivateMessage(message)) {
+    return true;
+  }
+  return Boolean(userId) && (message.userId === userId || message.targetUserId === userId);
+}
+
+/**
+ * Indica si un usuario puede leer lo que se escribe en una sala: la general
+ * es de todos (las cuentas desconectadas vuelven a ella al conectarse) y el
+ * resto, de sus miembros
+ * @param {string} roomId - ID de la sala
+ * @param {string} userId - ID del usuario
+ * @returns {boolean} - true si puede leer la sala
+ * @private
+ */
+function canReadRoom(roomId, userId) {
+  if (roomId === DEFAULT_ROOM) {
+    return Boolean(userId);
+  }
+  const room = rooms.get(roomId);
+  return Boolean(room) && room.members.has(userId);
+}
+
+/**
+ * Comprueba que un usuario puede leer una sala (ver canReadRoom)
+ * @param {string} roomId - ID de la sala
+ * @param {string} userId - ID del usuario
+ * @throws {RmiError} - FORBIDDEN si no pertenece a la sala
+ * @private
+ */
+function checkRoomAccess(roomId, userId) {
+  if (!canReadRoom(roomId, userId)) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'No perteneces a esta sala');
+  }
+}
+
+/**
+ * Indica si un mensaje llegó a un usuario: los privados si es su remitente
+ * o destinatario, el resto si es miembro de la sala
+ * @param {Object} message - Mensaje a comprobar
+ * @param {string} userId - ID del usuario
+ * @returns {boolean} - true si el usuario recibió el mensaje
+ * @private
+ */
+function isVisibleTo(message, userId) {
+  if (isPrivateMessage(message)) {
+    return canSeeMessage(message, userId);
+  }
+  const room = rooms.get(message.roomId);
+  return Boolean(room) && room.members.has(userId);
+}
+
+/**
+ * Busca un mensaje que un usuario quiere editar o eliminar y comprueba que
+ * puede hacerlo: el autor o un moderador
+ * @param {string} userId - ID del usuario
+ * @param {string} messageId - ID del mensaje
+ * @returns {Promise<Object>} - {user, message}
+ * @private
+ */
+async function getModifiableMessage(userId, messageId) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  const message = messageId ? await storage.getMessage(messageId) : null;
+  if (!message || message.deleted) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Mensaje no encontrado');
+  }
+  
+  if (message.userId === 'system') {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'Los mensajes del sistema no se pueden modificar');
+  }
+  
+  if (message.userId !== userId && !(await isModerator(userId))) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'Solo el autor o un moderador puede modificar este mensaje');
+  }
+  
+  return { user, message };
+}
+
+/**
+ * Comprueba el mensaje al que responde uno nuevo: debe poder verlo quien
+ * responde y ser de la misma conversación (un mensaje de la misma sala, o un
+ * privado entre los mismos dos usuarios), para que la respuesta y el mensaje
+ * respondido lleguen siempre a las mismas personas
+ * @param {string} replyTo - ID del mensaje respondido
+ * @param {Object} message - Mensaje nuevo (userId, type, roomId y targetUserId si es privado)
+ * @returns {Promise<Object>} - Mensaje respondido
+ * @throws {RmiError} - NOT_FOUND o INVALID_ARGUMENT
+ * @private
+ */
+async function getReplyParent(replyTo, message) {
+  const parent = typeof replyTo === 'string' ? await storage.getMessage(replyTo) : null;
+  if (!parent || parent.deleted || !canSeeMessage(parent, message.userId)) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'El mensaje al que respondes no existe');
+  }
+  
+  if (!REPLYABLE_TYPES.includes(parent.type)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'No se puede responder a este mensaje');
+  }
+  
+  const sameConversation = isPrivateMessage(message)
+    ? isPrivateMessage(parent) && canSeeMessage(parent, message.targetUserId)
+    : !isPrivateMessage(parent) && parent.roomId === message.roomId;
+  if (!sameConversation) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'Solo puedes responder a un mensaje de la misma conversación');
+  }
+  
+  return parent;
+}
+
+/**
+ * Guarda en un mensaje cuántas respuestas tiene
+ * @param {string} messageId - ID del mensaje respondido
+ * @returns {Promise<void>}
+ * @private
+ */
+async function updateReplyCount(messageId) {
+  const replies = await storage.getReplies(messageId);
+  await storage.updateMessage(messageId, { replyCount: replies.length });
+}
+
+/**
+ * Añade o quita una reacción y avisa del nuevo recuento a quienes ven el mensaje.
+ * Cada mensaje guarda sus reacciones agrupadas por emoji:
+ * [{emoji, count, users: [{userId, username}]}].
+ * @param {string} userId - ID del usuario que reacciona
+ * @param {string} messageId - ID del mensaje
+ * @param {string} emoji - Emoji de la reacción
+ * @param {string} type - REACTION_ADD o REACTION_REMOVE
+ * @param {string} address - IP de origen (opcional)
+ * @returns {Promise<Object|null>} - Reacción actualizada o null si no cambió nada
+ * @private
+ */
+async function changeReaction(userId, messageId, emoji, type, address) {
+  const user = users.get(userId);
+  if (!user) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  checkBan(userId, address);
+  
+  if (!isEmoji(emoji)) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'La reacción debe ser un único emoji');
+  }
+  
+  // Los mensajes que el usuario no ha recibido no se le revelan
+  const message = messageId ? await storage.getMessage(messageId) : null;
+  if (!message || message.deleted || !isVisibleTo(message, userId)) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Mensaje no encontrado');
+  }
+  
+  if (!REACTABLE_TYPES.includes(message.type)) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'No se puede reaccionar a este mensaje');
+  }
+  
+  checkRateLimit('reactions', userId, address);
+  
+  const reactions = message.reactions || [];
+  const current = reactions.find(reaction => reaction.emoji === emoji);
+  const reacted = Boolean(current) && current.users.some(entry => entry.userId === userId);
+  if (type === 'REACTION_ADD' ? reacted : !reacted) {
+    return null;
+  }
+  
+  if (!current && reactions.length >= MAX_REACTIONS) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Un mensaje admite como máximo ${MAX_REACTIONS} reacciones distintas`);
+  }
+  
+  const reactionUsers = type === 'REACTION_ADD'
+    ? [...(current ? current.users : []), { userId, username: user.username }]
+    : current.users.filter(entry => entry.userId !== userId);
+  const reaction = { emoji, count: reactionUsers.length, users: reactionUsers };
+  
+  // Un emoji sin nadie que lo use desaparece del mensaje
+  const updatedReactions = current
+    ? reactions.map(entry => entry === current ? reaction : entry).filter(entry => entry.count > 0)
+    : [...reactions, reaction];
+  const updated = await storage.updateMessage(messageId, { reactions: updatedReactions });
+  
+  // Solo viaja el cambio: quién, con qué emoji y el recuento resultante
+  notifyUpdate(updated, type, user, { content: '', emoji, count: reaction.count });
+  
+  return { messageId, ...reaction };
+}
+
+/**
+ * Indica si un texto es un único emoji (un solo grafema hecho de caracteres de emoji)
+ * @param {string} value - Texto a comprobar
+ * @returns {boolean} - true si es un emoji válido como reacción
+ * @private
+ */
+function isEmoji(value) {
+  if (typeof value !== 'string' || value.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(value)) {
+    return false;
+  }
+  return Array.from(graphemes.segment(value)).length === 1;
+}
+
+/**
+ * Indica si un usuario tiene rol de moderador (o superior)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<boolean>} - true si puede moderar
+ * @private
+ */
+async function isModerator(userId) {
+  const account = await storage.getUser(userId);
+  return Boolean(account) && MODERATOR_ROLES.includes(getRole(account));
+}
+
+/**
+ * Obtiene el rol de una cuenta. Los administradores de la configuración lo
+ * son siempre, tenga lo que tenga guardado su cuenta.
+ * @param {Object} account - Cuenta guardada
+ * @returns {string} - user, moderator o admin
+ * @private
+ */
+function getRole(account) {
+  if (admins.has(account.username.toLowerCase())) {
+    return 'admin';
+  }
+  return ROLES.includes(account.role) ? account.role : 'user';
+}
+
+/**
+ * Comprueba que un usuario puede sancionar (o cambiar el rol) a otro: debe
+ * estar conectado, tener al menos el rol indicado y un rol superior al del
+ * afectado
+ * @param {string} actorId - ID de quien aplica la sanción
+ * @param {string} targetUserId - ID de la cuenta afectada
+ * @param {string} minRole - Rol mínimo necesario (por defecto moderator)
+ * @returns {Promise<Object>} - {actor: usuario conectado, target: cuenta afectada}
+ * @throws {RmiError} - FORBIDDEN si no tiene permiso, NOT_FOUND si alguno no existe
+ * @private
+ */
+async function getSanctionParties(actorId, targetUserId, minRole = 'moderator') {
+  const actor = users.get(actorId);
+  if (!actor) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  if (ROLES.indexOf(actor.role) < ROLES.indexOf(minRole)) {
+    throw new RmiError(
+      ErrorCode.FORBIDDEN,
+      minRole === 'admin' ? 'Solo un administrador puede hacer esto' : 'Solo un moderador puede hacer esto'
+    );
+  }
+  
+  const target = targetUserId ? await storage.getUser(targetUserId) : null;
+  if (!target || !target.passwordHash) {
+    throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario no encontrado');
+  }
+  
+  if (targetUserId === actorId) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'No puedes aplicarte esta acción a ti mismo');
+  }
+  
+  if (ROLES.indexOf(getRole(target)) >= ROLES.indexOf(actor.role)) {
+    throw new RmiError(ErrorCode.FORBIDDEN, 'No puedes actuar sobre un usuario con un rol igual o superior al tuyo');
+  }
+  
+  return { actor, target };
+}
+
+/**
+ * Valida el motivo de una sanción
+ * @param {string} reason - Motivo indicado por el moderador
+ * @returns {string} - Motivo sin espacios sobrantes (o uno genérico si falta)
+ * @private
+ */
+function normalizeReason(reason) {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (text.length > MAX_REASON_LENGTH) {
+    throw new RmiError(
+      ErrorCode.INVALID_ARGUMENT,
+      `El motivo no puede superar los ${MAX_REASON_LENGTH} caracteres`
+    );
+  }
+  return text || 'sin motivo indicado';
+}
+
+/**
+ * Valida la duración de una sanción
+ * @param {number} duration - Segundos
+ * @returns {number} - Segundos enteros
+ * @private
+ */
+function normalizeDuration(duration) {
+  const seconds = Number(duration);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new RmiError(ErrorCode.INVALID_ARGUMENT, 'La duración debe ser un número de segundos positivo');
+  }
+  return Math.ceil(seconds);
+}
+
+/**
+ * Describe una duración para los avisos de sanción (p.ej. "10 min")
+ * @param {number} seconds - Segundos
+ * @returns {string} - Duración legible
+ * @private
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) {
+    return `${seconds} s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.round(seconds / 60)} min`;
+  }
+  if (seconds < 86400) {
+    return `${Math.round(seconds / 3600)} h`;
+  }
+  return `${Math.round(seconds / 86400)} días`;
+}
+
+/**
+ * Avisa al usuario afectado por una sanción. El manejador de WebSockets le
+ * envía un SYSTEM_COMMAND y, si es una expulsión o un bloqueo, cierra su conexión.
+ * @param {string} userId - ID del usuario sancionado
+ * @param {string} action - kick, ban o mute
+ * @param {string} content - Explicación para el usuario
+ * @private
+ */
+function notifySanction(userId, action, content) {
+  chatEvents.emit('sanction', { userId, action, content });
+}
+
+/**
+ * Avisa de la edición, eliminación o reacción a un mensaje a quienes pueden verlo
+ * @param {Object} message - Mensaje ya actualizado
+ * @param {string} type - EDIT, DELETE, REACTION_ADD o REACTION_REMOVE
+ * @param {Object} user - Usuario que lo modificó
+ * @param {Object} fields - Campos adicionales del aviso (p.ej. emoji y count)
+ * @private
+ */
+function notifyUpdate(message, type, user, fields = {}) {
+  const update = {
+    messageId: message.messageId,
+    userId: user.userId,
+    username: user.username,
+    content: message.content,
+    timestamp: new Date().toISOString(),
+    type,
+    roomId: message.roomId,
+    ...fields
+  };
+  
+  chatEvents.emit('message-updated', update, message);
+}
+
+/**
+ * Quita las confirmaciones de un mensaje guardado antes de enviarlo
+ * (solo su autor las recibe, como frames DELIVERED/READ)
+ * @param {Object} message - Mensaje guardado
+ * @returns {Object} - Mensaje sin confirmaciones
+ * @private
+ */
+function withoutReceipts(message) {
+  const { receipts, ...publicMessage } = message;
+  return publicMessage;
+}
+
+/**
+ * Comprueba el formato de un nombre de usuario nuevo (al registrarse o
+ * cambiarlo): longitud máxima y solo letras, números, espacios y "_.-"
+ * @param {string} name - Nombre ya recortado
+ * @throws {RmiError} - INVALID_ARGUMENT si no es válido
+ * @private
+ */
+function checkUsername(name) {
+  if (name.length > MAX_USERNAME_LENGTH) {
+    throw new RmiError(
+      ErrorCode.INVALID_ARGUMENT,
+      `El nombre de usuario no puede superar los ${MAX_USERNAME_LENGTH} caracteres`
+    );
+  }
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new RmiError(
+      ErrorCode.INVALID_ARGUMENT,
+      'El nombre de usuario solo puede tener letras, números, espacios y los signos _ . -'
+    );
+  }
+}
+
+/**
+ * Busca una cuenta por nombre de usuario (sin distinguir mayúsculas)
+ * @param {string} username - Nombre de usuario
+ * @returns {Promise<Object|null>} - Cuenta guardada o null
+ * @private
+ */
+async function findAccount(username) {
+  const accounts = await storage.getAllUsers();
+  
+  // Los usuarios anteriores a las cuentas no tienen contraseña ni reservan nombre
+  return accounts.find(account =>
+    account.passwordHash && account.username.toLowerCase() === username.toLowerCase()
+  ) || null;
+}
+
+/**
+ * Busca los usuarios mencionados con @nombre en el texto de un mensaje.
+ * Solo cuentan quienes pueden ver el mensaje: los miembros de su sala (o,
+ * en un privado, su destinatario). Las cuentas que no están conectadas solo
+ * se pueden mencionar en la sala general, a la que vuelven al conectarse.
+ * Los nombres se comparan sin distinguir mayúsculas y, si varios encajan,
+ * gana el más largo ("@Ana María" frente a "@Ana"), así que los nombres con
+ * espacios también se pueden mencionar.
+ * @param {Object} message - Mensaje aún sin guardar (mencionarse a uno mismo no avisa)
+ * @returns {Promise<Array>} - Usuarios mencionados ({userId, username}), sin repetir
+ * @private
+ */
+async function findMentions(message) {
+  const { content } = message;
+  if (!content || !content.includes('@')) {
+    return [];
+  }
+  
+  const candidates = new Map();
+  for (const user of users.values()) {
+    if (isVisibleTo(message, user.userId)) {
+      candidates.set(user.userId, user.username);
+    }
+  }
+  if (!isPrivateMessage(message) && message.roomId === DEFAULT_ROOM) {
+    for (const account of await storage.getAllUsers()) {
+      if (account.passwordHash && !users.has(account.userId)) {
+        candidates.set(account.userId, account.username);
+      }
+    }
+  }
+  candidates.delete(message.userId);
+  
+  const names = Array.from(candidates, ([userId, username]) => ({ userId, username, key: username.toLowerCase() }))
+    .sort((a, b) => b.key.length - a.key.length);
+  
+  const text = content.toLowerCase();
+  const mentioned = new Map();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const start = match.index + 1;
+    const found = names.find(name =>
+      text.startsWith(name.key, start) && !NAME_CHARACTER.test(text.charAt(start + name.key.length))
+    );
+    
+    if (found) {
+      mentioned.set(found.userId, { userId: found.userId, username: found.username });
+      if (mentioned.size >= MAX_MENTIONS) {
+        break;
+      }
+    }
+  }
+  
+  return Array.from(mentioned.values());
+}
+
+/**
+ * Envía un frame MENTION a cada usuario mencionado en un mensaje. A quien
+ * no está conectado (o tiene la conexión cortada) se le deja en su cola,
+ * como los mensajes privados.
+ * @param {Object} message - Mensaje guardado
+ * @param {Array} mentioned - Usuarios mencionados ({userId, username})
+ * @returns {Promise<void>}
+ * @private
+ */
+async function notifyMentions(message, mentioned) {
+  for (const target of mentioned) {
+    const mention = {
+      messageId: message.messageId,
+      userId: message.userId,
+      username: message.username,
+      content: message.content,
+      timestamp: message.timestamp,
+      type: 'MENTION',
+      roomId: message.roomId,
+      targetUserId: target.userId,
+      targetUsername: target.username
+    };
+    
+    const user = users.get(target.userId);
+    if (user && !user.reconnecting) {
+      chatEvents.emit('mention', mention);
+    } else {
+      await storage.queueMessage(target.userId, mention);
+    }
+  }
+}
+
+/**
+ * Crea un mensaje de sistema
+ * @param {string} content - Contenido del mensaje
+ * @param {string} type - Tipo de mensaje (JOIN, LEAVE)
+ * @param {string} roomId - Sala del mensaje (por defecto la general)
+ * @returns {Object} - Mensaje de sistema
+ */
+function createSystemMessage(content, type, roomId = DEFAULT_ROOM) {
+  return {
+    userId: 'system',
+    username: 'Sistema',
+    content,
+    timestamp: new Date().toISOString(),
+    type,
+    roomId
+  };
+}
+
+/**
+ * Comprueba periódicamente la actividad de los usuarios conectados y pasa a
+ * "ausente" a los que llevan más de idleTimeout sin actividad
+ * @param {number} idleTimeout - Milisegundos de inactividad
+ * @private
+ */
+function startIdleCheck(idleTimeout) {
+  setInterval(() => {
+    const limit = Date.now() - idleTimeout;
+    
+    for (const user of users.values()) {
+      // Solo se cambia a quien está disponible: "ocupado" es una elección del usuario
+      if (user.presence === 'online' && user.lastActive.getTime() < limit) {
+        user.presence = 'away';
+        user.autoAway = true;
+        notifyPresence(user);
+      }
+    }
+  }, Math.min(idleTimeout, 30000)).unref();
+}
+
+/**
+ * Avisa del cambio de presencia de un usuario
+ * @param {Object} user - Usuario conectado
+ * @returns {Object} - Entrada del usuario enviada
+ * @private
+ */
+function notifyPresence(user) {
+  const entry = serializeUser(user);
+  chatEvents.emit('presence', entry);
+  return entry;
+}
+
+/**
+ * Convierte un usuario conectado a su entrada pública de la lista de usuarios
+ * @param {Object} user - Usuario conectado
+ * @returns {Object} - {userId, username, role, presence, statusText, lastActive, reconnecting}
+ * @private
+ */
+function serializeUser(user) {
+  return {
+    userId: user.userId,
+    username: user.username,
+    role: user.role,
+    presence: user.presence,
+    statusText: user.statusText,
+    lastActive: user.lastActive,
+    reconnecting: Boolean(user.reconnecting)
+  };
+}
+
+/**
+ * Convierte una sala a un objeto plano para transmisión
+ * @param {Object} room - Sala a convertir
+ * @returns {Object} - Sala serializada
+ */
+function serializeRoom(room) {
+  return {
+    roomId: room.roomId,
+    name: room.name,
+    createdBy: room.createdBy,
+    createdAt: room.createdAt,
+    members: Array.from(room.members)
+  };
+}
+
+/**
+ * Convierte una sala al formato que se guarda (sin miembros conectados)
+ * @param {Object} room - Sala a convertir
+ * @returns {Object} - Sala para el almacenamiento
+ */
+function toStoredRoom(room) {
+  const { members, ...storedRoom } = room;
+  return storedRoom;
+}
+
+/**
+ * Guarda un mensaje en el historial asignándole un ID
+ * @param {Object} message - Mensaje a guardar
+ * @returns {Promise<void>}
+ */
+async function saveMessage(message) {
+  message.messageId = uuidv4();
+  await storage.saveMessage(message);
 }
 
 /**
@@ -268,12 +2554,57 @@ function notifyAll(message) {
 module.exports = {
   initialize,
   registerUser,
+  login,
+  authenticate,
+  connectUser,
   getUsers,
+  getConnectedUser,
+  findUserByName,
+  renameUser,
+  setPresence,
+  checkRateLimit,
+  checkBan,
+  kickUser,
+  banUser,
+  unbanUser,
+  muteUser,
+  setUserRole,
   sendMessage,
   sendPrivateMessage,
+  checkUpload,
+  uploadAttachment,
+  getAttachment,
+  getAttachmentUrl,
+  getSignedAttachment,
+  takeQueuedMessages,
+  editMessage,
+  deleteMessage,
+  getThread,
+  addReaction,
+  removeReaction,
   disconnectUser,
+  leaveChat,
+  updateActivity,
+  updateLiveness,
+  setReconnecting,
+  getMissedMessages,
+  recordReceipt,
+  getReceipts,
+  createRoom,
+  getRooms,
+  joinRoom,
+  leaveRoom,
+  getRoomMembers,
   getMessageHistory,
+  searchMessages,
+  getTranscript,
   messageToXml,
+  toXmlMessage,
   xmlToMessage,
-  chatEvents
+  xmlToFrame,
+  canSeeMessage,
+  isPrivateMessage,
+  chatEvents,
+  DEFAULT_ROOM,
+  ROLES
 };
@@ -0,0 +1,251 @@
+/**
+ * Registro de métodos remotos (RMI sobre WebSocket).
+ * Solo los métodos de la lista permitida pueden invocarse desde los clientes
+ * mediante <invoke method="..." callId="...">; la respuesta es un <result> o
+ * un <fault> con el mismo callId.
+ */
+
+const xml2js = require('xml2js');
+const rmiMiddleware = require('./rmi_middleware');
+const commandRegistry = require('./command_registry');
+const { RmiError, ErrorCode } = require('./rmi_errors');
+
+// Builder para las respuestas XML
+const builder = new xml2js.Builder();
+
+/**
+ * Métodos del middleware que se exponen a los clientes.
+ * Cada entrada adapta los argumentos recibidos a la firma del middleware e
+ * inyecta la identidad de la conexión (session.userId) cuando la necesita,
+ * de modo que un cliente nunca actúa en nombre de otro usuario.
+ */
+const allowedMethods = {
+  getUsers: {
+    requiresUser: false,
+    handler: () => rmiMiddleware.getUsers()
+  },
+  renameUser: {
+    requiresUser: true,
+    handler: (session, newUsername) => rmiMiddleware.renameUser(session.userId, newUsername)
+  },
+  setPresence: {
+    requiresUser: true,
+    handler: (session, presence, statusText) => rmiMiddleware.setPresence(session.userId, presence, statusText)
+  },
+  getRooms: {
+    requiresUser: false,
+    handler: () => rmiMiddleware.getRooms()
+  },
+  createRoom: {
+    requiresUser: true,
+    handler: (session, name) => rmiMiddleware.createRoom(name, session.userId)
+  },
+  joinRoom: {
+    requiresUser: true,
+    handler: async (session, roomId) => {
+      const room = await rmiMiddleware.joinRoom(session.userId, roomId);
+      const history = await getVisibleHistory(session, roomId);
+      // Confirmaciones de los mensajes propios del historial
+      const receipts = await rmiMiddleware.getReceipts(session.userId, history.map(msg => msg.messageId));
+      return { room, history, receipts };
+    }
+  },
+  leaveRoom: {
+    requiresUser: true,
+    handler: (session, roomId) => rmiMiddleware.leaveRoom(session.userId, roomId)
+  },
+  getMessageHistory: {
+    requiresUser: true,
+    handler: (session, roomId, limit, cursor) => getVisibleHistory(session, roomId, limit, cursor)
+  },
+  searchMessages: {
+    requiresUser: true,
+    handler: (session, query, filters) => {
+      const { author, roomId, types, from, to, limit } = filters || {};
+      return rmiMiddleware.searchMessages({ query, author, roomId, types, from, to, limit, userId: session.userId });
+    }
+  },
+  sendMessage: {
+    requiresUser: true,
+    handler: (session, content, roomId, replyTo) => rmiMiddleware.sendMessage({
+      userId: session.userId,
+      address: session.address,
+      content,
+      roomId,
+      replyTo
+    })
+  },
+  sendPrivateMessage: {
+    requiresUser: true,
+    handler: (session, targetUserId, content, roomId, replyTo) => rmiMiddleware.sendPrivateMessage({
+      userId: session.userId,
+      address: session.address,
+      targetUserId,
+      content,
+      roomId,
+      replyTo
+    })
+  },
+  getThread: {
+    requiresUser: true,
+    handler: (session, messageId) => rmiMiddleware.getThread(session.userId, messageId)
+  },
+  getAttachmentUrl: {
+    requiresUser: true,
+    handler: (session, uploadId) => rmiMiddleware.getAttachmentUrl(session.userId, uploadId)
+  },
+  // Moderación (el middleware comprueba el rol de quien invoca)
+  kickUser: {
+    requiresUser: true,
+    handler: (session, targetUserId, reason) => rmiMiddleware.kickUser(session.userId, targetUserId, reason)
+  },
+  banUser: {
+    requiresUser: true,
+    handler: (session, targetUserId, reason, duration, byAddress) =>
+      rmiMiddleware.banUser(session.userId, targetUserId, reason, duration, Boolean(byAddress))
+  },
+  unbanUser: {
+    requiresUser: true,
+    handler: (session, targetUserId) => rmiMiddleware.unbanUser(session.userId, targetUserId)
+  },
+  muteUser: {
+    requiresUser: true,
+    handler: (session, targetUserId, reason, duration) =>
+      rmiMiddleware.muteUser(session.userId, targetUserId, reason, duration)
+  },
+  setUserRole: {
+    requiresUser: true,
+    handler: (session, targetUserId, role) => rmiMiddleware.setUserRole(session.userId, targetUserId, role)
+  },
+  // Comandos escritos en el campo de mensaje (ver command_registry.js)
+  runCommand: {
+    requiresUser: true,
+    handler: (session, text, roomId) => commandRegistry.execute(text, {
+      userId: session.userId,
+      address: session.address,
+      roomId
+    })
+  },
+  getCommands: {
+    requiresUser: true,
+    handler: (session) => commandRegistry.getCommands(session.userId)
+  }
+};
+
+/**
+ * Invoca un método remoto permitido
+ * @param {string} method - Nombre del método
+ * @param {Array} args - Argumentos de la invocación
+ * @param {Object} session - Datos de la conexión que invoca ({userId, address})
+ * @returns {Promise<*>} - Valor devuelto por el método
+ * @throws {RmiError} - Si el método no está permitido o falla
+ */
+async function invoke(method, args, session) {
+  const entry = Object.prototype.hasOwnProperty.call(allowedMethods, method)
+    ? allowedMethods[method]
+    : null;
+
+  if (!entry) {
+    throw new RmiError(ErrorCode.METHOD_NOT_FOUND, `Método remoto no permitido: ${method}`);
+  }
+
+  if (entry.requiresUser && !session.userId) {
+    throw new RmiError(ErrorCode.UNAUTHENTICATED, 'Debes unirte al chat antes de invocar este método');
+  }
+
+  return entry.handler(session, ...args);
+}
+
+/**
+ * Extrae los argumentos de un elemento <invoke> ya parseado.
+ * Cada <arg> contiene un valor codificado en JSON.
+ * @param {Object} invocation - Contenido del elemento invoke
+ * @returns {Array} - Lista de argumentos
+ * @throws {RmiError} - Si algún argumento no es JSON válido
+ */
+function parseArguments(invocation) {
+  if (invocation.arg === undefined) {
+    return [];
+  }
+
+  const rawArgs = Array.isArray(invocation.arg) ? invocation.arg : [invocation.arg];
+  return rawArgs.map((rawArg, index) => {
+    try {
+      return JSON.parse(typeof rawArg === 'string' ? rawArg : '');
+    } catch (error) {
+      throw new RmiError(ErrorCode.INVALID_ARGUMENT, `Argumento ${index + 1} no es JSON válido`);
+    }
+  });
+}
+
+/**
+ * Construye la respuesta XML de una invocación exitosa
+ * @param {string} callId - ID de la invocación
+ * @param {*} value - Valor devuelto
+ * @returns {string} - Elemento <result> en XML
+ */
+function resultToXml(callId, value) {
+  return builder.buildObject({
+    result: {
+      $: { callId },
+      value: JSON.stringify(value === undefined ? null : value)
+    }
+  });
+}
+
+/**
+ * Construye la respuesta XML de una invocación fallida o de un mensaje rechazado
+ * @param {string|null} callId - ID de la invocación (null si no la hay)
+ * @param {Error} error - Error producido
+ * @returns {string} - Elemento <fault> en XML
+ */
+function faultToXml(callId, error) {
+  // Los errores inesperados no exponen detalles internos al cliente
+  const isRmiError = error instanceof RmiError;
+  const fault = {
+    code: isRmiError ? error.code : ErrorCode.INTERNAL,
+    message: isRmiError ? error.message : 'Error interno del servidor'
+  };
+
+  // callId falta cuando el mensaje rechazado no era una invocación
+  if (callId) {
+    fault.$ = { callId };
+  }
+
+  // Elemento que no cumple el esquema
+  if (isRmiError && error.element) {
+    fault.element = error.element;
+  }
+
+  // Segundos que debe esperar el cliente antes de reintentar
+  if (isRmiError && error.retryAfter) {
+    fault.retryAfter = error.retryAfter;
+  }
+
+  return builder.buildObject({ fault });
+}
+
+/**
+ * Obtiene una página del historial de una sala sin lo que el usuario no puede ver
+ * @param {Object} session - Datos de la conexión ({userId})
+ * @param {string} roomId - ID de la sala
+ * @param {number} limit - Número máximo de mensajes
+ * @param {Object} cursor - {before} o {after} con un messageId o una marca de tiempo (opcional)
+ * @returns {Promise<Array>} - Mensajes visibles
+ * @private
+ */
+async function getVisibleHistory(session, roomId, limit, cursor = {}) {
+  const { before, after } = cursor || {};
+  return rmiMiddleware.getMessageHistory(limit || undefined, roomId || undefined, {
+    before,
+    after,
+    userId: session.userId
+  });
+}
+
+module.exports = {
+  invoke,
+  parseArguments,
+  resultToXml,
+  faultToXml
+};
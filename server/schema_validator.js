@@ -0,0 +1,486 @@
+/**
+ * Validador de documentos XML contra el esquema XSD compartido
+ * (shared/message_schema.xml).
+ *
+ * Implementa el subconjunto de XSD que usa el esquema del chat:
+ * elementos globales y referencias (ref), tipos complejos con nombre o
+ * anónimos con xs:sequence, xs:all o xs:choice, atributos (use="required"),
+ * minOccurs/maxOccurs, tipos simples con restricciones (enumeration,
+ * pattern, minLength, maxLength) y los tipos base xs:string, xs:boolean,
+ * xs:integer, xs:nonNegativeInteger, xs:positiveInteger, xs:decimal y xs:dateTime.
+ */
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+// Parser que conserva el orden de los hijos (necesario para xs:sequence)
+const parser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: false
+});
+
+// Validación de los tipos base de XSD
+const BUILTIN_TYPES = {
+  'xs:string': () => true,
+  'xs:boolean': value => /^(true|false|1|0)$/.test(value),
+  'xs:integer': value => /^[+-]?\d+$/.test(value),
+  'xs:nonNegativeInteger': value => /^\+?\d+$/.test(value),
+  'xs:positiveInteger': value => /^\+?\d+$/.test(value) && Number(value) > 0,
+  'xs:decimal': value => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value),
+  'xs:dateTime': value => /^-?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(value)
+    && !isNaN(Date.parse(value))
+};
+
+/**
+ * Error de validación: indica el elemento que incumple el esquema
+ */
+class SchemaValidationError {
+  /**
+   * @param {string} element - Ruta del elemento (p.ej. message/type)
+   * @param {string} message - Descripción del problema
+   */
+  constructor(element, message) {
+    this.element = element;
+    this.message = message;
+  }
+}
+
+/**
+ * Validador compilado a partir de un esquema XSD
+ */
+class SchemaValidator {
+  /**
+   * @param {string} xsd - Contenido del esquema XSD
+   */
+  constructor(xsd) {
+    this.elements = new Map();     // nombre -> declaración de elemento global
+    this.complexTypes = new Map(); // nombre -> xs:complexType
+    this.simpleTypes = new Map();  // nombre -> xs:simpleType
+
+    this._compile(xsd);
+  }
+
+  /**
+   * Valida un documento XML
+   * @param {string} xml - Documento a validar
+   * @returns {Object} - {valid: boolean, errors: Array<SchemaValidationError>}
+   */
+  validate(xml) {
+    // Comprobar primero que el XML está bien formado
+    const wellFormed = XMLValidator.validate(xml);
+    if (wellFormed !== true) {
+      return this._result([new SchemaValidationError('', `XML mal formado: ${wellFormed.err.msg}`)]);
+    }
+
+    const roots = toNodes(parser.parse(xml)).filter(node => !node.name.startsWith('?'));
+    if (roots.length !== 1) {
+      return this._result([new SchemaValidationError('', 'El documento debe tener un único elemento raíz')]);
+    }
+
+    return this._validateRoot(roots[0]);
+  }
+
+  /**
+   * Valida un objeto plano (p.ej. un cuerpo JSON) como si fuera el
+   * contenido del elemento global indicado
+   * @param {string} rootName - Nombre del elemento global
+   * @param {Object} obj - Objeto a validar
+   * @returns {Object} - {valid: boolean, errors: Array<SchemaValidationError>}
+   */
+  validateObject(rootName, obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      return this._result([new SchemaValidationError(rootName, 'Se esperaba un objeto')]);
+    }
+
+    return this._validateRoot(objectToNode(rootName, obj));
+  }
+
+  /**
+   * Valida el elemento raíz de un documento
+   * @param {Object} node - Nodo raíz
+   * @returns {Object} - Resultado de validación
+   * @private
+   */
+  _validateRoot(node) {
+    const declaration = this.elements.get(node.name);
+    if (!declaration) {
+      return this._result([new SchemaValidationError(node.name, `Elemento raíz no definido en el esquema: ${node.name}`)]);
+    }
+
+    const errors = [];
+    this._validateElement(node, declaration, node.name, errors);
+    return this._result(errors);
+  }
+
+  /**
+   * Construye el resultado de una validación
+   * @param {Array} errors - Errores encontrados
+   * @returns {Object} - {valid, errors}
+   * @private
+   */
+  _result(errors) {
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Carga las definiciones globales del esquema
+   * @param {string} xsd - Contenido del esquema
+   * @private
+   */
+  _compile(xsd) {
+    const schema = toNodes(parser.parse(xsd)).find(node => node.name === 'xs:schema');
+    if (!schema) {
+      throw new Error('Esquema XSD inválido: falta xs:schema');
+    }
+
+    for (const child of schema.children) {
+      const name = child.attributes.name;
+      if (child.name === 'xs:element') this.elements.set(name, child);
+      if (child.name === 'xs:complexType') this.complexTypes.set(name, child);
+      if (child.name === 'xs:simpleType') this.simpleTypes.set(name, child);
+    }
+  }
+
+  /**
+   * Valida un elemento del documento contra su declaración
+   * @param {Object} node - Nodo del documento
+   * @param {Object} declaration - Declaración xs:element
+   * @param {string} path - Ruta del elemento
+   * @param {Array} errors - Lista donde se acumulan los errores
+   * @private
+   */
+  _validateElement(node, declaration, path, errors) {
+    const typeName = declaration.attributes.type;
+    const inlineComplex = declaration.children.find(child => child.name === 'xs:complexType');
+    const inlineSimple = declaration.children.find(child => child.name === 'xs:simpleType');
+
+    if (inlineComplex || this.complexTypes.has(typeName)) {
+      this._validateComplex(node, inlineComplex || this.complexTypes.get(typeName), path, errors);
+      return;
+    }
+
+    // Tipo simple: el elemento solo puede contener texto
+    if (node.children.length > 0) {
+      errors.push(new SchemaValidationError(path, 'El elemento solo puede contener texto'));
+      return;
+    }
+
+    const problem = this._checkSimpleValue(node.text, inlineSimple || typeName || 'xs:string');
+    if (problem) {
+      errors.push(new SchemaValidationError(path, problem));
+    }
+  }
+
+  /**
+   * Valida un elemento de tipo complejo (atributos e hijos)
+   * @param {Object} node - Nodo del documento
+   * @param {Object} complexType - Definición xs:complexType
+   * @param {string} path - Ruta del elemento
+   * @param {Array} errors - Lista donde se acumulan los errores
+   * @private
+   */
+  _validateComplex(node, complexType, path, errors) {
+    // Atributos
+    const attributeDeclarations = complexType.children.filter(child => child.name === 'xs:attribute');
+    for (const attribute of attributeDeclarations) {
+      const { name, type, use } = attribute.attributes;
+      const value = node.attributes[name];
+
+      if (value === undefined) {
+        if (use === 'required') {
+          errors.push(new SchemaValidationError(`${path}/@${name}`, `Falta el atributo requerido ${name}`));
+        }
+        continue;
+      }
+
+      const problem = this._checkSimpleValue(value, type || 'xs:string');
+      if (problem) {
+        errors.push(new SchemaValidationError(`${path}/@${name}`, problem));
+      }
+    }
+
+    for (const name of Object.keys(node.attributes)) {
+      if (!attributeDeclarations.some(attribute => attribute.attributes.name === name)) {
+        errors.push(new SchemaValidationError(`${path}/@${name}`, `Atributo no permitido: ${name}`));
+      }
+    }
+
+    // Contenido
+    const group = complexType.children.find(child =>
+      child.name === 'xs:sequence' || child.name === 'xs:all' || child.name === 'xs:choice'
+    );
+
+    if (!group) {
+      if (node.children.length > 0) {
+        errors.push(new SchemaValidationError(`${path}/${node.children[0].name}`, 'El elemento no admite hijos'));
+      }
+      return;
+    }
+
+    const particles = group.children
+      .filter(child => child.name === 'xs:element')
+      .map(child => this._resolveParticle(child));
+
+    if (group.name === 'xs:sequence') {
+      this._validateSequence(node.children, particles, path, errors);
+    } else if (group.name === 'xs:all') {
+      this._validateAll(node.children, particles, path, errors);
+    } else {
+      this._validateChoice(node.children, particles, group, path, errors);
+    }
+  }
+
+  /**
+   * Valida hijos que deben aparecer en el orden de la secuencia
+   * @param {Array} children - Hijos del elemento
+   * @param {Array} particles - Partículas permitidas (ver _resolveParticle)
+   * @param {string} path - Ruta del elemento padre
+   * @param {Array} errors - Lista donde se acumulan los errores
+   * @private
+   */
+  _validateSequence(children, particles, path, errors) {
+    let index = 0;
+
+    for (const particle of particles) {
+      let count = 0;
+      while (index < children.length && children[index].name === particle.name && count < particle.maxOccurs) {
+        this._validateElement(children[index], particle.declaration, `${path}/${particle.name}`, errors);
+        index++;
+        count++;
+      }
+
+      if (count < particle.minOccurs) {
+        errors.push(new SchemaValidationError(`${path}/${particle.name}`, `Falta el elemento requerido ${particle.name}`));
+      }
+    }
+
+    if (index < children.length) {
+      const unexpected = children[index];
+      const known = particles.some(particle => particle.name === unexpected.name);
+      errors.push(new SchemaValidationError(
+        `${path}/${unexpected.name}`,
+        known ? `Elemento ${unexpected.name} fuera de orden o repetido` : `Elemento no permitido: ${unexpected.name}`
+      ));
+    }
+  }
+
+  /**
+   * Valida hijos que pueden aparecer en cualquier orden (xs:all)
+   * @param {Array} children - Hijos del elemento
+   * @param {Array} particles - Partículas permitidas (ver _resolveParticle)
+   * @param {string} path - Ruta del elemento padre
+   * @param {Array} errors - Lista donde se acumulan los errores
+   * @private
+   */
+  _validateAll(children, particles, path, errors) {
+    const counts = new Map();
+
+    for (const child of children) {
+      const particle = particles.find(p => p.name === child.name);
+      if (!particle) {
+        errors.push(new SchemaValidationError(`${path}/${child.name}`, `Elemento no permitido: ${child.name}`));
+        continue;
+      }
+
+      const count = (counts.get(child.name) || 0) + 1;
+      counts.set(child.name, count);
+
+      if (count > particle.maxOccurs) {
+        errors.push(new SchemaValidationError(`${path}/${child.name}`, `Elemento repetido: ${child.name}`));
+        continue;
+      }
+
+      this._validateElement(child, particle.declaration, `${path}/${child.name}`, errors);
+    }
+
+    for (const particle of particles) {
+      if ((counts.get(particle.name) || 0) < particle.minOccurs) {
+        errors.push(new SchemaValidationError(`${path}/${particle.name}`, `Falta el elemento requerido ${particle.name}`));
+      }
+    }
+  }
+
+  /**
+   * Valida hijos de un xs:choice (todos deben ser de una de las opciones)
+   * @param {Array} children - Hijos del elemento
+   * @param {Array} particles - Partículas permitidas (ver _resolveParticle)
+   * @param {Object} group - Definición xs:choice
+   * @param {string} path - Ruta del elemento padre
+   * @param {Array} errors - Lista donde se acumulan los errores
+   * @private
+   */
+  _validateChoice(children, particles, group, path, errors) {
+    const minOccurs = parseOccurs(group.attributes.minOccurs, 1);
+
+    if (children.length === 0) {
+      if (minOccurs > 0) {
+        errors.push(new SchemaValidationError(path, `Se esperaba uno de: ${particles.map(p => p.name).join(', ')}`));
+      }
+      return;
+    }
+
+    const particle = particles.find(p => p.name === children[0].name);
+    if (!particle) {
+      errors.push(new SchemaValidationError(`${path}/${children[0].name}`, `Elemento no permitido: ${children[0].name}`));
+      return;
+    }
+
+    this._validateSequence(children, [particle], path, errors);
+  }
+
+  /**
+   * Resuelve una partícula xs:element (siguiendo ref si lo tiene)
+   * @param {Object} element - Declaración xs:element local
+   * @returns {Object} - {name, declaration, minOccurs, maxOccurs}
+   * @private
+   */
+  _resolveParticle(element) {
+    const { ref, name, minOccurs, maxOccurs } = element.attributes;
+    const declaration = ref ? this.elements.get(ref) : element;
+
+    if (!declaration) {
+      throw new Error(`Esquema XSD inválido: referencia a elemento inexistente ${ref}`);
+    }
+
+    return {
+      name: ref || name,
+      declaration,
+      minOccurs: parseOccurs(minOccurs, 1),
+      maxOccurs: parseOccurs(maxOccurs, 1)
+    };
+  }
+
+  /**
+   * Comprueba un valor de texto contra un tipo simple
+   * @param {string} value - Valor a comprobar
+   * @param {string|Object} type - Nombre del tipo o xs:simpleType anónimo
+   * @returns {string|null} - Descripción del problema o null si es válido
+   * @private
+   */
+  _checkSimpleValue(value, type) {
+    if (typeof type === 'string') {
+      if (BUILTIN_TYPES[type]) {
+        return BUILTIN_TYPES[type](value) ? null : `Valor '${value}' no es de tipo ${type}`;
+      }
+
+      const simpleType = this.simpleTypes.get(type);
+      if (!simpleType) {
+        throw new Error(`Esquema XSD inválido: tipo desconocido ${type}`);
+      }
+      type = simpleType;
+    }
+
+    const restriction = type.children.find(child => child.name === 'xs:restriction');
+    if (!restriction) {
+      return null;
+    }
+
+    const baseProblem = this._checkSimpleValue(value, restriction.attributes.base || 'xs:string');
+    if (baseProblem) {
+      return baseProblem;
+    }
+
+    const enumeration = restriction.children
+      .filter(child => child.name === 'xs:enumeration')
+      .map(child => child.attributes.value);
+
+    if (enumeration.length > 0 && !enumeration.includes(value)) {
+      return `Valor '${value}' no permitido (se esperaba uno de: ${enumeration.join(', ')})`;
+    }
+
+    for (const facet of restriction.children) {
+      const facetValue = facet.attributes.value;
+
+      if (facet.name === 'xs:minLength' && value.length < Number(facetValue)) {
+        return `El valor debe tener al menos ${facetValue} caracteres`;
+      }
+      if (facet.name === 'xs:maxLength' && value.length > Number(facetValue)) {
+        return `El valor no puede superar ${facetValue} caracteres`;
+      }
+      if (facet.name === 'xs:pattern' && !new RegExp(`^(?:${facetValue})$`).test(value)) {
+        return `Valor '${value}' no cumple el patrón ${facetValue}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Convierte la salida de fast-xml-parser (preserveOrder) a nodos
+ * {name, attributes, children, text}, ignorando el texto en blanco
+ * @param {Array} items - Lista de nodos parseados
+ * @returns {Array} - Nodos normalizados
+ */
+function toNodes(items) {
+  const nodes = [];
+
+  for (const item of items) {
+    const name = Object.keys(item).find(key => key !== ':@' && key !== '#text');
+    if (!name) {
+      continue;
+    }
+
+    const content = item[name];
+    const text = content
+      .filter(child => child['#text'] !== undefined)
+      .map(child => String(child['#text']))
+      .join('');
+
+    nodes.push({
+      name,
+      attributes: item[':@'] || {},
+      children: toNodes(content),
+      text
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Convierte un objeto plano a nodo (las claves son elementos hijos,
+ * los arrays se convierten en elementos repetidos)
+ * @param {string} name - Nombre del elemento
+ * @param {*} value - Valor del elemento
+ * @returns {Object} - Nodo {name, attributes, children, text}
+ */
+function objectToNode(name, value) {
+  if (value === null || typeof value !== 'object') {
+    return { name, attributes: {}, children: [], text: String(value) };
+  }
+
+  const children = [];
+  for (const [key, childValue] of Object.entries(value)) {
+    if (childValue === undefined || childValue === null) {
+      continue;
+    }
+
+    const values = Array.isArray(childValue) ? childValue : [childValue];
+    for (const item of values) {
+      children.push(objectToNode(key, item));
+    }
+  }
+
+  return { name, attributes: {}, children, text: '' };
+}
+
+/**
+ * Interpreta minOccurs / maxOccurs
+ * @param {string} value - Valor del atributo
+ * @param {number} defaultValue - Valor por defecto
+ * @returns {number} - Número de apariciones (Infinity para unbounded)
+ */
+function parseOccurs(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (value === 'unbounded') return Infinity;
+  return Number(value);
+}
+
+module.exports = {
+  SchemaValidator,
+  SchemaValidationError
+};
@@ -0,0 +1,151 @@
+/**
+ * Índice invertido para la búsqueda de texto en el historial.
+ * Asocia cada término (palabra en minúsculas y sin tildes) con los mensajes
+ * que lo contienen. Una búsqueda devuelve los mensajes que contienen todos
+ * los términos pedidos; el último vale también como prefijo ("git" encuentra
+ * "github"), como cuando aún se está escribiendo.
+ */
+
+// Longitud mínima de un término para indexarlo o buscarlo
+const MIN_TERM_LENGTH = 2;
+
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // término -> Set de messageId
+    this.documents = new Map(); // messageId -> Set de términos (para poder desindexar)
+    this.terms = []; // Términos indexados en orden alfabético (para buscar por prefijo)
+  }
+
+  /**
+   * Indexa (o vuelve a indexar) el texto de un mensaje
+   * @param {string} messageId - ID del mensaje
+   * @param {string} text - Texto del mensaje
+   */
+  add(messageId, text) {
+    this.remove(messageId);
+
+    const terms = new Set(tokenize(text));
+    if (!terms.size) {
+      return;
+    }
+
+    for (const term of terms) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+        this.terms.splice(this._position(term), 0, term);
+      }
+      this.postings.get(term).add(messageId);
+    }
+    this.documents.set(messageId, terms);
+  }
+
+  /**
+   * Quita un mensaje del índice
+   * @param {string} messageId - ID del mensaje
+   */
+  remove(messageId) {
+    const terms = this.documents.get(messageId);
+    if (!terms) {
+      return;
+    }
+
+    for (const term of terms) {
+      const ids = this.postings.get(term);
+      ids.delete(messageId);
+      if (!ids.size) {
+        this.postings.delete(term);
+        this.terms.splice(this._position(term), 1);
+      }
+    }
+    this.documents.delete(messageId);
+  }
+
+  /**
+   * Busca los mensajes que contienen todos los términos de una consulta
+   * @param {string} query - Texto a buscar
+   * @returns {Set<string>|null} - IDs de los mensajes, o null si la consulta
+   *                               no tiene ningún término (no filtra)
+   */
+  search(query) {
+    const terms = tokenize(query);
+    if (!terms.length) {
+      return null;
+    }
+
+    const prefix = terms.pop();
+    const lookups = Array.from(new Set(terms), term => () => this.postings.get(term) || new Set());
+    lookups.push(() => this._matchPrefix(prefix));
+
+    let result = null;
+    for (const lookup of lookups) {
+      const ids = lookup();
+
+      // Intersección con los términos anteriores
+      result = result ? new Set(Array.from(result).filter(id => ids.has(id))) : ids;
+      if (!result.size) {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Obtiene los mensajes con un término o con algún término que empiece por él
+   * (los términos que empiezan por él van seguidos en la lista ordenada)
+   * @param {string} prefix - Término buscado
+   * @returns {Set<string>} - IDs de los mensajes
+   * @private
+   */
+  _matchPrefix(prefix) {
+    const ids = new Set();
+    for (let i = this._position(prefix); i < this.terms.length && this.terms[i].startsWith(prefix); i++) {
+      this.postings.get(this.terms[i]).forEach(id => ids.add(id));
+    }
+    return ids;
+  }
+
+  /**
+   * Busca por bisección la posición de un término en la lista ordenada
+   * @param {string} term - Término
+   * @returns {number} - Índice del término, o donde habría que insertarlo
+   * @private
+   */
+  _position(term) {
+    let low = 0;
+    let high = this.terms.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.terms[middle] < term) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+}
+
+/**
+ * Separa un texto en términos: minúsculas, sin tildes y partiendo por todo
+ * lo que no sea letra o número (una URL da "https", "github", "com"...)
+ * @param {string} text - Texto a separar
+ * @returns {Array<string>} - Términos en el orden en que aparecen
+ */
+function tokenize(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length >= MIN_TERM_LENGTH);
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize
+};
@@ -4,9 +4,12 @@ const path = require('path');
 const WebSocket = require('ws');
 const xml2js = require('xml2js');
 const fs = require('fs');
-const { XMLValidator } = require('fast-xml-parser');
 const socketHandler = require('./socket_handler');
 const rmiMiddleware = require('./rmi_middleware');
+const config = require('./config');
+const { ErrorCode } = require('./rmi_errors');
+const { SchemaValidator } = require('./schema_validator');
+const transcriptExport = require('./transcript_export');
 
 // Crear la aplicación Express
 const app = express();
@@ -19,45 +22,123 @@ app.use(express.urlencoded({ extended: true }));
 
 // Cargar esquema XML
 const messageSchemaXML = fs.readFileSync(path.join(__dirname, '../shared/message_schema.xml'), 'utf8');
+const schemaValidator = new SchemaValidator(messageSchemaXML);
 
 // Configurar WebSocket server
 const wss = new WebSocket.Server({ server });
-socketHandler.initialize(wss);
+socketHandler.initialize(wss, schemaValidator, config.connection);
 
-// Configurar RMI middleware
-rmiMiddleware.initialize();
+
+// Código HTTP correspondiente a cada código de error RMI
+const HTTP_STATUS = {
+  [ErrorCode.INVALID_ARGUMENT]: 400,
+  [ErrorCode.INVALID_MESSAGE]: 400,
+  [ErrorCode.UNAUTHENTICATED]: 401,
+  [ErrorCode.FORBIDDEN]: 403,
+  [ErrorCode.NOT_FOUND]: 404,
+  [ErrorCode.CONFLICT]: 409,
+  [ErrorCode.RATE_LIMITED]: 429,
+  [ErrorCode.TOO_LARGE]: 413
+};
+
+/**
+ * Envía una respuesta XML con el elemento raíz indicado
+ * @param {Response} res - Respuesta de Express
+ * @param {string} rootName - Nombre del elemento raíz
+ * @param {Object} body - Contenido del elemento raíz
+ */
+function sendXml(res, rootName, body) {
+  const builder = new xml2js.Builder();
+  const xmlResponse = builder.buildObject({ [rootName]: body });
+
+  res.set('Content-Type', 'application/xml');
+  res.send(xmlResponse);
+}
+
+/**
+ * Envía una respuesta de error según el código del error RMI
+ * @param {Response} res - Respuesta de Express
+ * @param {Error} error - Error producido
+ * @param {string} context - Descripción de la operación para el log
+ */
+function sendError(res, error, context) {
+  const status = HTTP_STATUS[error.code];
+  if (status) {
+    // Segundos de espera de un RATE_LIMITED
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(status).json({ success: false, message: error.message, retryAfter: error.retryAfter });
+    }
+    return res.status(status).json({ success: false, message: error.message });
+  }
+
+  console.error(`${context}:`, error);
+  res.status(500).json({ success: false, message: 'Error interno del servidor' });
+}
+
+/**
+ * Obtiene el usuario de una petición por su token de sesión, enviado en la
+ * cabecera Authorization ("Bearer <token>"). Los enlaces e imágenes, que no
+ * pueden enviar cabeceras, usan URLs firmadas (ver getAttachmentUrl).
+ * @param {Request} req - Petición de Express
+ * @returns {Promise<Object>} - {userId, username}
+ * @throws {RmiError} - UNAUTHENTICATED si falta el token o no es válido
+ */
+function authenticateRequest(req) {
+  const header = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return rmiMiddleware.authenticate(header ? header[1] : null);
+}
+
+/**
+ * Middleware que valida el cuerpo de la petición contra un elemento del
+ * esquema XML. Si no es válido responde 400 indicando el elemento que falla.
+ * @param {string} rootName - Elemento del esquema que describe el cuerpo
+ * @returns {Function} - Middleware de Express
+ */
+function validateBody(rootName) {
+  return (req, res, next) => {
+    const { valid, errors } = schemaValidator.validateObject(rootName, req.body || {});
+    if (valid) {
+      return next();
+    }
+
+    const [firstError] = errors;
+    res.status(400).json({
+      success: false,
+      code: ErrorCode.INVALID_MESSAGE,
+      message: `Petición no válida: ${firstError.message}`,
+      element: firstError.element
+    });
+  };
+}
 
 // Ruta principal
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/index.html'));
 });
 
-// API para registro de usuario (alternativa a WebSocket)
-app.post('/api/users/register', async (req, res) => {
+// API para crear una cuenta
+app.post('/api/users/register', validateBody('registerRequest'), async (req, res) => {
   try {
-    const { username } = req.body;
-    if (!username) {
-      return res.status(400).json({ success: false, message: 'Nombre de usuario requerido' });
-    }
-
-    const result = await rmiMiddleware.registerUser(username);
+    const { username, password } = req.body;
+    const result = await rmiMiddleware.registerUser(username, password);
     
-    // Construir respuesta XML
-    const builder = new xml2js.Builder();
-    const xmlResponse = builder.buildObject({
-      registerResponse: {
-        success: result.success,
-        message: result.message,
-        userId: result.userId
-      }
-    });
-
     // Enviar respuesta como XML
-    res.set('Content-Type', 'application/xml');
-    res.send(xmlResponse);
+    sendXml(res, 'registerResponse', result);
+  } catch (error) {
+    sendError(res, error, 'Error al registrar usuario');
+  }
+});
+
+// API para iniciar sesión con una cuenta existente
+app.post('/api/users/login', validateBody('loginRequest'), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const result = await rmiMiddleware.login(username, password);
+
+    sendXml(res, 'loginResponse', result);
   } catch (error) {
-    console.error('Error al registrar usuario:', error);
-    res.status(500).json({ success: false, message: 'Error interno del servidor' });
+    sendError(res, error, 'Error al iniciar sesión');
   }
 });
 
@@ -66,28 +147,255 @@ app.get('/api/users', async (req, res) => {
   try {
     const users = await rmiMiddleware.getUsers();
     
-    // Construir respuesta XML
-    const builder = new xml2js.Builder();
-    const xmlResponse = builder.buildObject({
-      userList: {
-        user: users.map(user => ({
-          userId: user.userId,
-          username: user.username
-        }))
-      }
+    // Enviar respuesta como XML
+    sendXml(res, 'userList', {
+      user: users.map(user => ({
+        userId: user.userId,
+        username: user.username,
+        connected: user.presence !== 'offline',
+        presence: user.presence,
+        statusText: user.statusText,
+        role: user.role
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener usuarios');
+  }
+});
+
+// API para salir del chat (alternativa a WebSocket). Con el token de sesión del
+// propio usuario o de un moderador
+app.post('/api/users/:id/leave', async (req, res) => {
+  try {
+    const { userId } = await authenticateRequest(req);
+    const disconnected = await rmiMiddleware.leaveChat(userId, req.params.id);
+    if (!disconnected) {
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    }
+
+    // Avisar a los clientes WebSocket del cambio
+    await socketHandler.sendUserListUpdate();
+    await socketHandler.sendRoomListUpdate();
+
+    sendXml(res, 'leaveResponse', {
+      success: true,
+      message: 'Sesión cerrada',
+      userId: req.params.id
     });
+  } catch (error) {
+    sendError(res, error, 'Error al salir del chat');
+  }
+});
 
-    // Enviar respuesta como XML
-    res.set('Content-Type', 'application/xml');
-    res.send(xmlResponse);
+// API para enviar un mensaje a una sala (alternativa a WebSocket). Requiere el
+// token de sesión en la cabecera Authorization
+app.post('/api/messages', validateBody('sendMessageRequest'), async (req, res) => {
+  try {
+    // El remitente es el dueño del token; un userId en el cuerpo se ignora
+    const { userId } = await authenticateRequest(req);
+    const { content, roomId } = req.body;
+    const message = await rmiMiddleware.sendMessage({ userId, address: req.ip, content, roomId });
+
+    sendXml(res, 'messageResponse', {
+      success: true,
+      message: 'Mensaje enviado',
+      chatMessage: rmiMiddleware.toXmlMessage(message)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al enviar mensaje');
+  }
+});
+
+// API para enviar un mensaje privado (alternativa a WebSocket). Requiere el
+// token de sesión en la cabecera Authorization
+app.post('/api/messages/unicast', validateBody('unicastRequest'), async (req, res) => {
+  try {
+    const { userId } = await authenticateRequest(req);
+    const { targetUserId, content, roomId } = req.body;
+    const message = await rmiMiddleware.sendPrivateMessage({ userId, address: req.ip, targetUserId, content, roomId });
+
+    sendXml(res, 'messageResponse', {
+      success: true,
+      message: 'Mensaje privado enviado',
+      chatMessage: rmiMiddleware.toXmlMessage(message)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al enviar mensaje privado');
+  }
+});
+
+// API para obtener el historial de mensajes de una sala (alternativa a WebSocket).
+// Se pagina con before o after (messageId o marca de tiempo ISO) y limit
+app.get('/api/messages', async (req, res) => {
+  try {
+    const { userId } = await authenticateRequest(req);
+    const roomId = req.query.roomId || rmiMiddleware.DEFAULT_ROOM;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+
+    // Los mensajes privados solo se devuelven a sus participantes
+    const history = await rmiMiddleware.getMessageHistory(limit, roomId, {
+      before: req.query.before,
+      after: req.query.after,
+      userId
+    });
+
+    sendXml(res, 'messageHistory', { message: history.map(rmiMiddleware.toXmlMessage) });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener historial');
+  }
+});
+
+// API para buscar en el historial de todas las salas. Filtros: q (palabras),
+// author, roomId, type (separados por comas), from, to y limit
+app.get('/api/messages/search', async (req, res) => {
+  try {
+    const { userId } = await authenticateRequest(req);
+
+    // Los mensajes privados solo se devuelven a sus participantes
+    const { total, messages } = await rmiMiddleware.searchMessages({
+      query: req.query.q,
+      author: req.query.author,
+      roomId: req.query.roomId,
+      types: req.query.type,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+      userId
+    });
+
+    sendXml(res, 'searchResults', { total, message: messages.map(rmiMiddleware.toXmlMessage) });
+  } catch (error) {
+    sendError(res, error, 'Error al buscar mensajes');
+  }
+});
+
+// API para descargar la transcripción de una sala. Parámetros: format (xml, json,
+// csv o html), roomId, from y to. La respuesta se envía por partes
+app.get('/api/messages/export', async (req, res) => {
+  try {
+    const { userId } = await authenticateRequest(req);
+    const format = transcriptExport.getFormat(req.query.format || 'xml');
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Formato no válido. Valores permitidos: ${transcriptExport.FORMATS.join(', ')}`
+      });
+    }
+
+    // Los mensajes privados solo se incluyen para sus participantes
+    const transcript = await rmiMiddleware.getTranscript({
+      roomId: req.query.roomId,
+      from: req.query.from,
+      to: req.query.to,
+      userId
+    });
+    transcript.exportedAt = new Date().toISOString();
+
+    const filename = `transcripcion-${transcript.room.roomId}-${transcript.exportedAt.slice(0, 10)}.${format.extension}`;
+    res.attachment(filename);
+    res.set('Content-Type', format.contentType);
+
+    await transcriptExport.writeTranscript(res, format, transcript);
+  } catch (error) {
+    // Si ya se empezó a enviar solo se puede cortar la descarga
+    if (res.headersSent) {
+      console.error('Error al exportar la transcripción:', error);
+      return res.end();
+    }
+    sendError(res, error, 'Error al exportar la transcripción');
+  }
+});
+
+// Cuerpo de las subidas: el archivo tal cual, con su tipo en Content-Type
+const parseUpload = express.raw({ type: () => true, limit: config.attachments.maxSize });
+
+// API para subir un archivo adjunto. El nombre va en la cabecera X-Filename
+// (codificado con encodeURIComponent); el archivo se envía después en un
+// mensaje ATTACHMENT con el uploadId devuelto
+app.post('/api/attachments', async (req, res, next) => {
+  // Sesión, límite de frecuencia y cuota se comprueban antes de leer el archivo
+  try {
+    const { userId } = await authenticateRequest(req);
+    rmiMiddleware.checkUpload(userId, req.ip, Number(req.get('Content-Length')) || 0);
+    res.locals.userId = userId;
   } catch (error) {
-    console.error('Error al obtener usuarios:', error);
-    res.status(500).json({ success: false, message: 'Error interno del servidor' });
+    return sendError(res, error, 'Error al subir archivo');
+  }
+
+  parseUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    // El cuerpo supera el límite antes de llegar al middleware RMI
+    const tooLarge = error.type === 'entity.too.large';
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      message: tooLarge ? 'El archivo supera el tamaño máximo permitido' : 'No se pudo leer el archivo'
+    });
+  });
+}, async (req, res) => {
+  try {
+    const { userId } = res.locals;
+
+    let filename = req.get('X-Filename');
+    try {
+      filename = decodeURIComponent(filename || '');
+    } catch (error) {
+      // Nombre mal codificado: se usa tal cual
+    }
+
+    const attachment = await rmiMiddleware.uploadAttachment(userId, {
+      data: Buffer.isBuffer(req.body) ? req.body : null,
+      filename,
+      mimeType: req.get('Content-Type')
+    });
+
+    sendXml(res, 'uploadResponse', { success: true, message: 'Archivo subido', ...attachment });
+  } catch (error) {
+    sendError(res, error, 'Error al subir archivo');
   }
 });
 
-// Iniciar servidor
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Servidor iniciado en http://localhost:${PORT}`);
+// API para descargar un archivo adjunto (solo quien puede ver su mensaje),
+// con un enlace firmado (user, expires y signature, ver getAttachmentUrl) o
+// con la cabecera Authorization. Las imágenes se muestran en el navegador
+// salvo con download=1
+app.get('/api/attachments/:uploadId', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const attachment = req.query.signature
+      ? await rmiMiddleware.getSignedAttachment(uploadId, req.query)
+      : await rmiMiddleware.getAttachment((await authenticateRequest(req)).userId, uploadId);
+
+    const inline = attachment.mimeType.startsWith('image/') && !req.query.download;
+    res.attachment(attachment.filename);
+    if (inline) {
+      res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'X-Content-Type-Options': 'nosniff',
+      // Un archivo servido desde el propio origen no debe poder ejecutar scripts (p.ej. un SVG)
+      'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'",
+      'Cache-Control': 'private, max-age=86400'
+    });
+
+    res.sendFile(attachment.path);
+  } catch (error) {
+    sendError(res, error, 'Error al descargar archivo');
+  }
 });
+
+// Configurar RMI middleware (carga el almacenamiento) e iniciar servidor
+const PORT = config.port;
+rmiMiddleware.initialize(config)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Servidor iniciado en http://localhost:${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Error al inicializar el middleware RMI:', error);
+    process.exit(1);
+  });
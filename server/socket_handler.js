@@ -3,22 +3,58 @@
  */
 
 const rmiMiddleware = require('./rmi_middleware');
+const rmiRegistry = require('./rmi_registry');
+const { RmiError, ErrorCode } = require('./rmi_errors');
 
 // Almacenamiento de conexiones activas
 const activeConnections = new Map(); // userId -> WebSocket
 
+// Validador del esquema XML de mensajes (ver shared/message_schema.xml)
+let schemaValidator = null;
+
+// Usuarios cuya conexión se cortó, a la espera de reconexión: userId -> temporizador
+const reconnectTimers = new Map();
+let reconnectGrace = 0; // Milisegundos de espera (ver config.connection)
+
+// Pings sin respuesta: WebSocket -> temporizador que cierra la conexión
+const pendingPongs = new Map();
+
+// Usuarios que están escribiendo: userId -> {frame, timer}. No se guardan en el historial
+const typingStates = new Map();
+let typingTimeout = 0; // Milisegundos hasta que caduca un TYPING_START no renovado
+
+// Mensajes por página de historial si el cliente no indica otro límite
+const HISTORY_PAGE_SIZE = 20;
+
+// Frames que envía el navegador por su cuenta: no cuentan como actividad del usuario
+const PASSIVE_FRAME_TYPES = ['PING', 'DELIVERED', 'READ'];
+
+// Código de cierre de la conexión de un usuario expulsado o bloqueado
+// (el cliente no debe reconectarse por su cuenta)
+const CLOSE_SANCTIONED = 4001;
 
 /**
  * Inicializa el servidor WebSocket
  * @param {WebSocket.Server} wss - Servidor WebSocket
+ * @param {SchemaValidator} validator - Validador con el que se comprueba cada mensaje entrante
+ * @param {Object} options - Configuración de las conexiones (ver config.connection)
  */
-function initialize(wss) {
+function initialize(wss, validator, options = {}) {
+  schemaValidator = validator;
+  reconnectGrace = options.reconnectGrace || 0;
+  typingTimeout = options.typingTimeout || 6000;
+  
   // Configurar suscripción a eventos del chat
   subscribeToEvents();
   
   // Manejar nuevas conexiones WebSocket
   wss.on('connection', handleConnection);
   
+  // Detectar conexiones muertas (TCP medio abierto) con ping/pong
+  if (options.heartbeatInterval) {
+    startHeartbeat(wss, options.heartbeatInterval, options.heartbeatTimeout);
+  }
+  
   console.log('Servidor WebSocket inicializado');
 }
 
@@ -31,94 +67,279 @@ function subscribeToEvents() {
     const xmlMessage = rmiMiddleware.messageToXml(message);
     
     // Si es mensaje privado, enviarlo solo al destinatario
-    if (message.type === 'PRIVATE') {
+    if (rmiMiddleware.isPrivateMessage(message)) {
       sendPrivateMessage(xmlMessage, message.targetUserId, message.userId);
     } else {
-      // Enviar a todos los clientes conectados
-      broadcastMessage(xmlMessage);
+      // Enviar solo a los miembros de la sala
+      broadcastToRoom(xmlMessage, message.roomId);
+    }
+  });
+  
+  // Avisar de ediciones y borrados a quienes pueden ver el mensaje original
+  rmiMiddleware.chatEvents.on('message-updated', (update, message) => {
+    const xmlMessage = rmiMiddleware.messageToXml(update);
+    
+    if (rmiMiddleware.isPrivateMessage(message)) {
+      sendPrivateMessage(xmlMessage, message.targetUserId, message.userId);
+    } else {
+      broadcastToRoom(xmlMessage, message.roomId);
+    }
+  });
+  
+  // Actualizar solo la entrada del usuario que cambió de presencia
+  rmiMiddleware.chatEvents.on('presence', (entry) => {
+    broadcastMessage(rmiMiddleware.messageToXml({
+      userId: 'system',
+      username: 'Sistema',
+      content: JSON.stringify(entry),
+      timestamp: new Date().toISOString(),
+      type: 'PRESENCE'
+    }));
+  });
+  
+  // Avisar a un usuario de que le han mencionado (esté o no en la sala)
+  rmiMiddleware.chatEvents.on('mention', (mention) => {
+    const ws = activeConnections.get(mention.targetUserId);
+    if (ws && ws.readyState === ws.OPEN) {
+      ws.send(rmiMiddleware.messageToXml(mention));
     }
   });
   
-  // Nuevo: suscribirse al evento de error de mensaje privado
-  rmiMiddleware.chatEvents.on('private-message-error', (errorMessage) => {
-    const xmlMessage = rmiMiddleware.messageToXml(errorMessage);
+  // Avisar al autor de un mensaje de que alguien lo recibió o lo leyó
+  rmiMiddleware.chatEvents.on('receipt', (receipt) => {
+    const ws = activeConnections.get(receipt.authorId);
+    if (ws && ws.readyState === ws.OPEN) {
+      ws.send(receiptToXml(receipt));
+    }
+  });
+  
+  // Explicar la sanción al afectado y, si se le expulsa, cerrar su conexión
+  rmiMiddleware.chatEvents.on('sanction', (sanction) => {
+    const ws = activeConnections.get(sanction.userId);
+    if (ws && ws.readyState === ws.OPEN) {
+      ws.send(rmiMiddleware.messageToXml({
+        userId: 'system',
+        username: 'Sistema',
+        content: sanction.content,
+        timestamp: new Date().toISOString(),
+        type: 'SYSTEM_COMMAND',
+        action: sanction.action
+      }));
+    }
     
-    // Enviar solo al remitente
-    const senderWs = activeConnections.get(errorMessage.targetUserId);
-    if (senderWs && senderWs.readyState === senderWs.OPEN) {
-      senderWs.send(xmlMessage);
+    if (sanction.action === 'mute') {
+      return;
     }
+    
+    // Sin periodo de gracia: la sesión ya se cerró en el middleware
+    clearTimeout(reconnectTimers.get(sanction.userId));
+    reconnectTimers.delete(sanction.userId);
+    stopTyping(sanction.userId);
+    
+    if (ws) {
+      activeConnections.delete(sanction.userId);
+      ws.close(CLOSE_SANCTIONED, sanction.action);
+    }
+    
+    sendUserListUpdate().catch(logListError);
+    sendRoomListUpdate().catch(logListError);
+  });
+  
+  // Reenviar la lista de usuarios cuando cambian sus datos (p.ej. un nombre)
+  rmiMiddleware.chatEvents.on('users-updated', () => {
+    sendUserListUpdate().catch(logListError);
+  });
+  
+  // Reenviar la lista de salas cuando cambia
+  rmiMiddleware.chatEvents.on('rooms-updated', () => {
+    sendRoomListUpdate().catch(logListError);
   });
 }
 
 /**
  * Maneja una nueva conexión WebSocket
  * @param {WebSocket} ws - Conexión WebSocket
+ * @param {http.IncomingMessage} req - Petición HTTP de la conexión
  */
-function handleConnection(ws) {
-  console.log('Nueva conexión WebSocket');
+function handleConnection(ws, req) {
+  const address = req.socket.remoteAddress;
+  console.log(`Nueva conexión WebSocket desde ${address}`);
   
+  // Identidad autenticada de la conexión (se fija al completar JOIN)
   let userId = null;
   
   // Manejar mensajes entrantes
   ws.on('message', async (data) => {
+    const xml = data.toString();
+    
+    // Rechazar los mensajes que no cumplen el esquema antes de procesarlos
+    if (!validateFrame(ws, xml)) {
+      return;
+    }
+    
     try {
       // Intentar parsear mensaje XML
-      const message = await rmiMiddleware.xmlToMessage(data.toString());
+      const frame = await rmiMiddleware.xmlToFrame(xml);
+      
+      // Lo que hace el usuario lo saca del estado "ausente" por inactividad
+      if (userId && !PASSIVE_FRAME_TYPES.includes(frame.data.type)) {
+        rmiMiddleware.updateActivity(userId);
+      }
+      
+      // Invocación remota genérica
+      if (frame.name === 'invoke') {
+        await handleInvoke(ws, frame.data, userId, address);
+        return;
+      }
+      
+      const message = frame.data;
       
       switch (message.type) {
         case 'JOIN':
-          // Procesar registro del usuario
-          await handleJoin(ws, message);
-          userId = message.userId;
+          // Una conexión no puede cambiar de identidad
+          if (userId) {
+            rejectFrame(ws, new RmiError(ErrorCode.FORBIDDEN, 'La conexión ya tiene una sesión iniciada'));
+            break;
+          }
+          
+          // Autenticar la conexión con el token de sesión
+          userId = await handleJoin(ws, message, address);
           break;
           
         case 'CHAT':
-          // Procesar mensaje de chat
+          if (!checkSender(ws, message, userId, address)) {
+            break;
+          }
+          
+          stopTyping(userId);
+          
+          // Procesar mensaje de chat (replyTo: mensaje al que responde)
           await rmiMiddleware.sendMessage({
-            userId: message.userId,
-            content: message.content
+            userId,
+            address,
+            content: message.content,
+            roomId: message.roomId,
+            replyTo: message.replyTo
           });
           break;
           
         case 'PRIVATE':
-          try {
-            // Procesar mensaje privado
+          if (!checkSender(ws, message, userId, address)) {
+            break;
+          }
+          
+          stopTyping(userId);
+          
+          // Procesar mensaje privado (queda en cola si el destinatario no está conectado)
+          await rmiMiddleware.sendPrivateMessage({
+            userId,
+            address,
+            targetUserId: message.targetUserId,
+            content: message.content,
+            roomId: message.roomId,
+            replyTo: message.replyTo
+          });
+          break;
+          
+        case 'ATTACHMENT':
+          if (!checkSender(ws, message, userId, address)) {
+            break;
+          }
+          
+          stopTyping(userId);
+          
+          // Archivo subido antes por REST: a la sala o, con destinatario, privado
+          if (message.targetUserId) {
             await rmiMiddleware.sendPrivateMessage({
-              userId: message.userId,
+              userId,
+              address,
               targetUserId: message.targetUserId,
-              content: message.content
+              uploadId: message.uploadId,
+              content: message.content,
+              roomId: message.roomId
             });
-          } catch (error) {
-            // Si el error es "Usuario destinatario no encontrado"
-            if (error.message === 'Usuario destinatario no encontrado') {
-              // Enviar mensaje de error al remitente
-              ws.send(rmiMiddleware.messageToXml({
-                userId: 'system',
-                username: 'Sistema',
-                content: 'El usuario destinatario ya no está conectado. Los mensajes nuevos se enviarán a todos los usuarios.',
-                timestamp: new Date().toISOString(),
-                type: 'ERROR'
-              }));
-              
-              // Enviar comando para resetear el destinatario
-              ws.send(rmiMiddleware.messageToXml({
-                userId: 'system',
-                username: 'Sistema',
-                content: 'RESET_RECIPIENT',
-                timestamp: new Date().toISOString(),
-                type: 'SYSTEM_COMMAND'
-              }));
-            } else {
-              // Reenviar cualquier otro error
-              throw error;
-            }
+          } else {
+            await rmiMiddleware.sendMessage({
+              userId,
+              address,
+              uploadId: message.uploadId,
+              content: message.content,
+              roomId: message.roomId
+            });
+          }
+          break;
+          
+        case 'DELIVERED':
+        case 'READ':
+          if (!checkSender(ws, message, userId, address)) {
+            break;
           }
+          
+          // Confirmación de recepción o lectura de un mensaje
+          await rmiMiddleware.recordReceipt(userId, message.messageId, message.type);
+          break;
+          
+        case 'EDIT':
+        case 'DELETE':
+          if (!checkSender(ws, message, userId, address)) {
+            break;
+          }
+          
+          // Edición o eliminación de un mensaje enviado (autor o moderador)
+          if (message.type === 'EDIT') {
+            await rmiMiddleware.editMessage(userId, message.messageId, message.content);
+          } else {
+            await rmiMiddleware.deleteMessage(userId, message.messageId);
+          }
+          break;
+          
+        case 'REACTION_ADD':
+        case 'REACTION_REMOVE':
+          if (!checkSender(ws, message, userId, address)) {
+            break;
+          }
+          
+          // Reacción a un mensaje (llega a todos los que lo ven con el nuevo recuento)
+          if (message.type === 'REACTION_ADD') {
+            await rmiMiddleware.addReaction(userId, message.messageId, message.emoji, address);
+          } else {
+            await rmiMiddleware.removeReaction(userId, message.messageId, message.emoji, address);
+          }
+          break;
+          
+        case 'HISTORY_REQUEST':
+          if (!checkSender(ws, message, userId, address)) {
+            break;
+          }
+          
+          // Página anterior (o siguiente) del historial de una sala
+          await sendHistoryPage(ws, userId, message);
+          break;
+          
+        case 'TYPING_START':
+        case 'TYPING_STOP':
+          if (!checkSender(ws, message, userId, address)) {
+            break;
+          }
+          
+          await handleTyping(userId, message);
+          break;
+          
+        case 'PING':
+          // Latido del navegador: responder para que sepa que el servidor sigue vivo
+          ws.send(rmiMiddleware.messageToXml({
+            userId: 'system',
+            username: 'Sistema',
+            content: '',
+            timestamp: new Date().toISOString(),
+            type: 'PONG'
+          }));
           break;
           
         case 'LOGOUT':
           // Procesar cierre de sesión explícito
           if (userId) {
+            stopTyping(userId);
             await rmiMiddleware.disconnectUser(userId);
             activeConnections.delete(userId);
             userId = null;
@@ -129,6 +350,12 @@ function handleConnection(ws) {
           console.warn(`Tipo de mensaje no manejado: ${message.type}`);
       }
     } catch (error) {
+      // Errores previstos (permisos, límites de frecuencia...): rechazar el mensaje
+      if (error instanceof RmiError) {
+        rejectFrame(ws, error);
+        return;
+      }
+      
       console.error('Error al procesar mensaje WebSocket:', error);
       // Enviar mensaje de error al cliente
       ws.send(rmiMiddleware.messageToXml({
@@ -141,24 +368,48 @@ function handleConnection(ws) {
     }
   });
   
+  // Respuesta al ping del servidor: la conexión sigue viva. Se anota en
+  // lastSeen y no en lastActive, que mide la actividad del usuario para el
+  // estado "ausente" (ver PASSIVE_FRAME_TYPES)
+  ws.on('pong', () => {
+    clearTimeout(pendingPongs.get(ws));
+    pendingPongs.delete(ws);
+    if (userId) {
+      rmiMiddleware.updateLiveness(userId);
+    }
+  });
+  
   // Manejar desconexiones
   ws.on('close', async () => {
-    if (userId) {
-      console.log(`WebSocket cerrado para usuario ${userId}`);
-      
-      // Eliminar conexión
-      activeConnections.delete(userId);
+    clearTimeout(pendingPongs.get(ws));
+    pendingPongs.delete(ws);
+    
+    // Un fallo aquí (p.ej. al escribir en el almacenamiento) no debe tumbar el servidor
+    try {
+      // Si el usuario ya se reconectó con otro socket, su sesión sigue activa
+      if (userId && activeConnections.get(userId) === ws) {
+        console.log(`WebSocket cerrado para usuario ${userId}`);
+        
+        // Eliminar conexión
+        activeConnections.delete(userId);
+        stopTyping(userId);
+        
+        if (reconnectGrace > 0) {
+          // Conservar la sesión por si se trata de un corte breve
+          startReconnectGrace(userId);
+        } else {
+          // Notificar desconexión del usuario
+          await rmiMiddleware.disconnectUser(userId);
+        }
+      }
       
-      // Notificar desconexión del usuario
-      await rmiMiddleware.disconnectUser(userId);
+      await sendUserListUpdate();
+      await sendRoomListUpdate();
+    } catch (error) {
+      console.error(`Error al cerrar la conexión del usuario ${userId}:`, error);
     }
-	
-	sendUserListUpdate();
-	
   });
   
-
-  
   // Manejar errores
   ws.on('error', (error) => {
     console.error('Error en WebSocket:', error);
@@ -166,76 +417,473 @@ function handleConnection(ws) {
 }
 
 /**
- * Maneja el registro de un usuario a través de WebSocket
+ * Registra el fallo de un envío de listas lanzado desde un evento, donde
+ * nadie espera la promesa
+ * @param {Error} error - Error producido
+ */
+function logListError(error) {
+  console.error('Error al enviar las listas de usuarios y salas:', error);
+}
+
+/**
+ * Valida un mensaje entrante contra el esquema XML.
+ * Si no es válido responde con un <fault> que indica el elemento que falla
+ * (con el callId de la invocación, si lo era).
  * @param {WebSocket} ws - Conexión WebSocket
- * @param {Object} message - Mensaje de registro
+ * @param {string} xml - Mensaje recibido
+ * @returns {boolean} - true si el mensaje es válido
  */
-async function handleJoin(ws, message) {
-  // Si el mensaje ya tiene userId, es un reconexión
-  if (message.userId && message.userId !== 'system') {
-    // Verificar si el usuario existe
-    const users = await rmiMiddleware.getUsers();
-    const userExists = users.some(user => user.userId === message.userId);
-    
-    if (!userExists) {
-      // Registrar de nuevo
-      const result = await rmiMiddleware.registerUser(message.username);
-      message.userId = result.userId;
-    }
-  } else {
-    // Verificar si el nombre de usuario ya existe
-    const users = await rmiMiddleware.getUsers();
-    const usernameExists = users.some(user => 
-      user.username.toLowerCase() === message.username.toLowerCase()
+function validateFrame(ws, xml) {
+  if (!schemaValidator) {
+    return true;
+  }
+  
+  const { valid, errors } = schemaValidator.validate(xml);
+  if (valid) {
+    return true;
+  }
+  
+  const [firstError] = errors;
+  const callIdMatch = /^\s*(?:<\?xml[^>]*\?>\s*)?<invoke\b[^>]*\bcallId="([^"]*)"/.exec(xml);
+  const error = new RmiError(
+    ErrorCode.INVALID_MESSAGE,
+    `Mensaje no válido: ${firstError.message}`,
+    { element: firstError.element }
+  );
+  
+  console.warn(`Mensaje rechazado (${firstError.element || 'documento'}): ${firstError.message}`);
+  ws.send(rmiRegistry.faultToXml(callIdMatch ? callIdMatch[1] : null, error));
+  return false;
+}
+
+/**
+ * Comprueba que el remitente que declara un mensaje es el usuario autenticado
+ * de la conexión. Si no lo es, rechaza el mensaje y registra el intento.
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {Object} message - Mensaje recibido
+ * @param {string} userId - ID del usuario de la conexión (null si no se ha unido)
+ * @param {string} address - Dirección remota de la conexión
+ * @returns {boolean} - true si el mensaje puede procesarse
+ */
+function checkSender(ws, message, userId, address) {
+  if (!userId) {
+    rejectFrame(ws, new RmiError(ErrorCode.UNAUTHENTICATED, 'Debes unirte al chat antes de enviar mensajes'));
+    return false;
+  }
+  
+  if (message.userId !== userId) {
+    console.warn(
+      `Intento de suplantación desde ${address}: la conexión de ${userId} ` +
+      `envió un mensaje ${message.type} como ${message.userId}`
     );
-    
-    if (usernameExists) {
-      // Enviar error si el nombre ya existe
-      const errorResponse = rmiMiddleware.messageToXml({
-        userId: 'system',
-        username: 'Sistema',
-        content: 'Error: El nombre de usuario ya está en uso',
-        timestamp: new Date().toISOString(),
-        type: 'ERROR'
-      });
-      ws.send(errorResponse);
-      return;
+    rejectFrame(ws, new RmiError(ErrorCode.FORBIDDEN, 'El remitente del mensaje no coincide con tu sesión'));
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Responde a un mensaje rechazado con un <fault> sin callId
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {RmiError} error - Motivo del rechazo
+ */
+function rejectFrame(ws, error) {
+  ws.send(rmiRegistry.faultToXml(null, error));
+}
+
+/**
+ * Maneja la unión de un usuario a través de WebSocket.
+ * La identidad sale del token de sesión, nunca del userId del mensaje.
+ * Las cuentas o IPs bloqueadas reciben un ERROR con el motivo.
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {Object} message - Mensaje JOIN con el token de sesión
+ * @param {string} address - IP de origen de la conexión
+ * @returns {Promise<string|null>} - ID del usuario unido (null si se rechazó)
+ * @throws {RmiError} - RATE_LIMITED si hay demasiados intentos seguidos
+ */
+async function handleJoin(ws, message, address) {
+  // Limitar los intentos por IP antes de comprobar el token
+  rmiMiddleware.checkRateLimit('joins', null, address);
+  
+  let account;
+  try {
+    account = await rmiMiddleware.authenticate(message.token);
+    rmiMiddleware.checkBan(account.userId, address);
+  } catch (error) {
+    if (!(error instanceof RmiError)) {
+      throw error;
     }
     
-    // Nuevo registro
-    const result = await rmiMiddleware.registerUser(message.username);
-    message.userId = result.userId;
+    // Enviar error si el token falta, está alterado o ha caducado, o si la
+    // cuenta está bloqueada
+    ws.send(rmiMiddleware.messageToXml({
+      userId: 'system',
+      username: 'Sistema',
+      content: `Error: ${error.message}`,
+      timestamp: new Date().toISOString(),
+      type: 'ERROR'
+    }));
+    return null;
   }
   
-  // Almacenar conexión
-  activeConnections.set(message.userId, ws);
+  rmiMiddleware.checkRateLimit('joins', account.userId, null);
+  
+  // Dentro del periodo de gracia la sesión se reanuda sin anunciar la entrada
+  const resumed = resumeSession(account.userId);
+  await rmiMiddleware.connectUser(account.userId, address);
+  
+  // Almacenar conexión (sustituye a una conexión anterior del mismo usuario)
+  activeConnections.set(account.userId, ws);
   
   // Enviar confirmación al cliente
-  const joinResponse = rmiMiddleware.messageToXml({
+  const joinResponse = {
     userId: 'system',
     username: 'Sistema',
-    content: 'Conexión establecida',
+    content: resumed ? 'Sesión reanudada' : 'Conexión establecida',
     timestamp: new Date().toISOString(),
     type: 'JOIN',
     // Incluir ID del usuario para que el cliente lo guarde
-    clientId: message.userId
+    clientId: account.userId,
+    // Nombre de la cuenta, por si el cliente reanuda la sesión solo con el token
+    targetUsername: account.username
+  };
+  if (resumed) {
+    joinResponse.status = 'resumed';
+  }
+  ws.send(rmiMiddleware.messageToXml(joinResponse));
+  
+  if (resumed) {
+    // Enviar solo lo que se perdió durante el corte
+    if (message.since) {
+      const missed = await rmiMiddleware.getMissedMessages(account.userId, message.since);
+      for (const msg of missed) {
+        ws.send(rmiMiddleware.messageToXml(msg));
+      }
+      await sendReceipts(ws, account.userId, missed);
+    }
+    
+    // Menciones recibidas durante el corte
+    for (const msg of await rmiMiddleware.takeQueuedMessages(account.userId)) {
+      ws.send(rmiMiddleware.messageToXml(msg));
+    }
+  } else {
+    await sendInitialMessages(ws, account.userId);
+  }
+  
+  // Enviar listas actualizadas de usuarios y salas a todos
+  await sendUserListUpdate();
+  await sendRoomListUpdate();
+  
+  return account.userId;
+}
+
+/**
+ * Envía a un usuario que acaba de unirse el historial de la sala por defecto
+ * y los mensajes privados y menciones que recibió mientras estaba desconectado
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {string} userId - ID del usuario
+ */
+async function sendInitialMessages(ws, userId) {
+  // Mensajes privados y menciones recibidos mientras estaba desconectado
+  const queued = await rmiMiddleware.takeQueuedMessages(userId);
+  
+  // Enviar historial reciente de la sala por defecto (sin los mensajes en cola,
+  // que se entregan a continuación en su orden; una mención no sustituye a
+  // su mensaje en el historial)
+  const queuedIds = new Set(queued.filter(msg => msg.type !== 'MENTION').map(msg => msg.messageId));
+  await sendRoomHistory(ws, userId, rmiMiddleware.DEFAULT_ROOM, queuedIds);
+  
+  for (const msg of queued) {
+    ws.send(rmiMiddleware.messageToXml(msg));
+  }
+}
+
+/**
+ * Envía un ping periódico a cada conexión y cierra las que no responden a
+ * tiempo. El cierre sigue el camino normal de desconexión (evento close).
+ * @param {WebSocket.Server} wss - Servidor WebSocket
+ * @param {number} interval - Milisegundos entre pings
+ * @param {number} timeout - Milisegundos de espera del pong (0 = no cerrar nunca)
+ */
+function startHeartbeat(wss, interval, timeout) {
+  const timer = setInterval(() => {
+    for (const ws of wss.clients) {
+      // Un ping anterior sigue esperando respuesta
+      if (ws.readyState !== ws.OPEN || pendingPongs.has(ws)) {
+        continue;
+      }
+      
+      // Sin tiempo de espera el ping solo renueva la señal de vida
+      if (timeout > 0) {
+        pendingPongs.set(ws, setTimeout(() => {
+          pendingPongs.delete(ws);
+          console.warn('Conexión WebSocket sin respuesta al ping: se cierra');
+          ws.terminate();
+        }, timeout));
+      }
+      ws.ping();
+    }
+  }, interval);
+  
+  wss.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Procesa un TYPING_START o TYPING_STOP. Un TYPING_START se reenvía solo
+ * cuando el usuario empieza a escribir o cambia de conversación; los
+ * siguientes únicamente renuevan su caducidad.
+ * @param {string} userId - ID del usuario que escribe
+ * @param {Object} message - Frame recibido (roomId o targetUserId)
+ */
+async function handleTyping(userId, message) {
+  if (message.type === 'TYPING_STOP') {
+    stopTyping(userId);
+    return;
+  }
+  
+  const user = rmiMiddleware.getConnectedUser(userId);
+  if (!user) {
+    return;
+  }
+  
+  const frame = {
+    userId,
+    username: user.username,
+    content: '',
+    timestamp: new Date().toISOString(),
+    type: 'TYPING_START'
+  };
+  
+  if (message.targetUserId) {
+    // Conversación privada: solo lo ve el destinatario, que debe estar
+    // conectado (todos los conectados comparten la sala general)
+    if (message.targetUserId === userId || !rmiMiddleware.getConnectedUser(message.targetUserId)) {
+      throw new RmiError(ErrorCode.NOT_FOUND, 'Usuario destinatario no encontrado');
+    }
+    frame.targetUserId = message.targetUserId;
+  } else {
+    const roomId = message.roomId || rmiMiddleware.DEFAULT_ROOM;
+    const members = await rmiMiddleware.getRoomMembers(roomId);
+    if (!members.includes(userId)) {
+      throw new RmiError(ErrorCode.FORBIDDEN, 'No perteneces a esta sala');
+    }
+    frame.roomId = roomId;
+  }
+  
+  const previous = typingStates.get(userId);
+  const sameConversation = Boolean(previous) &&
+    previous.frame.targetUserId === frame.targetUserId &&
+    previous.frame.roomId === frame.roomId;
+  
+  if (previous && !sameConversation) {
+    // El aviso de la conversación anterior debe llegar antes que el nuevo
+    await stopTyping(userId);
+  } else if (previous) {
+    clearTimeout(previous.timer);
+  }
+  
+  if (!sameConversation) {
+    await routeTyping(frame);
+  }
+  
+  typingStates.set(userId, {
+    frame,
+    timer: setTimeout(() => stopTyping(userId), typingTimeout)
   });
-  ws.send(joinResponse);
+}
+
+/**
+ * Da por terminado el indicador de escritura de un usuario (si lo tenía)
+ * y avisa a quienes lo estaban viendo
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<void>}
+ */
+async function stopTyping(userId) {
+  const state = typingStates.get(userId);
+  if (!state) {
+    return;
+  }
+  
+  clearTimeout(state.timer);
+  typingStates.delete(userId);
+  
+  await routeTyping({
+    ...state.frame,
+    timestamp: new Date().toISOString(),
+    type: 'TYPING_STOP'
+  });
+}
+
+/**
+ * Envía un frame de escritura a la sala o, si es privado, solo al destinatario
+ * @param {Object} frame - Frame TYPING_START o TYPING_STOP
+ * @returns {Promise<void>}
+ */
+async function routeTyping(frame) {
+  const xmlMessage = rmiMiddleware.messageToXml(frame);
+  
+  if (frame.targetUserId) {
+    const targetWs = activeConnections.get(frame.targetUserId);
+    if (targetWs && targetWs.readyState === targetWs.OPEN) {
+      targetWs.send(xmlMessage);
+    }
+  } else {
+    await broadcastToRoom(xmlMessage, frame.roomId);
+  }
+}
+
+/**
+ * Inicia el periodo de gracia de un usuario cuya conexión se cortó.
+ * Mientras dura aparece como "reconectando"; si no vuelve, se desconecta.
+ * @param {string} userId - ID del usuario
+ */
+function startReconnectGrace(userId) {
+  rmiMiddleware.setReconnecting(userId, true);
+  
+  const timer = setTimeout(async () => {
+    reconnectTimers.delete(userId);
+    
+    try {
+      await rmiMiddleware.disconnectUser(userId);
+      await sendUserListUpdate();
+      await sendRoomListUpdate();
+    } catch (error) {
+      console.error(`Error al desconectar al usuario ${userId}:`, error);
+    }
+  }, reconnectGrace);
+  
+  reconnectTimers.set(userId, timer);
+}
+
+/**
+ * Cancela el periodo de gracia de un usuario que se ha vuelto a conectar
+ * @param {string} userId - ID del usuario
+ * @returns {boolean} - true si la sesión anterior seguía activa y se reanuda
+ */
+function resumeSession(userId) {
+  const timer = reconnectTimers.get(userId);
+  if (!timer) {
+    return false;
+  }
   
-  // Enviar historial reciente de mensajes
-  const history = await rmiMiddleware.getMessageHistory();
+  clearTimeout(timer);
+  reconnectTimers.delete(userId);
+  return rmiMiddleware.setReconnecting(userId, false);
+}
+
+/**
+ * Envía a un cliente el historial reciente de una sala
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {string} userId - ID del usuario que recibe el historial
+ * @param {string} roomId - ID de la sala
+ * @param {Set<string>} excludeIds - IDs de mensajes que no deben enviarse
+ */
+async function sendRoomHistory(ws, userId, roomId, excludeIds = new Set()) {
+  // Sin los mensajes privados que no son para este usuario
+  const history = await rmiMiddleware.getMessageHistory(HISTORY_PAGE_SIZE, roomId, { userId });
+  const sent = [];
   for (const msg of history) {
-    // No enviar mensajes privados que no son para este usuario
-    if (msg.type === 'PRIVATE' && 
-        msg.targetUserId !== message.userId && 
-        msg.userId !== message.userId) {
+    if (excludeIds.has(msg.messageId)) {
       continue;
     }
     ws.send(rmiMiddleware.messageToXml(msg));
+    sent.push(msg);
   }
   
-  // Enviar lista actualizada de usuarios a todos
-  sendUserListUpdate();
+  await sendReceipts(ws, userId, sent);
+}
+
+/**
+ * Responde a un HISTORY_REQUEST con una página del historial de la sala en
+ * un único frame HISTORY_RESPONSE (JSON en content), para que el cliente
+ * pueda distinguirla de los mensajes nuevos
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {string} userId - ID del usuario que lo pide
+ * @param {Object} request - Frame con roomId, before o after y limit (opcionales)
+ */
+async function sendHistoryPage(ws, userId, request) {
+  const roomId = request.roomId || rmiMiddleware.DEFAULT_ROOM;
+  const limit = request.limit !== undefined ? Number(request.limit) : HISTORY_PAGE_SIZE;
+  const cursor = { before: request.before, after: request.after, userId };
+  
+  const messages = await rmiMiddleware.getMessageHistory(limit, roomId, cursor);
+  
+  // Comprobar si quedan mensajes más allá de la página en la misma dirección
+  let hasMore = false;
+  if (messages.length > 0) {
+    const edge = request.after
+      ? { after: messages[messages.length - 1].messageId, userId }
+      : { before: messages[0].messageId, userId };
+    hasMore = (await rmiMiddleware.getMessageHistory(1, roomId, edge)).length > 0;
+  }
+  
+  const ownIds = messages.filter(msg => msg.userId === userId).map(msg => msg.messageId);
+  const receipts = await rmiMiddleware.getReceipts(userId, ownIds);
+  
+  ws.send(rmiMiddleware.messageToXml({
+    userId: 'system',
+    username: 'Sistema',
+    content: JSON.stringify({ roomId, before: request.before, after: request.after, messages, receipts, hasMore }),
+    timestamp: new Date().toISOString(),
+    type: 'HISTORY_RESPONSE',
+    roomId
+  }));
+}
+
+/**
+ * Envía al autor las confirmaciones ya registradas de sus mensajes
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {string} userId - ID del usuario
+ * @param {Array} messages - Mensajes que acaba de recibir
+ */
+async function sendReceipts(ws, userId, messages) {
+  const ownIds = messages
+    .filter(msg => msg.userId === userId)
+    .map(msg => msg.messageId);
+  
+  const receipts = await rmiMiddleware.getReceipts(userId, ownIds);
+  for (const receipt of receipts) {
+    ws.send(receiptToXml(receipt));
+  }
+}
+
+/**
+ * Convierte una confirmación en un frame DELIVERED o READ para el autor
+ * @param {Object} receipt - Confirmación ({messageId, userId, username, state, timestamp})
+ * @returns {string} - Mensaje en formato XML
+ */
+function receiptToXml(receipt) {
+  return rmiMiddleware.messageToXml({
+    messageId: receipt.messageId,
+    userId: receipt.userId,
+    username: receipt.username,
+    content: '',
+    timestamp: receipt.timestamp,
+    type: receipt.state
+  });
+}
+
+/**
+ * Ejecuta una invocación remota y responde con <result> o <fault>
+ * @param {WebSocket} ws - Conexión WebSocket
+ * @param {Object} invocation - Contenido del elemento invoke
+ * @param {string} userId - ID del usuario de la conexión (null si no se ha unido)
+ * @param {string} address - IP de origen de la conexión
+ */
+async function handleInvoke(ws, invocation, userId, address) {
+  const { method, callId } = invocation.$ || {};
+  
+  try {
+    const args = rmiRegistry.parseArguments(invocation);
+    const value = await rmiRegistry.invoke(method, args, { userId, address });
+    ws.send(rmiRegistry.resultToXml(callId, value));
+  } catch (error) {
+    if (!(error instanceof RmiError)) {
+      console.error(`Error al invocar ${method}:`, error);
+    }
+    ws.send(rmiRegistry.faultToXml(callId, error));
+  }
 }
 
 /**
@@ -250,6 +898,21 @@ function broadcastMessage(xmlMessage) {
   }
 }
 
+/**
+ * Envía un mensaje solo a los miembros conectados de una sala
+ * @param {string} xmlMessage - Mensaje en formato XML
+ * @param {string} roomId - ID de la sala
+ */
+async function broadcastToRoom(xmlMessage, roomId) {
+  const members = await rmiMiddleware.getRoomMembers(roomId || rmiMiddleware.DEFAULT_ROOM);
+  for (const memberId of members) {
+    const ws = activeConnections.get(memberId);
+    if (ws && ws.readyState === ws.OPEN) {
+      ws.send(xmlMessage);
+    }
+  }
+}
+
 /**
  * Envía un mensaje privado a un usuario específico
  * @param {string} xmlMessage - Mensaje en formato XML
@@ -257,41 +920,16 @@ function broadcastMessage(xmlMessage) {
  * @param {string} senderUserId - ID del usuario remitente
  */
 function sendPrivateMessage(xmlMessage, targetUserId, senderUserId) {
-  // Enviar al destinatario
+  // Enviar al destinatario (si no está conectado, el mensaje ya está en su cola)
   const targetWs = activeConnections.get(targetUserId);
   if (targetWs && targetWs.readyState === targetWs.OPEN) {
     targetWs.send(xmlMessage);
-	// Enviar una copia al remitente (para que vea lo que envió)
-    const senderWs = activeConnections.get(senderUserId);
-    if (senderWs && senderWs.readyState === senderWs.OPEN && senderUserId !== targetUserId) {
-      senderWs.send(xmlMessage);
-    }
-  } else {
-    // El usuario destinatario no está conectado
-    const senderWs = activeConnections.get(senderUserId);
-    if (senderWs && senderWs.readyState === senderWs.OPEN) {
-      // Enviar mensaje de error al remitente
-      const errorMessage = {
-        userId: 'system',
-        username: 'Sistema',
-        content: 'El usuario destinatario no está conectado. Los mensajes nuevos se enviarán a todos los usuarios.',
-        timestamp: new Date().toISOString(),
-        type: 'ERROR'
-      };
-      
-      senderWs.send(rmiMiddleware.messageToXml(errorMessage));
-      
-      // Cambiar automáticamente al modo broadcast para este usuario en el cliente
-      const resetRecipientMessage = {
-        userId: 'system',
-        username: 'Sistema',
-        content: 'RESET_RECIPIENT', // Comando especial para resetear el destinatario
-        timestamp: new Date().toISOString(),
-        type: 'SYSTEM_COMMAND'
-      };
-      
-      senderWs.send(rmiMiddleware.messageToXml(resetRecipientMessage));
-    }
+  }
+  
+  // Enviar una copia al remitente (para que vea lo que envió y su estado)
+  const senderWs = activeConnections.get(senderUserId);
+  if (senderWs && senderWs.readyState === senderWs.OPEN && senderUserId !== targetUserId) {
+    senderWs.send(xmlMessage);
   }
 }
 
@@ -315,8 +953,30 @@ async function sendUserListUpdate() {
   broadcastMessage(xmlMessage);
 }
 
+/**
+ * Envía la lista actualizada de salas a todos los clientes
+ */
+async function sendRoomListUpdate() {
+  const rooms = await rmiMiddleware.getRooms();
+  
+  // Construir mensaje con la lista de salas
+  const roomListMessage = {
+    userId: 'system',
+    username: 'Sistema',
+    content: JSON.stringify(rooms), // Empaquetar salas en el contenido
+    timestamp: new Date().toISOString(),
+    type: 'ROOM_LIST'
+  };
+  
+  // Convertir a XML y enviar
+  const xmlMessage = rmiMiddleware.messageToXml(roomListMessage);
+  broadcastMessage(xmlMessage);
+}
+
 module.exports = {
   initialize,
   broadcastMessage,
-  sendUserListUpdate
+  broadcastToRoom,
+  sendUserListUpdate,
+  sendRoomListUpdate
 };
@@ -0,0 +1,555 @@
+/**
+ * Adaptadores de almacenamiento para el chat.
+ * Define la interfaz común y sus implementaciones en memoria y en archivo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SearchIndex } = require('./search_index');
+
+// Tamaño del diario a partir del cual se compacta si no se configura otro
+const DEFAULT_COMPACT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Interfaz de almacenamiento. Todas las operaciones son asíncronas para
+ * permitir implementaciones respaldadas por disco o base de datos.
+ */
+class StorageAdapter {
+  /**
+   * Prepara el almacenamiento (abrir archivos, cargar datos, etc.)
+   * @returns {Promise<void>}
+   */
+  async load() {}
+
+  /**
+   * Guarda un mensaje
+   * @param {Object} message - Mensaje a guardar
+   * @returns {Promise<void>}
+   */
+  async saveMessage(message) {
+    throw new Error('saveMessage no implementado');
+  }
+
+  /**
+   * Obtiene los mensajes más recientes de una sala
+   * @param {Object} options - Opciones de consulta
+   * @param {string} options.roomId - ID de la sala (si falta, todas las salas)
+   * @param {number} options.limit - Número máximo de mensajes (si falta, sin límite)
+   * @param {string} options.after - Solo mensajes posteriores a esta marca de tiempo ISO
+   * @returns {Promise<Array>} - Mensajes en orden cronológico
+   */
+  async getMessages(options) {
+    throw new Error('getMessages no implementado');
+  }
+
+  /**
+   * Obtiene un mensaje por su ID
+   * @param {string} messageId - ID del mensaje
+   * @returns {Promise<Object|null>} - Mensaje o null
+   */
+  async getMessage(messageId) {
+    throw new Error('getMessage no implementado');
+  }
+
+  /**
+   * Obtiene las respuestas a un mensaje
+   * @param {string} messageId - ID del mensaje respondido
+   * @returns {Promise<Array>} - Respuestas en orden cronológico
+   */
+  async getReplies(messageId) {
+    throw new Error('getReplies no implementado');
+  }
+
+  /**
+   * Busca mensajes por texto y otros filtros
+   * @param {Object} options - Filtros de la búsqueda (todos opcionales)
+   * @param {string} options.query - Palabras que debe contener el mensaje
+   * @param {string} options.roomId - ID de la sala
+   * @param {string} options.authorId - ID del autor
+   * @param {Array<string>} options.types - Tipos de mensaje admitidos
+   * @param {string} options.from - Solo mensajes desde esta marca de tiempo ISO
+   * @param {string} options.to - Solo mensajes hasta esta marca de tiempo ISO
+   * @returns {Promise<Array>} - Mensajes en orden cronológico
+   */
+  async searchMessages(options) {
+    throw new Error('searchMessages no implementado');
+  }
+
+  /**
+   * Actualiza campos de un mensaje guardado
+   * @param {string} messageId - ID del mensaje
+   * @param {Object} changes - Campos a modificar
+   * @returns {Promise<Object|null>} - Mensaje actualizado o null si no existe
+   */
+  async updateMessage(messageId, changes) {
+    throw new Error('updateMessage no implementado');
+  }
+
+  /**
+   * Guarda la confirmación de entrega o lectura de un usuario en un mensaje,
+   * sustituyendo la anterior del mismo usuario
+   * @param {string} messageId - ID del mensaje
+   * @param {Object} receipt - Confirmación ({userId, username, state, timestamp})
+   * @returns {Promise<Object|null>} - Mensaje actualizado o null si no existe
+   */
+  async saveReceipt(messageId, receipt) {
+    throw new Error('saveReceipt no implementado');
+  }
+
+  /**
+   * Guarda (o actualiza) un usuario
+   * @param {Object} user - Usuario a guardar
+   * @returns {Promise<void>}
+   */
+  async saveUser(user) {
+    throw new Error('saveUser no implementado');
+  }
+
+  /**
+   * Obtiene un usuario por su ID
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} - Usuario o null
+   */
+  async getUser(userId) {
+    throw new Error('getUser no implementado');
+  }
+
+  /**
+   * Obtiene todos los usuarios conocidos
+   * @returns {Promise<Array>} - Lista de usuarios
+   */
+  async getAllUsers() {
+    throw new Error('getAllUsers no implementado');
+  }
+
+  /**
+   * Guarda (o actualiza) una sala
+   * @param {Object} room - Sala a guardar (sin miembros)
+   * @returns {Promise<void>}
+   */
+  async saveRoom(room) {
+    throw new Error('saveRoom no implementado');
+  }
+
+  /**
+   * Obtiene todas las salas guardadas
+   * @returns {Promise<Array>} - Lista de salas
+   */
+  async getRooms() {
+    throw new Error('getRooms no implementado');
+  }
+
+  /**
+   * Añade un mensaje a la cola de entrega de un usuario desconectado
+   * @param {string} userId - ID del destinatario
+   * @param {Object} message - Mensaje pendiente de entregar
+   * @returns {Promise<void>}
+   */
+  async queueMessage(userId, message) {
+    throw new Error('queueMessage no implementado');
+  }
+
+  /**
+   * Obtiene y vacía la cola de entrega de un usuario
+   * @param {string} userId - ID del destinatario
+   * @returns {Promise<Array>} - Mensajes pendientes en el orden en que se enviaron
+   */
+  async takeQueuedMessages(userId) {
+    throw new Error('takeQueuedMessages no implementado');
+  }
+}
+
+/**
+ * Almacenamiento en memoria. Los datos se pierden al reiniciar el servidor.
+ */
+class MemoryStorage extends StorageAdapter {
+  /**
+   * @param {Object} options - Opciones del almacenamiento
+   * @param {number} options.maxHistory - Máximo de mensajes a conservar (0 = sin límite)
+   */
+  constructor(options = {}) {
+    super();
+    this.maxHistory = options.maxHistory || 0;
+    // messageId -> mensaje; el Map conserva el orden de llegada, y reemplazar
+    // un mensaje (edición, confirmación) no le cambia la posición
+    this.messages = new Map();
+    this.index = new SearchIndex(); // Términos del contenido de los mensajes
+    this.users = new Map(); // userId -> usuario
+    this.rooms = new Map(); // roomId -> sala
+    this.queues = new Map(); // userId -> mensajes pendientes de entregar
+  }
+
+  async saveMessage(message) {
+    this.messages.set(message.messageId, { ...message });
+    this.index.add(message.messageId, searchableText(message));
+
+    // Mantener tamaño máximo del historial
+    if (this.maxHistory && this.messages.size > this.maxHistory) {
+      const oldestId = this.messages.keys().next().value;
+      this.messages.delete(oldestId);
+      this.index.remove(oldestId);
+    }
+  }
+
+  async getMessages({ roomId, limit, after }) {
+    const roomMessages = this._allMessages().filter(msg =>
+      (!roomId || msg.roomId === roomId) && (!after || msg.timestamp > after)
+    );
+    const count = limit ? Math.min(limit, roomMessages.length) : roomMessages.length;
+    return roomMessages.slice(roomMessages.length - count);
+  }
+
+  async getMessage(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+
+  async getReplies(messageId) {
+    return this._allMessages().filter(msg => msg.replyTo === messageId);
+  }
+
+  async searchMessages({ query, roomId, authorId, types, from, to }) {
+    const ids = this.index.search(query);
+
+    return this._allMessages().filter(msg =>
+      (!ids || ids.has(msg.messageId)) &&
+      (!roomId || msg.roomId === roomId) &&
+      (!authorId || msg.userId === authorId) &&
+      (!types || types.includes(msg.type)) &&
+      (!from || msg.timestamp >= from) &&
+      (!to || msg.timestamp <= to)
+    );
+  }
+
+  async updateMessage(messageId, changes) {
+    const current = this.messages.get(messageId);
+    if (!current) {
+      return null;
+    }
+
+    const message = { ...current, ...changes };
+    this.messages.set(messageId, message);
+
+    // Una edición cambia los términos; un borrado los quita
+    this.index.add(messageId, searchableText(message));
+    return message;
+  }
+
+  async saveReceipt(messageId, receipt) {
+    const current = this.messages.get(messageId);
+    if (!current) {
+      return null;
+    }
+
+    const receipts = (current.receipts || []).filter(r => r.userId !== receipt.userId);
+    const message = { ...current, receipts: [...receipts, receipt] };
+    this.messages.set(messageId, message);
+    return message;
+  }
+
+  async saveUser(user) {
+    const existing = this.users.get(user.userId) || {};
+    this.users.set(user.userId, { ...existing, ...user });
+  }
+
+  async getUser(userId) {
+    return this.users.get(userId) || null;
+  }
+
+  async getAllUsers() {
+    return Array.from(this.users.values());
+  }
+
+  async saveRoom(room) {
+    this.rooms.set(room.roomId, { ...room });
+  }
+
+  async getRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  async queueMessage(userId, message) {
+    const queue = this.queues.get(userId) || [];
+    queue.push({ ...message });
+    this.queues.set(userId, queue);
+  }
+
+  async takeQueuedMessages(userId) {
+    const queue = this.queues.get(userId) || [];
+    this.queues.delete(userId);
+    return queue;
+  }
+
+  /**
+   * Mensajes guardados en el orden en que llegaron
+   * @returns {Array}
+   * @private
+   */
+  _allMessages() {
+    return Array.from(this.messages.values());
+  }
+}
+
+/**
+ * Almacenamiento en archivo. Cada cambio se añade como una línea JSON a un
+ * diario (journal) que se vuelve a aplicar al arrancar el servidor. Cuando el
+ * diario supera un tamaño se reescribe con solo el estado actual.
+ */
+class FileStorage extends MemoryStorage {
+  /**
+   * @param {Object} options - Opciones del almacenamiento
+   * @param {string} options.dataDir - Directorio donde se guarda el diario
+   * @param {number} options.compactSize - Tamaño en bytes a partir del cual se compacta el diario
+   */
+  constructor(options = {}) {
+    // El diario conserva el historial completo
+    super({ maxHistory: 0 });
+    this.journalPath = path.join(options.dataDir, 'journal.jsonl');
+    this.compactSize = options.compactSize || DEFAULT_COMPACT_SIZE;
+
+    // Cola para que las escrituras lleguen al disco en orden
+    this.writeQueue = Promise.resolve();
+
+    // Bytes del diario (incluidas las escrituras aún en cola) y umbral de la próxima compactación
+    this.journalSize = 0;
+    this.compactAt = this.compactSize;
+    this.compacting = false;
+  }
+
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.journalPath), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const count = await replayJournal(this, content);
+    this.journalSize = Buffer.byteLength(content, 'utf8');
+
+    console.log(`Almacenamiento cargado desde ${this.journalPath} (${count} entradas)`);
+    this._scheduleCompaction();
+  }
+
+  async saveMessage(message) {
+    await super.saveMessage(message);
+    await this._append('message', message);
+  }
+
+  async updateMessage(messageId, changes) {
+    const message = await super.updateMessage(messageId, changes);
+    if (message) {
+      await this._append('message-update', { messageId, changes });
+    }
+    return message;
+  }
+
+  async saveReceipt(messageId, receipt) {
+    const message = await super.saveReceipt(messageId, receipt);
+    // Solo la confirmación nueva: el diario no repite la lista completa en cada una
+    if (message) {
+      await this._append('receipt', { messageId, receipt });
+    }
+    return message;
+  }
+
+  async saveUser(user) {
+    await super.saveUser(user);
+    await this._append('user', user);
+  }
+
+  async saveRoom(room) {
+    await super.saveRoom(room);
+    await this._append('room', room);
+  }
+
+  async queueMessage(userId, message) {
+    await super.queueMessage(userId, message);
+    await this._append('queue', { userId, message });
+  }
+
+  async takeQueuedMessages(userId) {
+    const queue = await super.takeQueuedMessages(userId);
+    if (queue.length) {
+      await this._append('dequeue', { userId });
+    }
+    return queue;
+  }
+
+  /**
+   * Añade una entrada al final del diario
+   * @param {string} op - Tipo de operación
+   * @param {Object} data - Datos de la operación
+   * @returns {Promise<void>}
+   * @private
+   */
+  _append(op, data) {
+    const line = JSON.stringify({ op, data }) + '\n';
+    const write = this.writeQueue.then(() => fs.promises.appendFile(this.journalPath, line, 'utf8'));
+
+    // Un fallo de escritura no debe bloquear las siguientes
+    this.writeQueue = write.catch(() => {});
+
+    this.journalSize += Buffer.byteLength(line, 'utf8');
+    this._scheduleCompaction();
+    return write;
+  }
+
+  /**
+   * Pone en la cola de escritura una compactación si el diario superó el umbral
+   * @private
+   */
+  _scheduleCompaction() {
+    if (this.compacting || this.journalSize < this.compactAt) {
+      return;
+    }
+
+    this.compacting = true;
+    this.writeQueue = this.writeQueue
+      .then(() => this._compact())
+      .catch(error => console.error('Error al compactar el diario:', error.message))
+      .finally(() => { this.compacting = false; });
+  }
+
+  /**
+   * Reescribe el diario con una entrada por sala, usuario, mensaje y mensaje
+   * pendiente. Corre dentro de la cola de escritura, así que la instantánea
+   * sale de lo que ya está en disco y no del estado en memoria, que puede ir
+   * por delante de las escrituras pendientes.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _compact() {
+    const content = await fs.promises.readFile(this.journalPath, 'utf8');
+    const snapshot = new MemoryStorage();
+    const count = await replayJournal(snapshot, content);
+
+    const entries = snapshotEntries(snapshot);
+    const data = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+
+    // Escribir aparte y renombrar: un corte a mitad deja el diario anterior intacto
+    const tempPath = `${this.journalPath}.tmp`;
+    await fs.promises.writeFile(tempPath, data, 'utf8');
+    await fs.promises.rename(tempPath, this.journalPath);
+
+    // Lo que se encoló durante la compactación se escribirá detrás de la instantánea
+    const size = Buffer.byteLength(data, 'utf8');
+    this.journalSize = size + this.journalSize - Buffer.byteLength(content, 'utf8');
+    // Si el estado vivo ya se acerca al umbral, no compactar en cada escritura
+    this.compactAt = Math.max(this.compactSize, size * 2);
+
+    console.log(`Diario compactado: ${count} entradas -> ${entries.length}`);
+  }
+}
+
+/**
+ * Reaplica un diario sobre un almacenamiento en memoria
+ * @param {MemoryStorage} storage - Almacenamiento de destino
+ * @param {string} content - Contenido del diario
+ * @returns {Promise<number>} - Número de entradas leídas
+ */
+async function replayJournal(storage, content) {
+  const lines = content.split('\n').filter(line => line.trim());
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+      await applyEntry(storage, entry.op, entry.data);
+    } catch (error) {
+      // Una línea incompleta (p.ej. por un corte) no impide cargar el resto
+      console.error('Entrada del diario ignorada:', error.message);
+    }
+  }
+  return lines.length;
+}
+
+/**
+ * Aplica una entrada del diario al estado en memoria. Usa los métodos de
+ * MemoryStorage para que reaplicar no vuelva a escribir en el diario.
+ * @param {MemoryStorage} storage - Almacenamiento de destino
+ * @param {string} op - Tipo de operación
+ * @param {Object} data - Datos de la operación
+ */
+async function applyEntry(storage, op, data) {
+  const memory = MemoryStorage.prototype;
+  switch (op) {
+    case 'message':
+      return memory.saveMessage.call(storage, data);
+    case 'message-update':
+      return memory.updateMessage.call(storage, data.messageId, data.changes);
+    case 'receipt':
+      return memory.saveReceipt.call(storage, data.messageId, data.receipt);
+    case 'user':
+      return memory.saveUser.call(storage, data);
+    case 'room':
+      return memory.saveRoom.call(storage, data);
+    case 'queue':
+      return memory.queueMessage.call(storage, data.userId, data.message);
+    case 'dequeue':
+      return memory.takeQueuedMessages.call(storage, data.userId);
+    default:
+      console.warn(`Operación desconocida en el diario: ${op}`);
+  }
+}
+
+/**
+ * Entradas de diario que reconstruyen el estado actual de un almacenamiento
+ * @param {MemoryStorage} storage - Almacenamiento de origen
+ * @returns {Array<{op: string, data: Object}>}
+ */
+function snapshotEntries(storage) {
+  const entries = [];
+  for (const room of storage.rooms.values()) {
+    entries.push({ op: 'room', data: room });
+  }
+  for (const user of storage.users.values()) {
+    entries.push({ op: 'user', data: user });
+  }
+  for (const message of storage.messages.values()) {
+    entries.push({ op: 'message', data: message });
+  }
+  for (const [userId, queue] of storage.queues) {
+    for (const message of queue) {
+      entries.push({ op: 'queue', data: { userId, message } });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Texto de un mensaje que se indexa para las búsquedas: su contenido y, si
+ * lleva un archivo adjunto, el nombre del archivo
+ * @param {Object} message - Mensaje guardado
+ * @returns {string} - Texto a indexar (vacío si el mensaje se eliminó)
+ */
+function searchableText(message) {
+  if (message.deleted) {
+    return '';
+  }
+  return [message.content, message.filename].filter(Boolean).join(' ');
+}
+
+/**
+ * Crea el almacenamiento indicado en la configuración
+ * @param {Object} options - Configuración de almacenamiento (ver config.storage)
+ * @returns {StorageAdapter} - Instancia del almacenamiento
+ */
+function createStorage(options) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryStorage({ maxHistory: options.maxHistory });
+    case 'file':
+      return new FileStorage({ dataDir: options.dataDir, compactSize: options.compactSize });
+    default:
+      throw new Error(`Almacenamiento desconocido: ${options.driver}`);
+  }
+}
+
+module.exports = {
+  StorageAdapter,
+  MemoryStorage,
+  FileStorage,
+  createStorage
+};
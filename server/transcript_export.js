@@ -0,0 +1,239 @@
+/**
+ * Exportación de transcripciones de una sala.
+ * Cada formato se escribe por partes (cabecera, un trozo por mensaje y cierre)
+ * para enviar la respuesta a medida que se genera, sin construirla entera en
+ * memoria. La transcripción XML cumple el elemento transcript del esquema.
+ */
+
+const xml2js = require('xml2js');
+const { toXmlMessage } = require('./rmi_middleware');
+
+// Builder de cada mensaje XML: sin declaración (va en la cabecera) y en una
+// sola línea, para no añadir sangría al contenido de los mensajes de varias líneas
+const messageBuilder = new xml2js.Builder({ headless: true, renderOpts: { pretty: false } });
+
+// Columnas de la exportación CSV
+const CSV_COLUMNS = ['timestamp', 'type', 'username', 'targetUsername', 'content', 'filename', 'reactions', 'editedAt', 'messageId', 'replyTo'];
+
+// Tipos de mensaje que la exportación HTML muestra como avisos del sistema
+const SYSTEM_TYPES = ['JOIN', 'LEAVE', 'NICK_CHANGE'];
+
+/**
+ * Formatos disponibles. Cada uno indica su tipo MIME y extensión y cómo
+ * escribir la cabecera (con los datos de la transcripción), cada mensaje y
+ * el cierre.
+ */
+const formats = {
+  xml: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml',
+    header: (transcript) => {
+      const fields = [
+        ['roomId', transcript.room.roomId],
+        ['roomName', transcript.room.name],
+        ['from', transcript.from],
+        ['to', transcript.to],
+        ['exportedAt', transcript.exportedAt]
+      ].filter(([, value]) => value);
+
+      return '<?xml version="1.0" encoding="UTF-8"?>\n<transcript>\n' +
+        fields.map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>\n`).join('');
+    },
+    message: (message) => `  ${messageBuilder.buildObject({ message: toXmlMessage(message) })}\n`,
+    footer: () => '</transcript>\n'
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: (transcript) => {
+      const { messages, ...meta } = transcript;
+      return JSON.stringify(meta).slice(0, -1) + ',"messages":[\n';
+    },
+    message: (message, index) => (index ? ',\n' : '') + JSON.stringify(message),
+    footer: () => '\n]}\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => CSV_COLUMNS.join(',') + '\r\n',
+    message: (message) => CSV_COLUMNS
+      .map(column => escapeCsv(column === 'reactions' ? formatReactions(message.reactions) : message[column]))
+      .join(',') + '\r\n',
+    footer: () => ''
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    header: (transcript) => {
+      const title = `Transcripción de ${transcript.room.name}`;
+      const range = [
+        transcript.from ? `desde ${formatDate(transcript.from)}` : '',
+        transcript.to ? `hasta ${formatDate(transcript.to)}` : ''
+      ].filter(Boolean).join(' ');
+
+      return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 800px; margin: 20px auto; color: #333; }
+  header p { color: #777; font-size: 0.9rem; }
+  .message { padding: 6px 10px; border-bottom: 1px solid #eee; }
+  .message .meta { color: #777; font-size: 0.8rem; }
+  .message .meta strong { color: #333; }
+  .message .text { margin: 3px 0 0; white-space: pre-wrap; }
+  .message.private { background-color: #f2e6ff; }
+  .message .attachment { color: #555; }
+  .message .reactions { margin: 3px 0 0; font-size: 0.85rem; }
+  .message.system .text, .message.emote .text { font-style: italic; color: #777; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeXml(title)}</h1>
+<p>${escapeXml([range, `exportada el ${formatDate(transcript.exportedAt)}`].filter(Boolean).join(' · '))}</p>
+</header>
+<main>
+`;
+    },
+    message: (message) => {
+      const classes = ['message'];
+      let author = `<strong>${escapeXml(message.username)}</strong>`;
+      let text = escapeXml(message.content);
+
+      if (SYSTEM_TYPES.includes(message.type)) {
+        classes.push('system');
+        author = '';
+      } else if (message.targetUserId) {
+        classes.push('private');
+        author += ` → <strong>${escapeXml(message.targetUsername)}</strong> (privado)`;
+      } else if (message.emote) {
+        classes.push('emote');
+        text = `* ${escapeXml(message.username)} ${text}`;
+        author = '';
+      }
+
+      // Los archivos no se incluyen: solo su nombre
+      if (message.type === 'ATTACHMENT') {
+        text = [text, `<span class="attachment">📎 ${escapeXml(message.filename)}</span>`].filter(Boolean).join('<br>');
+      }
+
+      const edited = message.editedAt ? ' (editado)' : '';
+      const reactions = message.reactions && message.reactions.length
+        ? `\n<p class="reactions">${escapeXml(formatReactions(message.reactions))}</p>`
+        : '';
+      return `<div class="${classes.join(' ')}">
+<p class="meta">${formatDate(message.timestamp)}${author ? ' · ' + author : ''}${edited}</p>
+<p class="text">${text}</p>${reactions}
+</div>
+`;
+    },
+    footer: () => '</main>\n</body>\n</html>\n'
+  }
+};
+
+/**
+ * Obtiene un formato de exportación por su nombre
+ * @param {string} name - xml, json, csv o html
+ * @returns {Object|null} - Formato, o null si no existe
+ */
+function getFormat(name) {
+  const key = String(name || '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(formats, key) ? { name: key, ...formats[key] } : null;
+}
+
+/**
+ * Escribe una transcripción en un stream (p.ej. la respuesta HTTP) respetando
+ * la contrapresión: si el stream está lleno se espera a que se vacíe
+ * @param {Writable} stream - Stream de destino (se cierra al terminar)
+ * @param {Object} format - Formato obtenido con getFormat
+ * @param {Object} transcript - {room, from, to, exportedAt, messages}
+ * @returns {Promise<void>}
+ */
+async function writeTranscript(stream, format, transcript) {
+  const write = (chunk) => {
+    if (!chunk || stream.write(chunk)) {
+      return null;
+    }
+
+    // Esperar a que se vacíe, o a que se cierre si el cliente abandona la descarga
+    return new Promise(resolve => {
+      const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+      };
+      stream.once('drain', done);
+      stream.once('close', done);
+    });
+  };
+
+  await write(format.header(transcript));
+  for (let index = 0; index < transcript.messages.length; index++) {
+    // La conexión se cerró a mitad de la descarga
+    if (stream.destroyed) {
+      return;
+    }
+    await write(format.message(transcript.messages[index], index));
+  }
+  await write(format.footer(transcript));
+
+  stream.end();
+}
+
+/**
+ * Escapa un texto para incluirlo en XML o HTML
+ * @param {string} value - Texto
+ * @returns {string} - Texto escapado
+ * @private
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapa un valor para una celda CSV (entre comillas si hace falta).
+ * Los valores que empiezan por =, +, - o @ se prefijan con ' para que una
+ * hoja de cálculo no los interprete como fórmulas.
+ * @param {*} value - Valor de la celda
+ * @returns {string} - Celda escapada
+ * @private
+ */
+function escapeCsv(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Resume las reacciones de un mensaje (p.ej. "👍 2, 🎉 1")
+ * @param {Array} reactions - Reacciones del mensaje ({emoji, count}), opcional
+ * @returns {string} - Resumen, vacío si no tiene
+ * @private
+ */
+function formatReactions(reactions) {
+  return (reactions || []).map(reaction => `${reaction.emoji} ${reaction.count}`).join(', ');
+}
+
+/**
+ * Formatea una marca de tiempo para la exportación HTML
+ * @param {string} timestamp - Marca de tiempo ISO
+ * @returns {string} - Fecha y hora legibles
+ * @private
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'medium' });
+}
+
+module.exports = {
+  getFormat,
+  writeTranscript,
+  FORMATS: Object.keys(formats)
+};
@@ -0,0 +1,26 @@
+/**
+ * Pruebas de la lectura de variables de entorno numéricas de config.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+// config.js lee el entorno al cargarse: se fija antes de requerirlo
+process.env.CHAT_HEARTBEAT_INTERVAL = '0';
+process.env.CHAT_HEARTBEAT_TIMEOUT = 'no-es-un-número';
+process.env.CHAT_IDLE_TIMEOUT = '0';
+process.env.CHAT_RECONNECT_GRACE = '';
+
+const config = require('../server/config');
+
+describe('config', () => {
+  it('respeta un 0 explícito para desactivar la función', () => {
+    assert.strictEqual(config.connection.heartbeatInterval, 0);
+    assert.strictEqual(config.presence.idleTimeout, 0);
+  });
+
+  it('usa el valor por defecto si la variable no es un número o está vacía', () => {
+    assert.strictEqual(config.connection.heartbeatTimeout, 10000);
+    assert.strictEqual(config.connection.reconnectGrace, 30000);
+  });
+});
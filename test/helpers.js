@@ -0,0 +1,49 @@
+/**
+ * Utilidades comunes de las pruebas del servidor.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+const baseConfig = require('../server/config');
+
+/**
+ * Configuración para probar el middleware sin tocar los datos reales:
+ * almacenamiento en memoria, adjuntos en un directorio temporal (que se
+ * borra al terminar) y sin temporizador de ausencia. Debe llamarse fuera
+ * de los hooks para que el borrado quede al final del archivo de pruebas.
+ * @param {Object} rateLimit - Límites de frecuencia que sustituyen a los de config.js
+ * @returns {Object} - Configuración completa (ver config.js)
+ */
+function createTestConfig(rateLimit = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  return {
+    ...baseConfig,
+    storage: { driver: 'memory', maxHistory: 0 },
+    auth: { secret: 'clave-de-pruebas', tokenTtl: 3600 },
+    presence: { idleTimeout: 0 },
+    rateLimit: { ...baseConfig.rateLimit, ...rateLimit },
+    attachments: { ...baseConfig.attachments, dir },
+    moderation: { admins: [] }
+  };
+}
+
+/**
+ * Registra una cuenta y la conecta al chat
+ * @param {Object} rmiMiddleware - Middleware ya inicializado
+ * @param {string} username - Nombre de usuario
+ * @returns {Promise<string>} - ID del usuario conectado
+ */
+async function connectNewUser(rmiMiddleware, username) {
+  const { userId } = await rmiMiddleware.registerUser(username, 'secreto123');
+  await rmiMiddleware.connectUser(userId);
+  return userId;
+}
+
+module.exports = {
+  createTestConfig,
+  connectNewUser
+};
@@ -0,0 +1,60 @@
+/**
+ * Pruebas de los silencios: un usuario silenciado no puede escribir, editar,
+ * reaccionar ni subir archivos.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const rmiMiddleware = require('../server/rmi_middleware');
+const { ErrorCode } = require('../server/rmi_errors');
+const { createTestConfig, connectNewUser } = require('./helpers');
+
+// Un solo mensaje de ráfaga y un solo bloqueo bastan para quedar silenciado
+const config = createTestConfig({
+  messages: { burst: 1, rate: 0.001 },
+  muteThreshold: 1
+});
+
+describe('silencios', () => {
+  let ana;
+  let message;
+
+  before(async () => {
+    await rmiMiddleware.initialize(config);
+    ana = await connectNewUser(rmiMiddleware, 'ana');
+
+    message = await rmiMiddleware.sendMessage({ userId: ana, content: 'primero' });
+    await assert.rejects(
+      rmiMiddleware.sendMessage({ userId: ana, content: 'segundo' }),
+      { code: ErrorCode.RATE_LIMITED }
+    );
+  });
+
+  it('impide enviar mensajes', async () => {
+    await assert.rejects(
+      rmiMiddleware.sendMessage({ userId: ana, content: 'tercero' }),
+      { code: ErrorCode.RATE_LIMITED, message: /silenciado/ }
+    );
+  });
+
+  it('impide editar mensajes', async () => {
+    await assert.rejects(
+      rmiMiddleware.editMessage(ana, message.messageId, 'editado'),
+      { code: ErrorCode.RATE_LIMITED, message: /silenciado/ }
+    );
+  });
+
+  it('impide reaccionar', async () => {
+    await assert.rejects(
+      rmiMiddleware.addReaction(ana, message.messageId, '👍'),
+      { code: ErrorCode.RATE_LIMITED, message: /silenciado/ }
+    );
+  });
+
+  it('impide subir archivos', () => {
+    assert.throws(
+      () => rmiMiddleware.checkUpload(ana, null, 10),
+      { code: ErrorCode.RATE_LIMITED, message: /silenciado/ }
+    );
+  });
+});
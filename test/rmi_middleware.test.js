@@ -0,0 +1,126 @@
+/**
+ * Pruebas del middleware RMI: acceso a las salas, nombres de usuario y
+ * envío de archivos adjuntos.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const rmiMiddleware = require('../server/rmi_middleware');
+const { ErrorCode } = require('../server/rmi_errors');
+const { createTestConfig, connectNewUser } = require('./helpers');
+
+const config = createTestConfig();
+
+describe('rmi_middleware', () => {
+  let ana;
+  let bob;
+  let room;
+
+  before(async () => {
+    await rmiMiddleware.initialize(config);
+    ana = await connectNewUser(rmiMiddleware, 'ana');
+    bob = await connectNewUser(rmiMiddleware, 'bob');
+
+    // Sala a la que solo pertenece ana
+    room = await rmiMiddleware.createRoom('secreta', ana);
+    await rmiMiddleware.sendMessage({ userId: ana, roomId: room.roomId, content: 'plan confidencial' });
+    await rmiMiddleware.sendMessage({ userId: ana, content: 'plan público' });
+  });
+
+  describe('historial', () => {
+    it('devuelve los mensajes de una sala a sus miembros', async () => {
+      const history = await rmiMiddleware.getMessageHistory(20, room.roomId, { userId: ana });
+      assert.deepStrictEqual(history.map(msg => msg.content), ['plan confidencial']);
+    });
+
+    it('rechaza con FORBIDDEN a quien no pertenece a la sala', async () => {
+      await assert.rejects(
+        rmiMiddleware.getMessageHistory(20, room.roomId, { userId: bob }),
+        { code: ErrorCode.FORBIDDEN }
+      );
+    });
+
+    it('deja leer la sala general a cualquier usuario', async () => {
+      const history = await rmiMiddleware.getMessageHistory(20, rmiMiddleware.DEFAULT_ROOM, { userId: bob });
+      assert.ok(history.some(msg => msg.content === 'plan público'));
+    });
+  });
+
+  describe('búsqueda', () => {
+    it('no muestra mensajes de salas a las que no se pertenece', async () => {
+      const results = await rmiMiddleware.searchMessages({ query: 'plan', userId: bob });
+      assert.deepStrictEqual(results.messages.map(msg => msg.content), ['plan público']);
+    });
+
+    it('incluye las salas propias', async () => {
+      const results = await rmiMiddleware.searchMessages({ query: 'plan', userId: ana });
+      assert.strictEqual(results.total, 2);
+    });
+  });
+
+  describe('exportación', () => {
+    it('rechaza con FORBIDDEN la transcripción de una sala ajena', async () => {
+      await assert.rejects(
+        rmiMiddleware.getTranscript({ roomId: room.roomId, userId: bob }),
+        { code: ErrorCode.FORBIDDEN }
+      );
+    });
+  });
+
+  describe('nombres de usuario', () => {
+    it('rechaza nombres con marcas HTML al registrarse', async () => {
+      await assert.rejects(
+        rmiMiddleware.registerUser('<img src=x onerror=alert(1)>', 'secreto123'),
+        { code: ErrorCode.INVALID_ARGUMENT }
+      );
+    });
+
+    it('rechaza nombres demasiado largos al cambiar de nombre', async () => {
+      await assert.rejects(
+        rmiMiddleware.renameUser(bob, 'b'.repeat(33)),
+        { code: ErrorCode.INVALID_ARGUMENT }
+      );
+    });
+
+    it('admite letras acentuadas y espacios', async () => {
+      const user = await rmiMiddleware.renameUser(bob, 'Bob Núñez');
+      assert.strictEqual(user.username, 'Bob Núñez');
+    });
+  });
+
+  describe('archivos adjuntos', () => {
+    it('solo uno de dos envíos simultáneos del mismo archivo lo reclama', async () => {
+      const upload = await rmiMiddleware.uploadAttachment(ana, {
+        data: Buffer.from('hola'),
+        filename: 'nota.txt',
+        mimeType: 'text/plain'
+      });
+
+      const results = await Promise.allSettled([
+        rmiMiddleware.sendMessage({ userId: ana, uploadId: upload.uploadId }),
+        rmiMiddleware.sendMessage({ userId: ana, uploadId: upload.uploadId })
+      ]);
+
+      assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+      const failure = results.find(result => result.status === 'rejected');
+      assert.strictEqual(failure.reason.code, ErrorCode.CONFLICT);
+    });
+
+    it('libera el archivo si no se puede reclamar', async () => {
+      const upload = await rmiMiddleware.uploadAttachment(ana, {
+        data: Buffer.from('adiós'),
+        filename: 'otra.txt',
+        mimeType: 'text/plain'
+      });
+
+      // Un archivo ajeno no se puede enviar, pero tampoco queda bloqueado
+      await assert.rejects(
+        rmiMiddleware.sendMessage({ userId: bob, uploadId: upload.uploadId }),
+        { code: ErrorCode.NOT_FOUND }
+      );
+
+      const message = await rmiMiddleware.sendMessage({ userId: ana, uploadId: upload.uploadId });
+      assert.strictEqual(message.type, 'ATTACHMENT');
+    });
+  });
+});
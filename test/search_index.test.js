@@ -0,0 +1,33 @@
+/**
+ * Pruebas del índice de búsqueda.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SearchIndex } = require('../server/search_index');
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex();
+  index.add('m1', 'Reunión del proyecto mañana');
+  index.add('m2', 'El proyector no funciona');
+  index.add('m3', 'Proyecto cerrado');
+
+  it('busca la última palabra también como prefijo', () => {
+    assert.deepStrictEqual([...index.search('proy')].sort(), ['m1', 'm2', 'm3']);
+  });
+
+  it('exige las palabras anteriores completas', () => {
+    assert.deepStrictEqual([...index.search('proyecto cerr')], ['m3']);
+    assert.strictEqual(index.search('proy cerrado').size, 0);
+  });
+
+  it('ignora mayúsculas y tildes', () => {
+    assert.deepStrictEqual([...index.search('REUNION')], ['m1']);
+  });
+
+  it('olvida los términos de un mensaje eliminado', () => {
+    index.remove('m2');
+    assert.deepStrictEqual([...index.search('proyector')], []);
+    assert.deepStrictEqual(index.terms, [...index.terms].sort());
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Pruebas de los adaptadores de almacenamiento.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, FileStorage } = require('../server/storage_adapter');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-storage-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Mensaje de prueba en la sala general
+ * @param {number} n - Número del mensaje
+ * @returns {Object}
+ */
+function testMessage(n) {
+  return {
+    messageId: `m${n}`,
+    roomId: 'general',
+    userId: 'u1',
+    content: `mensaje número ${n}`,
+    timestamp: new Date(Date.UTC(2024, 0, 1, 0, 0, n)).toISOString(),
+    type: 'CHAT'
+  };
+}
+
+describe('MemoryStorage', () => {
+  it('busca mensajes por ID y conserva su orden al modificarlos', async () => {
+    const storage = new MemoryStorage();
+    for (let n = 1; n <= 3; n++) {
+      await storage.saveMessage(testMessage(n));
+    }
+
+    await storage.updateMessage('m1', { content: 'editado' });
+    await storage.saveReceipt('m2', { userId: 'u2', state: 'READ' });
+
+    assert.strictEqual((await storage.getMessage('m1')).content, 'editado');
+    assert.strictEqual((await storage.getMessage('m2')).receipts.length, 1);
+    assert.strictEqual(await storage.getMessage('m9'), null);
+
+    const messages = await storage.getMessages({ roomId: 'general' });
+    assert.deepStrictEqual(messages.map(msg => msg.messageId), ['m1', 'm2', 'm3']);
+  });
+
+  it('descarta los mensajes más antiguos pasado maxHistory', async () => {
+    const storage = new MemoryStorage({ maxHistory: 2 });
+    for (let n = 1; n <= 3; n++) {
+      await storage.saveMessage(testMessage(n));
+    }
+
+    assert.strictEqual(await storage.getMessage('m1'), null);
+    const results = await storage.searchMessages({ query: 'mensaje' });
+    assert.deepStrictEqual(results.map(msg => msg.messageId), ['m2', 'm3']);
+  });
+});
+
+describe('FileStorage', () => {
+  it('compacta el diario al superar el umbral sin perder el estado', async () => {
+    const dir = path.join(dataDir, 'compactacion');
+    const storage = new FileStorage({ dataDir: dir, compactSize: 2000 });
+    await storage.load();
+
+    await storage.saveRoom({ roomId: 'general', name: 'General' });
+    await storage.saveUser({ userId: 'u1', username: 'ana' });
+    for (let n = 1; n <= 5; n++) {
+      await storage.saveMessage(testMessage(n));
+    }
+    for (let n = 0; n < 100; n++) {
+      await storage.updateMessage('m1', { content: `edición ${n}` });
+    }
+    await storage.queueMessage('u2', testMessage(2));
+    await storage.writeQueue;
+
+    // Las ediciones del mismo mensaje acaban en una sola entrada
+    const lines = fs.readFileSync(path.join(dir, 'journal.jsonl'), 'utf8').trim().split('\n');
+    assert.ok(lines.length < 50, `el diario tiene ${lines.length} entradas`);
+
+    const reloaded = new FileStorage({ dataDir: dir });
+    await reloaded.load();
+    assert.strictEqual((await reloaded.getMessage('m1')).content, 'edición 99');
+    assert.strictEqual((await reloaded.getMessages({ roomId: 'general' })).length, 5);
+    assert.strictEqual((await reloaded.getUser('u1')).username, 'ana');
+    assert.strictEqual((await reloaded.getRooms()).length, 1);
+    assert.deepStrictEqual((await reloaded.takeQueuedMessages('u2')).map(msg => msg.messageId), ['m2']);
+  });
+});